@@ -4,6 +4,39 @@ const fs = require('fs');
 const fsPromises = require('fs').promises; // Necesario para operaciones async de FS
 const path = require('path');
 const crypto = require('crypto'); // Necesario para SHA1
+const { pipeline } = require('stream/promises'); // Descargas en streaming con manejo de errores
+const { getContentType } = require('./utils/mime'); // Content-Type de playlists y segmentos HLS/DASH
+
+// --- Archivos grandes (b2_start_large_file / b2_upload_part / b2_finish_large_file) ---
+const MAX_SINGLE_UPLOAD_SIZE = 5 * 1000 * 1000 * 1000; // b2_upload_file no admite más de 5GB
+const DEFAULT_LARGE_FILE_THRESHOLD = 200 * 1024 * 1024; // A partir de aquí se sube por partes (B2_LARGE_FILE_THRESHOLD)
+const DEFAULT_PART_SIZE = 100 * 1000 * 1000; // Si la autenticación no devuelve recommendedPartSize
+const MIN_PART_SIZE = 5 * 1000 * 1000; // Mínimo de B2 para todas las partes salvo la última
+const MAX_PARTS = 10000;
+
+// --- Política de reintentos (guía de integración de B2) ---
+const MAX_ATTEMPTS = 5; // Intentos por llamada (o por parte) antes de dar el error por definitivo
+const MAX_BACKOFF_MS = 64 * 1000; // Tope del backoff exponencial (1s, 2s, 4s... 64s)
+const TOKEN_MAX_AGE_MS = 23 * 60 * 60 * 1000; // El token de cuenta caduca a las 24h: se renueva antes
+
+// Errores que B2 pide reintentar: sin respuesta (red, timeout), 408, 429 y 5xx
+const isRetryableError = (error) => {
+  if (axios.isCancel(error)) return false;
+  const status = error.response?.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+};
+
+// En las subidas también el 401: caducó el token de la URL de subida y hay que pedir otra
+const isRetryableUploadError = (error) => error.response?.status === 401 || isRetryableError(error);
+
+// Espera antes de repetir el intento número `attempt`: lo que indique Retry-After o backoff exponencial
+const retryDelay = (attempt, error = {}) => {
+  const retryAfter = Number(error.response?.headers?.['retry-after']);
+  if (retryAfter > 0) return retryAfter * 1000;
+  return Math.min(MAX_BACKOFF_MS, 1000 * 2 ** (attempt - 1));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
  * Clase para interactuar con la API de Backblaze B2
@@ -17,6 +50,9 @@ class BackblazeB2 {
    * @param {string} options.applicationKey - Clave de aplicación (por defecto usa B2_APPLICATION_KEY de .env)
    * @param {string} options.authUrl - URL de autenticación
    * @param {string} options.defaultBucket - Nombre del bucket por defecto
+   * @param {number} options.largeFileThreshold - Tamaño en bytes a partir del cual se sube por partes (por defecto B2_LARGE_FILE_THRESHOLD o 200MB)
+   * @param {number} options.partConcurrency - Partes que se suben a la vez (por defecto B2_PART_CONCURRENCY o 4)
+   * @param {number} options.uploadConcurrency - Archivos que se suben o borran a la vez en un prefijo (por defecto B2_UPLOAD_CONCURRENCY o 8)
    */
   constructor(options = {}) {
     this.config = {
@@ -26,9 +62,16 @@ class BackblazeB2 {
       apiUrl: '', // Se obtendrá durante la autenticación
       authorizationToken: '', // Se obtendrá durante la autenticación
       downloadUrl: '', // Se obtendrá durante la autenticación
-      defaultBucket: options.defaultBucket || 'cloud-video-store'
+      defaultBucket: options.defaultBucket || 'cloud-video-store',
+      largeFileThreshold: options.largeFileThreshold || parseInt(process.env.B2_LARGE_FILE_THRESHOLD, 10) || DEFAULT_LARGE_FILE_THRESHOLD,
+      partConcurrency: Math.max(1, options.partConcurrency || parseInt(process.env.B2_PART_CONCURRENCY, 10) || 4),
+      uploadConcurrency: Math.max(1, options.uploadConcurrency || parseInt(process.env.B2_UPLOAD_CONCURRENCY, 10) || 8),
+      recommendedPartSize: 0, // Se obtendrá durante la autenticación
+      absoluteMinimumPartSize: 0 // Se obtendrá durante la autenticación
     };
     this.uploadHistory = new Map(); // Mapa para almacenar el historial de subidas
+    this.authorizedAt = 0; // Momento de la última autenticación (para renovar el token antes de que caduque)
+    this._authorizing = null; // Autenticación en curso, compartida por las llamadas simultáneas
   }
 
   /**
@@ -48,6 +91,9 @@ class BackblazeB2 {
       this.config.apiUrl = data.apiUrl;
       this.config.authorizationToken = data.authorizationToken;
       this.config.downloadUrl = data.downloadUrl;
+      this.config.recommendedPartSize = data.recommendedPartSize || 0;
+      this.config.absoluteMinimumPartSize = data.absoluteMinimumPartSize || 0;
+      this.authorizedAt = Date.now();
       
       console.log('Autenticación exitosa');
       console.log('API URL:', this.config.apiUrl);
@@ -60,6 +106,77 @@ class BackblazeB2 {
     }
   }
 
+  /**
+   * Se autentica si todavía no hay token o si está a punto de caducar.
+   * Las llamadas simultáneas esperan a la misma autenticación en lugar de lanzar una cada una.
+   * @param {string|null} rejectedToken - Token que B2 acaba de rechazar: se renueva salvo que otra llamada ya lo haya hecho
+   * @returns {Promise<void>}
+   * @throws {Error} Si la autenticación falla
+   * @private
+   */
+  async _ensureAuthorized(rejectedToken = null) {
+    const token = this.config.authorizationToken;
+    const fresh = token && Date.now() - this.authorizedAt < TOKEN_MAX_AGE_MS;
+    if (fresh && token !== rejectedToken) return;
+    if (!this._authorizing) {
+      this._authorizing = this.authorize().finally(() => { this._authorizing = null; });
+    }
+    if (!(await this._authorizing)) throw new Error('No se pudo autenticar con Backblaze B2');
+  }
+
+  /**
+   * Hace una petición a B2 con la política de reintentos de su guía de integración:
+   * renueva el token de cuenta si B2 lo rechaza (expired_auth_token) y repite los 408/429/5xx
+   * y los errores de red con backoff exponencial, respetando Retry-After.
+   * @param {function(): Object} buildRequest - Devuelve la configuración de axios; se llama en cada intento
+   *   para usar siempre el token y las URLs vigentes
+   * @returns {Promise<Object>} - Respuesta de axios
+   * @throws {Error} El error del último intento (o uno no reintentable)
+   * @private
+   */
+  async _request(buildRequest) {
+    let reauthorized = false;
+    for (let attempt = 1; ; attempt++) {
+      await this._ensureAuthorized();
+      const token = this.config.authorizationToken;
+      const request = buildRequest();
+      try {
+        return await axios(request);
+      } catch (error) {
+        const status = error.response?.status;
+        // Con responseType 'stream' el cuerpo no está leído y no hay código: se intenta renovar igualmente
+        const code = error.response?.data?.code;
+        if (status === 401 && !reauthorized && code !== 'unauthorized') {
+          reauthorized = true;
+          console.warn(`[B2] Token rechazado (${code || status}), renovando la autenticación`);
+          await this._ensureAuthorized(token);
+          attempt--; // La renovación no cuenta como intento
+          continue;
+        }
+        if (!isRetryableError(error) || attempt >= MAX_ATTEMPTS) throw error;
+        const delay = retryDelay(attempt, error);
+        console.warn(`[B2] ${request.url.split('?')[0]} falló (${status || error.code || error.message}), reintento ${attempt}/${MAX_ATTEMPTS - 1} en ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Llama a una operación de la API nativa de B2 (POST /b2api/v2/<operación>) con el token de cuenta.
+   * @param {string} operation - p. ej. 'b2_list_file_names'
+   * @param {Object} data - Cuerpo JSON
+   * @returns {Promise<Object>} - Respuesta de axios
+   * @private
+   */
+  _apiCall(operation, data) {
+    return this._request(() => ({
+      method: 'post',
+      url: `${this.config.apiUrl}/b2api/v2/${operation}`,
+      data,
+      headers: { 'Authorization': this.config.authorizationToken }
+    }));
+  }
+
   /**
    * Método para listar únicamente las "carpetas" virtuales en un bucket
    * @param {string} bucketId - ID del bucket
@@ -86,18 +203,8 @@ class BackblazeB2 {
    */
   async listBuckets() {
     try {
-      // Asegurar que estamos autenticados
-      if (!this.config.authorizationToken) {
-        const authSuccess = await this.authorize();
-        if (!authSuccess) return [];
-      }
-
-      const response = await axios.post(`${this.config.apiUrl}/b2api/v2/b2_list_buckets`, {
+      const response = await this._apiCall('b2_list_buckets', {
         accountId: this.config.keyId
-      }, {
-        headers: {
-          'Authorization': this.config.authorizationToken
-        }
       });
 
       console.log('Buckets disponibles:');
@@ -117,45 +224,22 @@ class BackblazeB2 {
    * @param {string} bucketId - ID del bucket donde se subirá el archivo
    * @param {string} fileName - Nombre del archivo en B2
    * @param {string} filePath - Ruta local del archivo a subir
+   * @param {Object} options - Opciones de la subida
+   * @param {string} options.sha1 - SHA1 ya calculado (p. ej. mientras se recibía el archivo); si falta se calcula leyendo el archivo
    * @returns {Promise<Object|null>} - Información del archivo subido o null si hubo error
    */
-  async uploadFile(bucketId, fileName, filePath) {
+  async uploadFile(bucketId, fileName, filePath, { sha1 = null } = {}) {
     try {
-      // Asegurar que estamos autenticados
-      if (!this.config.authorizationToken) {
-        const authSuccess = await this.authorize();
-        if (!authSuccess) return null;
-      }
+      // La autenticación aporta recommendedPartSize, necesario antes de decidir cómo subir
+      await this._ensureAuthorized();
+      const fileSize = (await fsPromises.stat(filePath)).size;
 
-      // 1. Obtener URL de upload
-      const uploadUrlResponse = await axios.post(`${this.config.apiUrl}/b2api/v2/b2_get_upload_url`, {
-        bucketId: bucketId
-      }, {
-        headers: {
-          'Authorization': this.config.authorizationToken
-        }
-      });
-
-      const uploadUrl = uploadUrlResponse.data.uploadUrl;
-      const uploadAuthToken = uploadUrlResponse.data.authorizationToken;
-
-      // 2. Leer el archivo
-      const fileContent = fs.readFileSync(filePath);
-      const fileSize = fs.statSync(filePath).size;
-      const sha1 = crypto.createHash('sha1').update(fileContent).digest('hex');
-
-      // 3. Subir el archivo
-      const uploadResponse = await axios.post(uploadUrl, fileContent, {
-        headers: {
-          'Authorization': uploadAuthToken,
-          'X-Bz-File-Name': encodeURIComponent(fileName),
-          'Content-Type': 'b2/x-auto',
-          'X-Bz-Content-Sha1': sha1,
-          'Content-Length': fileSize
-        }
-      });
+      // Archivos grandes (y siempre por encima de 5GB): por partes en paralelo
+      const minPartSize = Math.max(this.config.absoluteMinimumPartSize, MIN_PART_SIZE);
+      const resultData = fileSize > MAX_SINGLE_UPLOAD_SIZE || (fileSize >= this.config.largeFileThreshold && fileSize >= 2 * minPartSize)
+        ? await this._uploadLargeFile(bucketId, fileName, filePath, fileSize, sha1)
+        : await this._uploadSmallFile(bucketId, fileName, filePath, fileSize, sha1);
 
-      const resultData = uploadResponse.data;
       console.log(`[B2 Upload] Archivo subido exitosamente: ${resultData.fileName} (ID: ${resultData.fileId})`);
 
       // Registrar la subida individualmente
@@ -182,6 +266,208 @@ class BackblazeB2 {
     }
   }
 
+  /**
+   * Sube un archivo con una sola llamada a b2_upload_file.
+   * @param {string} bucketId - ID del bucket
+   * @param {string} fileName - Nombre del archivo en B2
+   * @param {string} filePath - Ruta local del archivo
+   * @param {number} fileSize - Tamaño en bytes
+   * @param {string|null} sha1 - SHA1 ya calculado, o null para calcularlo
+   * @returns {Promise<Object>} - Respuesta de b2_upload_file
+   * @private
+   */
+  async _uploadSmallFile(bucketId, fileName, filePath, fileSize, sha1) {
+    // SHA1 por streaming: el archivo nunca se carga entero en memoria
+    const contentSha1 = sha1 || await this._sha1File(filePath);
+
+    for (let attempt = 1; ; attempt++) {
+      // Cada intento con una URL de subida nueva, como pide B2 tras cualquier fallo de subida
+      const { data: target } = await this._apiCall('b2_get_upload_url', { bucketId });
+      try {
+        const uploadResponse = await axios.post(target.uploadUrl, fs.createReadStream(filePath), {
+          headers: {
+            'Authorization': target.authorizationToken,
+            'X-Bz-File-Name': encodeURIComponent(fileName),
+            'Content-Type': getContentType(fileName, 'b2/x-auto'), // B2 no reconoce .m3u8/.m4s; el resto lo detecta B2
+            'X-Bz-Content-Sha1': contentSha1,
+            'Content-Length': fileSize
+          },
+          // Sin redirecciones: para poder repetirlas, follow-redirects guardaría en memoria todo el cuerpo enviado
+          maxRedirects: 0,
+          maxBodyLength: Infinity,
+          maxContentLength: Infinity
+        });
+        return uploadResponse.data;
+      } catch (error) {
+        if (!isRetryableUploadError(error) || attempt >= MAX_ATTEMPTS) throw error;
+        const delay = retryDelay(attempt, error);
+        console.warn(`[B2 Upload] Subida de ${fileName} falló (${error.response?.status || error.code || error.message}), reintento ${attempt}/${MAX_ATTEMPTS - 1} en ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Sube un archivo grande por partes: b2_start_large_file, varias b2_upload_part en paralelo
+   * (cada hilo con su propia URL de b2_get_upload_part_url) y b2_finish_large_file.
+   * Una parte fallida se reintenta con una URL nueva; si aun así falla, el archivo se cancela
+   * para que B2 no guarde (ni cobre) las partes ya subidas.
+   * @param {string} bucketId - ID del bucket
+   * @param {string} fileName - Nombre del archivo en B2
+   * @param {string} filePath - Ruta local del archivo
+   * @param {number} fileSize - Tamaño en bytes
+   * @param {string|null} sha1 - SHA1 del archivo completo; si se conoce se guarda como large_file_sha1
+   * @returns {Promise<Object>} - Respuesta de b2_finish_large_file (mismos campos que b2_upload_file)
+   * @private
+   */
+  async _uploadLargeFile(bucketId, fileName, filePath, fileSize, sha1) {
+    // Partes del tamaño recomendado, sin pasar de 10.000 y con al menos dos
+    const minPartSize = Math.max(this.config.absoluteMinimumPartSize, MIN_PART_SIZE);
+    const partSize = Math.max(
+      Math.min(this.config.recommendedPartSize || DEFAULT_PART_SIZE, Math.ceil(fileSize / 2)),
+      Math.ceil(fileSize / MAX_PARTS),
+      minPartSize
+    );
+    const partCount = Math.ceil(fileSize / partSize);
+
+    const startResponse = await this._apiCall('b2_start_large_file', {
+      bucketId,
+      fileName,
+      contentType: getContentType(fileName, 'b2/x-auto'),
+      ...(sha1 && { fileInfo: { large_file_sha1: sha1 } })
+    });
+    const { fileId } = startResponse.data;
+    console.log(`[B2 Large Upload] ${fileName}: ${partCount} partes de ${partSize} bytes (fileId ${fileId})`);
+
+    const partSha1Array = new Array(partCount);
+    let nextPart = 0;
+    let failed = false; // Tras un fallo definitivo los demás hilos no empiezan partes nuevas
+
+    const uploadParts = async () => {
+      let target = await this._getUploadPartUrl(fileId);
+      while (!failed && nextPart < partCount) {
+        const partNumber = ++nextPart; // B2 numera las partes desde 1
+        const start = (partNumber - 1) * partSize;
+        const end = Math.min(start + partSize, fileSize) - 1;
+        const partSha1 = await this._sha1File(filePath, { start, end });
+        for (let attempt = 1; ; attempt++) {
+          try {
+            await axios.post(target.uploadUrl, fs.createReadStream(filePath, { start, end }), {
+              headers: {
+                'Authorization': target.authorizationToken,
+                'X-Bz-Part-Number': partNumber,
+                'X-Bz-Content-Sha1': partSha1,
+                'Content-Length': end - start + 1
+              },
+              maxRedirects: 0,
+              maxBodyLength: Infinity,
+              maxContentLength: Infinity
+            });
+            break;
+          } catch (error) {
+            if (!isRetryableUploadError(error) || attempt >= MAX_ATTEMPTS || failed) throw error;
+            const delay = retryDelay(attempt, error);
+            console.warn(`[B2 Large Upload] Parte ${partNumber} de ${fileName} falló (${error.response?.status || error.code || error.message}), reintento ${attempt}/${MAX_ATTEMPTS - 1} en ${delay}ms`);
+            await sleep(delay);
+            target = await this._getUploadPartUrl(fileId); // La URL que falló no se reutiliza
+          }
+        }
+        partSha1Array[partNumber - 1] = partSha1;
+      }
+    };
+
+    try {
+      const workers = Array.from({ length: Math.min(this.config.partConcurrency, partCount) }, () => uploadParts().catch(error => {
+        failed = true;
+        throw error;
+      }));
+      // Esperar también a las partes en vuelo de los demás hilos antes de cancelar
+      const rejected = (await Promise.allSettled(workers)).find(result => result.status === 'rejected');
+      if (rejected) throw rejected.reason;
+      const finishResponse = await this._apiCall('b2_finish_large_file', {
+        fileId,
+        partSha1Array
+      });
+      return finishResponse.data;
+    } catch (error) {
+      failed = true;
+      await this.cancelLargeFile(fileId);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene una URL para subir partes de un archivo grande (una por hilo: B2 no admite subidas simultáneas a la misma URL).
+   * @param {string} fileId - ID del archivo grande
+   * @returns {Promise<{uploadUrl: string, authorizationToken: string}>}
+   * @private
+   */
+  async _getUploadPartUrl(fileId) {
+    const response = await this._apiCall('b2_get_upload_part_url', { fileId });
+    return response.data;
+  }
+
+  /**
+   * Cancela un archivo grande sin terminar y borra sus partes.
+   * @param {string} fileId - ID del archivo grande
+   * @returns {Promise<boolean>} - true si se canceló
+   */
+  async cancelLargeFile(fileId) {
+    try {
+      await this._apiCall('b2_cancel_large_file', { fileId });
+      console.log(`[B2 Large Upload] Archivo grande cancelado: ${fileId}`);
+      return true;
+    } catch (error) {
+      console.error(`[B2 Large Upload] Error al cancelar ${fileId}:`, error.response ? error.response.data : error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Cancela los archivos grandes que quedaron a medias (p. ej. si el servidor se reinició durante una subida).
+   * @param {string} bucketId - ID del bucket
+   * @param {string} namePrefix - Solo los archivos cuyo nombre empieza así (por defecto todos)
+   * @returns {Promise<number|null>} - Número de archivos cancelados o null si hubo error al listarlos
+   */
+  async cancelUnfinishedLargeFiles(bucketId, namePrefix = '') {
+    try {
+
+      let cancelled = 0;
+      let startFileId = null;
+      do {
+        const response = await this._apiCall('b2_list_unfinished_large_files', {
+          bucketId,
+          ...(namePrefix && { namePrefix }),
+          ...(startFileId && { startFileId }),
+          maxFileCount: 100
+        });
+        for (const file of response.data.files) {
+          if (await this.cancelLargeFile(file.fileId)) cancelled++;
+        }
+        startFileId = response.data.nextFileId;
+      } while (startFileId);
+
+      console.log(`[B2 Large Upload] ${cancelled} archivo(s) grande(s) sin terminar cancelado(s)`);
+      return cancelled;
+    } catch (error) {
+      console.error('[B2 Large Upload] Error al listar archivos grandes sin terminar:', error.response ? error.response.data : error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Calcula el SHA1 de un archivo (o de un rango de bytes) leyéndolo por bloques.
+   * @param {string} filePath - Ruta local del archivo
+   * @param {Object} range - { start, end } inclusivos, como en fs.createReadStream (por defecto todo el archivo)
+   * @returns {Promise<string>} - SHA1 en hexadecimal
+   * @private
+   */
+  async _sha1File(filePath, range = {}) {
+    const hash = crypto.createHash('sha1');
+    await pipeline(fs.createReadStream(filePath, range), hash);
+    return hash.digest('hex');
+  }
+
   /**
    * Registra una entrada en el historial de subidas.
    * @param {string} key - Clave para agrupar las subidas (e.g., videoId o nombre de archivo).
@@ -205,87 +491,68 @@ class BackblazeB2 {
   }
 
   /**
-   * Helper function to recursively list files in a directory.
-   * @param {string} dirPath - Path to the directory.
-   * @returns {Promise<string[]>} - Array of full file paths.
+   * Vista de un bucket como backend de almacenamiento (lib/storage) que usa esta instancia.
+   * @param {string} bucketId - ID del bucket
+   * @returns {Object} - B2Storage
    * @private
    */
-  async _listFilesInDirRecursive(dirPath) {
-    let fileList = [];
-    try {
-        const entries = await fsPromises.readdir(dirPath, { withFileTypes: true });
-        for (const entry of entries) {
-            const fullPath = path.join(dirPath, entry.name);
-            if (entry.isDirectory()) {
-                fileList = fileList.concat(await this._listFilesInDirRecursive(fullPath));
-            } else if (entry.isFile()) {
-                fileList.push(fullPath);
-            }
-        }
-    } catch (error) {
-        console.error(`[B2 Helper] Error listando archivos en ${dirPath}:`, error);
-    }
-    return fileList;
+  _bucketStorage(bucketId) {
+    const { B2Storage } = require('./lib/storage/b2Storage'); // Aquí y no arriba: b2Storage.js importa este módulo
+    return new B2Storage({ client: this, bucketId, uploadConcurrency: this.config.uploadConcurrency });
   }
 
+  /**
+   * Borra el manifiesto de subida de un prefijo, p. ej. tras eliminar sus archivos de B2.
+   * @param {string} bucketId - ID del bucket
+   * @param {string} b2Prefix - Prefijo en B2
+   * @returns {Promise<void>}
+   */
+  removeUploadManifest(bucketId, b2Prefix) {
+    return this._bucketStorage(bucketId).forgetDirectory(b2Prefix);
+  }
 
   /**
    * Sube todos los archivos de un directorio local a B2, manteniendo la estructura.
+   * Es putDirectory de lib/storage/directory.js sobre este bucket (pool de subidas, reintentos por archivo,
+   * manifiesto por SHA1 y playlists maestras al final).
    * @param {string} bucketId - ID del bucket de destino.
    * @param {string} localDirPath - Ruta del directorio local a subir.
    * @param {string} b2Prefix - Prefijo (carpeta virtual) en B2 donde se subirán los archivos.
-   * @returns {Promise<object>} - Objeto con el resumen de la operación { success: boolean, successfulUploads: [], failedUploads: [] }.
+   * @param {object} options - { onProgress, concurrency, masterPlaylists, signal } (ver putDirectory)
+   * @returns {Promise<object>} - { success, successfulUploads, skippedUploads, failedUploads }
    */
-  async uploadDirectoryToB2(bucketId, localDirPath, b2Prefix) {
-    console.log(`[B2 Dir Upload] Iniciando subida del directorio ${localDirPath} a B2 con prefijo ${b2Prefix}`);
-    const allLocalFiles = await this._listFilesInDirRecursive(localDirPath);
-    console.log(`[B2 Dir Upload] Archivos locales encontrados (${allLocalFiles.length}):`, allLocalFiles.map(f => path.relative(localDirPath, f)));
-
-    const uploadPromises = allLocalFiles.map(async (localFilePath) => {
-        const relativePath = path.relative(localDirPath, localFilePath);
-        // Asegurar separadores / para B2 y limpiar el prefijo si es necesario
-        const cleanPrefix = b2Prefix.endsWith('/') ? b2Prefix : `${b2Prefix}/`;
-        const b2FileName = `${cleanPrefix}${relativePath.replace(/\\/g, '/')}`;
-
-        try {
-            const result = await this.uploadFile(bucketId, b2FileName, localFilePath); // uploadFile ya registra en el historial
-            if (!result) {
-                 console.warn(`[B2 Dir Upload] Falló la subida a B2 para: ${b2FileName} (desde ${localFilePath})`);
-                 // Registro de fallo ya hecho dentro de uploadFile
-                 return { success: false, file: b2FileName, local: localFilePath };
-            }
-            // Registro de éxito ya hecho dentro de uploadFile
-            // Agrupamos el log bajo el prefijo b2Prefix
-            const logEntry = this.uploadHistory.get(b2FileName)?.pop(); // Obtenemos el último log para este archivo
-            if (logEntry) {
-                this._logUpload(b2Prefix, logEntry); // Lo añadimos al grupo del directorio
-                this.uploadHistory.delete(b2FileName); // Eliminamos la entrada individual
-            }
-            return { success: true, file: b2FileName, info: result, local: localFilePath };
-        } catch (uploadError) {
-            console.error(`[B2 Dir Upload] Error subiendo ${b2FileName} a B2:`, uploadError);
-             // Registro de fallo ya hecho dentro de uploadFile
-            const logEntry = this.uploadHistory.get(b2FileName)?.pop();
-             if (logEntry) {
-                this._logUpload(b2Prefix, logEntry);
-                this.uploadHistory.delete(b2FileName);
-            }
-            return { success: false, file: b2FileName, local: localFilePath };
-        }
-    });
-
-    const uploadResults = await Promise.all(uploadPromises);
-    const successfulUploads = uploadResults.filter(r => r.success);
-    const failedUploads = uploadResults.filter(r => !r.success);
+  uploadDirectoryToB2(bucketId, localDirPath, b2Prefix, options) {
+    return this._bucketStorage(bucketId).putDirectory(localDirPath, b2Prefix, options);
+  }
 
-    console.log(`[B2 Dir Upload] Subidas a B2 completadas para prefijo ${b2Prefix}. Éxitos: ${successfulUploads.length}, Fallos: ${failedUploads.length}`);
+  /**
+   * GET de un archivo en la URL de descarga de la cuenta, con la política de reintentos de _request.
+   * @param {string|null} bucketName - Nombre del bucket (null para el predeterminado)
+   * @param {string} fileName - Nombre del archivo en B2
+   * @param {Object} options - Opciones de axios (responseType, signal...)
+   * @returns {Promise<Object>} - Respuesta de axios
+   * @private
+   */
+  _downloadRequest(bucketName, fileName, options) {
+    return this._request(() => ({
+      method: 'get',
+      url: `${this.config.downloadUrl}/file/${bucketName || this.config.defaultBucket}/${encodeURI(fileName)}`,
+      headers: { 'Authorization': this.config.authorizationToken },
+      ...options
+    }));
+  }
 
-    return {
-        success: failedUploads.length === 0,
-        successfulUploads: successfulUploads.map(r => ({ file: r.file, info: r.info })),
-        failedUploads: failedUploads.map(r => ({ file: r.file, local: r.local })),
-        history: this.getUploadHistory(b2Prefix) // Devolvemos el historial agrupado
-    };
+  /**
+   * Abre la descarga de un archivo como stream, p. ej. para reenviarlo al cliente sin guardarlo.
+   * @param {string|null} bucketName - Nombre del bucket (null para el predeterminado)
+   * @param {string} fileName - Nombre del archivo en B2
+   * @param {Object} options - Opciones de la descarga
+   * @param {AbortSignal} options.signal - Cancela la descarga
+   * @returns {Promise<Object>} - Respuesta de axios: el stream en data y las cabeceras de B2 en headers
+   * @throws {Error} Error de axios (error.response.status es 404 si el archivo no existe)
+   */
+  openDownloadStream(bucketName, fileName, { signal } = {}) {
+    return this._downloadRequest(bucketName, fileName, { responseType: 'stream', signal });
   }
 
   /**
@@ -293,36 +560,136 @@ class BackblazeB2 {
    * @param {string} bucketName - Nombre del bucket
    * @param {string} fileName - Nombre del archivo en B2
    * @param {string} outputPath - Ruta local donde se guardará el archivo
-   * @returns {Promise<boolean>} - true si la descarga fue exitosa, false en caso contrario
+   * @param {Object} options - Opciones de la descarga
+   * @param {AbortSignal} options.signal - Cancela la descarga (p. ej. si el cliente se desconecta)
+   * @returns {Promise<boolean|null>} - true si la descarga fue exitosa, null si el archivo no existe, false en otro caso
    */
-  async downloadFile(bucketName, fileName, outputPath) {
+  async downloadFile(bucketName, fileName, outputPath, { signal } = {}) {
     try {
-      // Asegurar que estamos autenticados
-      if (!this.config.authorizationToken) {
-        const authSuccess = await this.authorize();
-        if (!authSuccess) return null;
-      }
+      const response = await this.openDownloadStream(bucketName, fileName, { signal });
 
-      const response = await axios.get(`${this.config.downloadUrl}/file/${bucketName}/${fileName}`, {
-        headers: {
-          'Authorization': this.config.authorizationToken
-        },
-        responseType: 'stream'
-      });
+      // pipeline propaga los errores de lectura (conexión cortada) además de los de escritura
+      await pipeline(response.data, fs.createWriteStream(outputPath));
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      console.error('Error al descargar archivo:', error.response ? error.response.status : error.message);
+      return false;
+    }
+  }
 
-      const writer = fs.createWriteStream(outputPath);
-      response.data.pipe(writer);
+  /**
+   * Descarga un archivo pequeño a memoria (p. ej. un JSON o un subtítulo)
+   * @param {string} bucketName - Nombre del bucket
+   * @param {string} fileName - Nombre del archivo en B2
+   * @returns {Promise<Buffer|null>} - Contenido del archivo o null si no existe
+   * @throws {Error} Si la descarga falla por otro motivo (quien lee para reescribir no debe confundirlo con "no existe")
+   */
+  async downloadFileBuffer(bucketName, fileName) {
+    try {
+      const response = await this._downloadRequest(bucketName, fileName, { responseType: 'arraybuffer' });
+      return Buffer.from(response.data);
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      console.error(`Error al descargar archivo ${fileName}:`, error.response ? error.response.status : error.message);
+      throw error;
+    }
+  }
 
-      return new Promise((resolve, reject) => {
-        writer.on('finish', () => resolve(true));
-        writer.on('error', reject);
+  /**
+   * Elimina todas las versiones de un archivo
+   * @param {string} bucketId - ID del bucket
+   * @param {string} fileName - Nombre exacto del archivo en B2
+   * @returns {Promise<number|null>} - Número de versiones eliminadas o null si hubo error
+   */
+  async deleteFile(bucketId, fileName) {
+    try {
+      const versions = await this._apiCall('b2_list_file_versions', {
+        bucketId,
+        startFileName: fileName,
+        prefix: fileName,
+        maxFileCount: 100
       });
+
+      const matching = versions.data.files.filter(file => file.fileName === fileName);
+      for (const file of matching) {
+        await this._apiCall('b2_delete_file_version', {
+          fileName: file.fileName,
+          fileId: file.fileId
+        });
+      }
+      console.log(`[B2 Delete] ${matching.length} versión(es) eliminada(s) de ${fileName}`);
+      return matching.length;
     } catch (error) {
-      console.error('Error al descargar archivo:', error.response ? error.response.data : error.message);
-      return false;
+      console.error(`[B2 Delete] Error al eliminar ${fileName}:`, error.response ? error.response.data : error.message);
+      return null;
     }
   }
 
+  /**
+   * Lista todas las versiones de todos los archivos bajo un prefijo (b2_list_file_versions, todas las páginas).
+   * A diferencia de b2_list_file_names incluye las versiones antiguas y los marcadores de ocultación,
+   * que también ocupan espacio y hay que borrar para vaciar el prefijo.
+   * @param {string} bucketId - ID del bucket
+   * @param {string} prefix - Prefijo, p. ej. "videos/123/"
+   * @returns {Promise<Array>} - Versiones ({ fileName, fileId, action, contentLength... })
+   * @throws {Error} Si B2 rechaza el listado tras los reintentos
+   */
+  async listFileVersionsByPrefix(bucketId, prefix) {
+    const versions = [];
+    let startFileName = null;
+    let startFileId = null;
+    do {
+      const response = await this._apiCall('b2_list_file_versions', {
+        bucketId,
+        prefix,
+        startFileName,
+        startFileId,
+        maxFileCount: 1000
+      });
+      versions.push(...response.data.files);
+      startFileName = response.data.nextFileName;
+      startFileId = response.data.nextFileId;
+    } while (startFileName);
+    return versions;
+  }
+
+  /**
+   * Elimina todas las versiones de todos los archivos bajo un prefijo, varias a la vez (uploadConcurrency).
+   * Un fallo en una versión no detiene las demás: se devuelven por separado para informar del borrado parcial.
+   * También cancela los archivos grandes sin terminar del prefijo y olvida su manifiesto de subida.
+   * @param {string} bucketId - ID del bucket
+   * @param {string} prefix - Prefijo, p. ej. "videos/123/"
+   * @returns {Promise<{deleted: Array, failed: Array, cancelledLargeFiles: number}>}
+   *   deleted: [{ fileName, fileId }], failed: [{ fileName, fileId, error }]
+   * @throws {Error} Si no se pueden listar las versiones
+   */
+  async deleteFilesByPrefix(bucketId, prefix) {
+    const versions = await this.listFileVersionsByPrefix(bucketId, prefix);
+    const deleted = [];
+    const failed = [];
+    let next = 0;
+    const deleteNext = async () => {
+      while (next < versions.length) {
+        const { fileName, fileId } = versions[next++];
+        try {
+          await this._apiCall('b2_delete_file_version', { fileName, fileId });
+          deleted.push({ fileName, fileId });
+        } catch (error) {
+          const message = error.response?.data?.message || error.message;
+          console.error(`[B2 Delete] Error al eliminar ${fileName} (${fileId}):`, message);
+          failed.push({ fileName, fileId, error: message });
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.config.uploadConcurrency, versions.length) }, deleteNext));
+
+    const cancelledLargeFiles = await this.cancelUnfinishedLargeFiles(bucketId, prefix) || 0;
+    await this.removeUploadManifest(bucketId, prefix); // Lo que quede se vuelve a subir entero
+    console.log(`[B2 Delete] ${prefix}: ${deleted.length} versión(es) eliminada(s), ${failed.length} fallo(s), ${cancelledLargeFiles} archivo(s) grande(s) cancelado(s)`);
+    return { deleted, failed, cancelledLargeFiles };
+  }
+
   /**
    * Método para listar archivos en un bucket
    * @param {string} bucketId - ID del bucket
@@ -332,23 +699,13 @@ class BackblazeB2 {
    */
   async listFiles(bucketId, startFileName = null, maxFileCount = 100) {
     try {
-      // Asegurar que estamos autenticados
-      if (!this.config.authorizationToken) {
-        const authSuccess = await this.authorize();
-        if (!authSuccess) return null;
-      }
-
       const params = { bucketId };
       if (startFileName) {
         params.startFileName = startFileName;
       }
       params.maxFileCount = maxFileCount;
 
-      const response = await axios.post(`${this.config.apiUrl}/b2api/v2/b2_list_file_names`, params, {
-        headers: {
-          'Authorization': this.config.authorizationToken
-        }
-      });
+      const response = await this._apiCall('b2_list_file_names', params);
       console.log(`Archivos listados para bucket ${bucketId}:`, response.data.files.length);
       return response.data; // Contiene { files: [], nextFileName: ... }
     } catch (error) {
@@ -368,13 +725,8 @@ class BackblazeB2 {
       // Usar el bucket predeterminado si no se proporciona uno
       const bucket = bucketName || this.config.defaultBucket;
       
-      // Asegurar que estamos autenticados
-      if (!this.config.authorizationToken || !this.config.downloadUrl) {
-        const authSuccess = await this.authorize();
-        if (!authSuccess) {
-          throw new Error('No se pudo autenticar con Backblaze B2');
-        }
-      }
+      // Asegurar que estamos autenticados (y que el token no caduca estando ya en la URL)
+      await this._ensureAuthorized();
 
       // Codificar el nombre del archivo para usarlo en la URL
       const encodedFileName = encodeURIComponent(fileName);
@@ -398,23 +750,13 @@ class BackblazeB2 {
    */
   async searchFilesByPrefix(bucketId, prefix, maxFileCount = 100) {
     try {
-      // Asegurar que estamos autenticados
-      if (!this.config.authorizationToken) {
-        const authSuccess = await this.authorize();
-        if (!authSuccess) return [];
-      }
-
       const params = { 
         bucketId,
         prefix,
         maxFileCount
       };
 
-      const response = await axios.post(`${this.config.apiUrl}/b2api/v2/b2_list_file_names`, params, {
-        headers: {
-          'Authorization': this.config.authorizationToken
-        }
-      });
+      const response = await this._apiCall('b2_list_file_names', params);
 
       console.log(`Archivos encontrados con prefijo '${prefix}':`, response.data.files.length);
       return response.data.files;
@@ -424,6 +766,51 @@ class BackblazeB2 {
     }
   }
 
+  /**
+   * Lista todos los archivos bajo un prefijo, recorriendo todas las páginas de b2_list_file_names.
+   * @param {string} bucketId - ID del bucket
+   * @param {string} prefix - Prefijo (carpeta virtual), p. ej. "videos/123/"
+   * @returns {Promise<Array|null>} - Archivos ({ fileName, fileId, contentLength, uploadTimestamp... }) o null si hubo error
+   */
+  async listFilesByPrefix(bucketId, prefix) {
+    try {
+      const files = [];
+      let startFileName = null;
+      do {
+        const response = await this._apiCall('b2_list_file_names', {
+          bucketId,
+          prefix,
+          startFileName,
+          maxFileCount: 1000
+        });
+        files.push(...response.data.files);
+        startFileName = response.data.nextFileName;
+      } while (startFileName);
+      return files;
+    } catch (error) {
+      console.error(`Error al listar archivos con prefijo '${prefix}':`, error.response ? error.response.data : error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Obtiene un token de descarga limitado a un prefijo y con caducidad (b2_get_download_authorization),
+   * para dar URLs de archivos de un bucket privado sin exponer el token de la cuenta.
+   * @param {string} bucketId - ID del bucket
+   * @param {string} fileNamePrefix - Prefijo de los archivos que podrá descargar el token
+   * @param {number} validDurationInSeconds - Validez (B2 admite de 1 segundo a 7 días)
+   * @returns {Promise<string>} - Token para el parámetro Authorization de la URL de descarga
+   * @throws {Error} Si B2 rechaza la petición
+   */
+  async getDownloadAuthorization(bucketId, fileNamePrefix, validDurationInSeconds) {
+    const response = await this._apiCall('b2_get_download_authorization', {
+      bucketId,
+      fileNamePrefix,
+      validDurationInSeconds
+    });
+    return response.data.authorizationToken;
+  }
+
   /**
    * Método para buscar archivos por nombre en un bucket
    * @param {string} bucketId - ID del bucket
@@ -459,12 +846,6 @@ class BackblazeB2 {
    */
   async listFolder(bucketId, folderPath = '') {
     try {
-      // Asegurar que estamos autenticados
-      if (!this.config.authorizationToken) {
-        const authSuccess = await this.authorize();
-        if (!authSuccess) return { folders: [], files: [] };
-      }
-
       // Normalizar el path para asegurar que termina con /
       const prefix = folderPath ? (folderPath.endsWith('/') ? folderPath : `${folderPath}/`) : '';
       const delimiter = '/';
@@ -475,11 +856,7 @@ class BackblazeB2 {
         delimiter
       };
 
-      const response = await axios.post(`${this.config.apiUrl}/b2api/v2/b2_list_file_names`, params, {
-        headers: {
-          'Authorization': this.config.authorizationToken
-        }
-      });
+      const response = await this._apiCall('b2_list_file_names', params);
 
       // Extraer carpetas (prefijos comunes)
       const folders = response.data.commonPrefixes || [];
@@ -577,7 +954,12 @@ class BackblazeB2 {
     return this.config.apiUrl;
   }
 
-  getAuthToken() {
+  /**
+   * Token de cuenta vigente (se renueva si falta o está a punto de caducar).
+   * @returns {Promise<string>}
+   */
+  async getAuthToken() {
+    await this._ensureAuthorized();
     return this.config.authorizationToken;
   }
 }
@@ -590,17 +972,24 @@ module.exports = {
   // Instancia por defecto para mantener compatibilidad
   authorizeAccount: () => defaultInstance.authorize(),
   listBuckets: () => defaultInstance.listBuckets(),
-  uploadFile: (bucketId, fileName, filePath) => defaultInstance.uploadFile(bucketId, fileName, filePath),
-  downloadFile: (bucketName, fileName, outputPath) => defaultInstance.downloadFile(bucketName, fileName, outputPath),
+  uploadFile: (bucketId, fileName, filePath, options) => defaultInstance.uploadFile(bucketId, fileName, filePath, options),
+  downloadFile: (bucketName, fileName, outputPath, options) => defaultInstance.downloadFile(bucketName, fileName, outputPath, options),
+  downloadFileBuffer: (bucketName, fileName) => defaultInstance.downloadFileBuffer(bucketName, fileName),
+  deleteFile: (bucketId, fileName) => defaultInstance.deleteFile(bucketId, fileName),
+  listFileVersionsByPrefix: (bucketId, prefix) => defaultInstance.listFileVersionsByPrefix(bucketId, prefix),
+  deleteFilesByPrefix: (bucketId, prefix) => defaultInstance.deleteFilesByPrefix(bucketId, prefix),
   listFiles: (bucketId, startFileName, maxFileCount) => defaultInstance.listFiles(bucketId, startFileName, maxFileCount),
   getDownloadUrl: () => defaultInstance.getDownloadUrl(),
   getApiUrl: () => defaultInstance.getApiUrl(),
   getAuthToken: () => defaultInstance.getAuthToken(),
   getDownloadUrlWithToken: (fileName, bucketName) => defaultInstance.getDownloadUrlWithToken(fileName, bucketName),
+  openDownloadStream: (bucketName, fileName, options) => defaultInstance.openDownloadStream(bucketName, fileName, options),
   
   // Nuevos métodos de búsqueda
   searchFilesByPrefix: (bucketId, prefix, maxFileCount) => defaultInstance.searchFilesByPrefix(bucketId, prefix, maxFileCount),
   searchFilesByName: (bucketId, fileName) => defaultInstance.searchFilesByName(bucketId, fileName),
+  listFilesByPrefix: (bucketId, prefix) => defaultInstance.listFilesByPrefix(bucketId, prefix),
+  getDownloadAuthorization: (bucketId, fileNamePrefix, validDurationInSeconds) => defaultInstance.getDownloadAuthorization(bucketId, fileNamePrefix, validDurationInSeconds),
   listFolder: (bucketId, folderPath) => defaultInstance.listFolder(bucketId, folderPath),
   listOnlyFolders: (bucketId, folderPath) => defaultInstance.listOnlyFolders(bucketId, folderPath), // <-- Nuevo método añadido
   listVideoFiles: (bucketId, startFileName, maxFileCount, fileType) => defaultInstance.listVideoFiles(bucketId, startFileName, maxFileCount, fileType),
@@ -608,8 +997,11 @@ module.exports = {
   listMp4Files: (bucketId, startFileName, maxFileCount) => defaultInstance.listMp4Files(bucketId, startFileName, maxFileCount),
 
   // Nuevas funciones de subida y registro
-  uploadDirectoryToB2: (bucketId, localDirPath, b2Prefix) => defaultInstance.uploadDirectoryToB2(bucketId, localDirPath, b2Prefix),
+  uploadDirectoryToB2: (bucketId, localDirPath, b2Prefix, options) => defaultInstance.uploadDirectoryToB2(bucketId, localDirPath, b2Prefix, options),
   getUploadHistory: (key) => defaultInstance.getUploadHistory(key),
+  removeUploadManifest: (bucketId, b2Prefix) => defaultInstance.removeUploadManifest(bucketId, b2Prefix),
+  cancelLargeFile: (fileId) => defaultInstance.cancelLargeFile(fileId),
+  cancelUnfinishedLargeFiles: (bucketId, namePrefix) => defaultInstance.cancelUnfinishedLargeFiles(bucketId, namePrefix),
 
   // Exportar la clase para crear nuevas instancias
   BackblazeB2
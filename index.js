@@ -8,13 +8,25 @@ const b2 = require('./back.js'); // Importar módulo de Backblaze B2 (para autor
 const morgan = require('morgan'); // Import morgan
 const ffmpeg = require('fluent-ffmpeg'); // Still needed for ffprobe in utils/hls
 const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
-const axios = require("axios")
 // Import utils and routes
 const { ensureDirExists, VIDEOS_DIR_ROOT } = require('./utils/hls'); // VIDEOS_DIR_ROOT para asegurar directorio
+const { getContentType, MEDIA_CONTENT_TYPES } = require('./utils/mime'); // Content-Type de playlists y segmentos
+const { jobQueue } = require('./lib/queue'); // Cola persistente de trabajos de conversión
+const { registerJobHandlers } = require('./utils/jobs'); // Handlers de los trabajos HLS
 const uploadRoutes = require('./routes/upload'); // Ruta para subida local y conversión HLS
 const videoRoutes = require('./routes/videos'); // Ruta para listar videos HLS locales
 const b2Routes = require('./routes/b2.js'); // Nuevas rutas para Backblaze B2
 const b2get = require('./routes/b2get.js'); // Importar módulo de Backblaze B2 (para autorización inicial)
+const jobRoutes = require('./routes/jobs'); // Estado y progreso de los trabajos de conversión
+const profileRoutes = require('./routes/profiles'); // Perfiles de codificación con nombre
+const keyRoutes = require('./routes/keys'); // Entrega autenticada de claves AES-128
+const subtitleRoutes = require('./routes/subtitles'); // Pistas ASS por video para JASSUB
+const tusRoutes = require('./routes/tus'); // Subidas reanudables (protocolo tus)
+const importRoutes = require('./routes/import'); // Importar videos desde una URL o desde B2
+const publishRoutes = require('./routes/publish'); // Subir, convertir y publicar en el almacenamiento configurado
+const storageRoutes = require('./routes/storage'); // URLs firmadas del almacenamiento local
+const { getStorage } = require('./lib/storage'); // Backend de almacenamiento (STORAGE_BACKEND: local, b2 o s3)
+const { startExpirySweep } = require('./lib/tusUploads'); // Barrido de las subidas tus caducadas
 
 // Set ffmpeg path (needs to be done once)
 ffmpeg.setFfmpegPath(ffmpegPath);
@@ -32,38 +44,44 @@ app.use(morgan('dev')); // Add HTTP request logging ('dev' format is concise)
 
 // Serve static files
 app.use(express.static(PUBLIC_DIR)); // Serve frontend examples from public/
-app.use('/processed', express.static(PROCESSED_DIR_ROOT)); // Servir videos HLS procesados localmente
+app.use('/processed', express.static(PROCESSED_DIR_ROOT, { // Servir videos HLS procesados localmente
+    setHeaders: (res, filePath) => {
+        if (MEDIA_CONTENT_TYPES[path.extname(filePath).toLowerCase()]) res.setHeader('Content-Type', getContentType(filePath));
+    }
+}));
 
 // --- API Routes ---
 app.use('/upload', uploadRoutes);   // Ruta para subida local y conversión HLS
 app.use('/videos', videoRoutes);   // Ruta para listar videos HLS locales
+app.use('/publish', publishRoutes); // Subida + conversión HLS + publicación en el almacenamiento configurado
+app.use('/b2/upload-hls', publishRoutes); // Nombre anterior de /publish, se mantiene por compatibilidad
 app.use('/b2', b2Routes);          // Rutas para interactuar con Backblaze B2 (/b2/upload, /b2/videos)
 app.use('/b2', b2get);          // Rutas para interactuar con Backblaze B2 (/b2/upload, /b2/videos)
+app.use('/jobs', jobRoutes);       // Estado de los trabajos de conversión (/jobs/:id)
+app.use('/profiles', profileRoutes); // Perfiles de codificación (ladder, codec, CRF, GOP...)
+app.use('/keys', keyRoutes);       // Claves de los videos cifrados (#EXT-X-KEY), requiere KEY_ACCESS_TOKEN
+app.use('/subtitles', subtitleRoutes); // Subir, listar, obtener y borrar pistas .ass de cada video
+app.use('/tus', tusRoutes);        // Subidas por trozos reanudables; al completarse se encolan como /upload o /b2/upload-hls
+app.use('/import', importRoutes);  // Descarga un video de una URL o de B2, lo valida con ffprobe y lo encola
+app.use('/storage', storageRoutes); // Archivos del almacenamiento local por URL firmada (?expires=&signature=)
 
 app.get('/stream-resource/:videoId/:resourcePath(*)', async (req, res) => {
     const { videoId, resourcePath } = req.params;
-    const backblazeBaseUrl = 'https://f005.backblazeb2.com/file/cloud-video-store/';
-    const token = await b2.getAuthToken();
-    const resourceUrl = `${backblazeBaseUrl}${videoId}/${resourcePath}?Authorization=`+token; // Ejemplo: "video123/480p/playlist.m3u8"
-    console.log("resourceUrl",resourceUrl)
+    const fileName = `${videoId}/${resourcePath}`; // Ejemplo: "video123/480p/playlist.m3u8"
     try {
-      const response = await axios.get(resourceUrl, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-        responseType: 'stream', // Para manejar .ts y otros flujos
-      });
-  
-      const contentType = resourceUrl.endsWith('.m3u8')
-        ? 'application/vnd.apple.mpegurl'
-        : 'video/mp2t'; // Para .ts
-      res.setHeader('Content-Type', contentType);
-      response.data.pipe(res);
+      // En B2 getStream renueva el token si caducó; en todos los backends se reintentan los errores temporales
+      const object = await getStorage().getStream(fileName);
+      if (!object) return res.status(404).send('Recurso no encontrado');
+
+      // .m3u8, .ts, .m4s, init.mp4...
+      res.setHeader('Content-Type', getContentType(resourcePath, object.contentType));
+      res.on('close', () => object.stream.destroy()); // El reproductor cerró la conexión: dejar de leer del almacenamiento
+      object.stream.pipe(res);
     } catch (error) {
-      console.error(`Error fetching resource ${resourceUrl}:`, error);
-      res.status(500).send('Error al procesar el recurso');
+      console.error(`Error fetching resource ${fileName}:`, error.status || error.response?.status || error.message);
+      res.status(error.status === 400 ? 400 : 500).send('Error al procesar el recurso');
     }
-  });
+});
 // --- Basic Root Route (Optional) ---
 app.get('/', (req, res) => {
     // Send the index.html from the public directory
@@ -85,14 +103,21 @@ app.use((err, req, res, next) => {
 // --- Start Server ---
 const startServer = async () => {
     try {
-        // 1. Autorizar con Backblaze B2
+        // 1. Backend de almacenamiento (falla aquí si le falta configuración) y autorización con Backblaze B2
+        const storage = getStorage();
+        console.log(`Storage backend: ${storage.name} (${storage.id})`);
         console.log("Attempting Backblaze B2 authorization...");
         const authSuccess = await b2.authorizeAccount();
         if (!authSuccess) {
-            console.error("Backblaze B2 authorization failed. Server cannot start.");
-            process.exit(1); // Salir si la autorización falla
+            // Sin B2 solo se puede arrancar si los videos se publican en otro backend (las rutas /b2 fallarán)
+            if (storage.name === 'b2') {
+                console.error("Backblaze B2 authorization failed. Server cannot start.");
+                process.exit(1); // Salir si la autorización falla
+            }
+            console.warn(`Backblaze B2 authorization failed. Continuing with the ${storage.name} storage backend; /b2 routes will not work.`);
+        } else {
+            console.log("Backblaze B2 authorization successful.");
         }
-        console.log("Backblaze B2 authorization successful.");
         console.log("videosDir",VIDEOS_DIR_ROOT,"processedDirRoot",PROCESSED_DIR_ROOT)
         // 2. Asegurar directorios necesarios al inicio
         await ensureDirExists(VIDEOS_DIR_ROOT); // Directorio para videos originales subidos localmente
@@ -103,8 +128,14 @@ const startServer = async () => {
             console.log(`Created temporary upload directory: ${tempDir}`);
         }
 
+        // 3. Arrancar la cola de trabajos (retoma los trabajos interrumpidos por un reinicio)
+        registerJobHandlers(jobQueue);
+        await jobQueue.start();
+
+        // 4. Borrar periódicamente las subidas tus caducadas (temp_uploads/tus/)
+        startExpirySweep();
 
-        // 3. Iniciar el servidor Express
+        // 5. Iniciar el servidor Express
         app.listen(PORT, () => {
             console.log(`Server listening on port ${PORT}`);
             console.log(`Frontend example: http://localhost:${PORT}/`);
@@ -112,8 +143,15 @@ const startServer = async () => {
             console.log(`List Local HLS Videos endpoint: GET http://localhost:${PORT}/videos`);
             console.log(`Access processed HLS videos base URL: http://localhost:${PORT}/processed/`);
             console.log(`B2 Direct Upload endpoint: POST http://localhost:${PORT}/b2/upload (form-data field: 'videoFile')`);
-            console.log(`B2 HLS Upload endpoint: POST http://localhost:${PORT}/b2/upload-hls (form-data field: 'videoFile')`);
+            console.log(`Publish endpoint: POST http://localhost:${PORT}/publish (alias /b2/upload-hls, form-data field: 'video')`);
             console.log(`B2 List Videos endpoint: GET http://localhost:${PORT}/b2/videos`);
+            console.log(`Job status endpoint: GET http://localhost:${PORT}/jobs/:id`);
+            console.log(`Encoding profiles endpoint: GET/POST http://localhost:${PORT}/profiles`);
+            console.log(`HLS key endpoint: GET http://localhost:${PORT}/keys/:videoId/:keyId`);
+            console.log(`ASS subtitle tracks endpoint: GET/POST http://localhost:${PORT}/subtitles/:videoId`);
+            console.log(`Resumable upload endpoint (tus 1.0.0): POST/HEAD/PATCH http://localhost:${PORT}/tus`);
+            console.log(`Import endpoint: POST http://localhost:${PORT}/import (JSON: url or b2FileName)`);
+            if (storage.name === 'local') console.log(`Signed local storage URLs: GET http://localhost:${PORT}/storage/:key`);
         });
     } catch (error) {
         console.error("Failed to start server or authorize B2:", error);
@@ -0,0 +1,265 @@
+// assTracks.js
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { readAssManifest, writeAssManifest, ASS_DIR_NAME, ASS_MANIFEST_NAME } = require('../utils/subtitles');
+const { readFontManifest, FONTS_DIR_NAME, FONT_MANIFEST_NAME } = require('../utils/fonts');
+
+// Pistas ASS/SSA de cada video para JASSUB. Se guardan junto al árbol HLS, en <video>/ass/:
+// <trackId>.ass más tracks.json con { id, label, language, isDefault, source, fileName }.
+// Las fuentes que usan (adjuntas en el MKV) están en <video>/fonts/ con fonts.json: { fileName, names, mimetype }.
+// Un video puede estar en local (processed_videos/<videoId>) o publicado en el backend de STORAGE_BACKEND
+// (prefijo <b2Prefix>/, p. ej. "videos/123"), al que se accede con la interfaz común de lib/storage.
+const PROCESSED_DIR = path.join(__dirname, '..', 'processed_videos');
+const TRACK_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const MAX_LABEL_LENGTH = 100;
+
+const videoLocks = new Map(); // videoId -> Promise, serializa las escrituras de tracks.json
+
+/**
+ * Ejecuta fn cuando terminen las operaciones anteriores sobre el mismo video.
+ */
+function withVideoLock(videoId, fn) {
+    const previous = videoLocks.get(videoId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    const settled = current.catch(() => {});
+    videoLocks.set(videoId, settled);
+    settled.then(() => {
+        if (videoLocks.get(videoId) === settled) videoLocks.delete(videoId);
+    });
+    return current;
+}
+
+/**
+ * Localiza el árbol HLS de un video.
+ * @param {string} videoId - Id local o prefijo publicado en el almacenamiento
+ * @returns {Promise<{type: 'local', dir: string}|{type: 'storage', prefix: string, storage: object}|null>} - null si no existe
+ */
+async function resolveVideoLocation(videoId) {
+    if (typeof videoId !== 'string' || !videoId.trim()) return null;
+    if (path.basename(videoId) === videoId && videoId !== '..') {
+        const dir = path.join(PROCESSED_DIR, videoId);
+        const stats = await fs.stat(dir).catch(() => null);
+        if (stats?.isDirectory()) return { type: 'local', dir };
+    }
+    const storage = getStorage();
+    const prefix = videoId.replace(/^\/+|\/+$/g, '');
+    const masterKey = `${prefix}/master.m3u8`;
+    let objects;
+    try {
+        objects = await storage.list(masterKey);
+    } catch (error) {
+        if (error.status === 400) return null; // Clave no válida para el backend (p. ej. "../" en local)
+        throw error;
+    }
+    return objects.some(object => object.key === masterKey) ? { type: 'storage', prefix, storage } : null;
+}
+
+// --- Acceso a los archivos de ass/ y fonts/ en cada ubicación ---
+
+const describeLocation = (location) => (location.type === 'local' ? 'local' : location.storage.name);
+
+// Lee un archivo pequeño (JSON, .ass, fuente) del almacenamiento. null solo si no existe
+async function readStorageFile(location, key) {
+    const object = await location.storage.getStream(`${location.prefix}/${key}`);
+    if (!object) return null;
+    const chunks = [];
+    for await (const chunk of object.stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+async function writeStorageFile(location, key, content) {
+    // put sube desde disco: archivo temporal
+    const tempPath = path.join(os.tmpdir(), `ass-${crypto.randomBytes(6).toString('hex')}-${path.basename(key)}`);
+    try {
+        await fs.writeFile(tempPath, content);
+        await location.storage.put(`${location.prefix}/${key}`, tempPath);
+    } finally {
+        await fs.rm(tempPath, { force: true });
+    }
+}
+
+async function readLocalFile(location, dirName, fileName) {
+    return fs.readFile(path.join(location.dir, dirName, fileName)).catch(error => {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    });
+}
+
+// Solo "no existe" cuenta como lista vacía: cualquier otro fallo se propaga para que addAssTrack no pise tracks.json
+async function readManifest(location) {
+    if (location.type === 'local') return readAssManifest(location.dir);
+    const data = await readStorageFile(location, `${ASS_DIR_NAME}/${ASS_MANIFEST_NAME}`);
+    return data ? JSON.parse(data.toString('utf8')) : [];
+}
+
+async function writeManifest(location, tracks) {
+    if (location.type === 'local') return writeAssManifest(location.dir, tracks);
+    await writeStorageFile(location, `${ASS_DIR_NAME}/${ASS_MANIFEST_NAME}`, JSON.stringify(tracks, null, 2));
+}
+
+async function writeTrackFile(location, fileName, content) {
+    if (location.type === 'local') {
+        await fs.mkdir(path.join(location.dir, ASS_DIR_NAME), { recursive: true });
+        return fs.writeFile(path.join(location.dir, ASS_DIR_NAME, fileName), content);
+    }
+    await writeStorageFile(location, `${ASS_DIR_NAME}/${fileName}`, content);
+}
+
+async function readTrackFile(location, fileName) {
+    if (location.type === 'local') return readLocalFile(location, ASS_DIR_NAME, fileName);
+    return readStorageFile(location, `${ASS_DIR_NAME}/${fileName}`);
+}
+
+async function readFontsManifest(location) {
+    if (location.type === 'local') return readFontManifest(location.dir);
+    const data = await readStorageFile(location, `${FONTS_DIR_NAME}/${FONT_MANIFEST_NAME}`);
+    return data ? JSON.parse(data.toString('utf8')) : [];
+}
+
+async function readFontFile(location, fileName) {
+    if (location.type === 'local') return readLocalFile(location, FONTS_DIR_NAME, fileName);
+    return readStorageFile(location, `${FONTS_DIR_NAME}/${fileName}`);
+}
+
+async function removeTrackFile(location, fileName) {
+    if (location.type === 'local') {
+        return fs.rm(path.join(location.dir, ASS_DIR_NAME, fileName), { force: true });
+    }
+    await location.storage.delete(`${location.prefix}/${ASS_DIR_NAME}/${fileName}`);
+}
+
+// --- API ---
+
+/**
+ * Valida una pista ASS subida y devuelve sus campos normalizados.
+ * @param {object} track - { content (Buffer), label?, language?, isDefault? }
+ * @returns {object}
+ * @throws {Error} Si el contenido no es ASS/SSA o los campos no son válidos
+ */
+function validateAssTrack({ content, label, language, isDefault }) {
+    const text = Buffer.isBuffer(content) ? content.toString('utf8').replace(/^\uFEFF/, '').trimStart() : '';
+    if (!text.startsWith('[Script Info]')) {
+        throw new Error('Not an ASS/SSA subtitle: the file must start with [Script Info].');
+    }
+    if (label !== undefined && (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH)) {
+        throw new Error(`Label must be a string of at most ${MAX_LABEL_LENGTH} characters.`);
+    }
+    if (language && !/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})?$/.test(language)) {
+        throw new Error(`Invalid language tag '${language}' (expected e.g. "spa" or "es-419").`);
+    }
+    return { content, label: label || null, language: language || null, isDefault: Boolean(isDefault) };
+}
+
+/**
+ * Lista las pistas ASS de un video.
+ * @param {string} videoId - Id local o prefijo publicado
+ * @returns {Promise<Array<object>|null>} - null si el video no existe
+ */
+async function listAssTracks(videoId) {
+    const location = await resolveVideoLocation(videoId);
+    if (!location) return null;
+    return readManifest(location);
+}
+
+/**
+ * Obtiene una pista y su contenido.
+ * @param {string} videoId
+ * @param {string} trackId
+ * @returns {Promise<{track: object, content: Buffer}|null>} - null si el video o la pista no existen
+ */
+async function getAssTrack(videoId, trackId) {
+    if (!TRACK_ID_PATTERN.test(trackId)) return null;
+    const location = await resolveVideoLocation(videoId);
+    if (!location) return null;
+    const track = (await readManifest(location)).find(t => t.id === trackId);
+    if (!track) return null;
+    const content = await readTrackFile(location, track.fileName);
+    return content ? { track, content } : null;
+}
+
+/**
+ * Añade una pista subida. Si es la predeterminada, las demás dejan de serlo.
+ * @param {string} videoId
+ * @param {object} fields - Validados con validateAssTrack
+ * @returns {Promise<object|null>} - La pista guardada o null si el video no existe
+ */
+async function addAssTrack(videoId, fields) {
+    const location = await resolveVideoLocation(videoId);
+    if (!location) return null;
+    return withVideoLock(videoId, async () => {
+        const tracks = await readManifest(location);
+        const id = crypto.randomBytes(6).toString('hex');
+        const track = {
+            id,
+            label: fields.label || fields.language || `ASS ${tracks.length + 1}`,
+            language: fields.language,
+            isDefault: fields.isDefault,
+            source: 'upload',
+            fileName: `${id}.ass`
+        };
+        await writeTrackFile(location, track.fileName, fields.content);
+        const updated = [...tracks.map(t => (track.isDefault ? { ...t, isDefault: false } : t)), track];
+        await writeManifest(location, updated);
+        console.log(`[ASS Tracks] Pista ${id} añadida a ${videoId} (${describeLocation(location)})`);
+        return track;
+    });
+}
+
+/**
+ * Elimina una pista (también las incrustadas).
+ * @param {string} videoId
+ * @param {string} trackId
+ * @returns {Promise<boolean|null>} - null si el video no existe, false si la pista no existe
+ */
+async function deleteAssTrack(videoId, trackId) {
+    const location = await resolveVideoLocation(videoId);
+    if (!location) return null;
+    return withVideoLock(videoId, async () => {
+        const tracks = await readManifest(location);
+        const track = tracks.find(t => t.id === trackId);
+        if (!track) return false;
+        await writeManifest(location, tracks.filter(t => t.id !== trackId));
+        await removeTrackFile(location, track.fileName);
+        console.log(`[ASS Tracks] Pista ${trackId} eliminada de ${videoId} (${describeLocation(location)})`);
+        return true;
+    });
+}
+
+/**
+ * Lista las fuentes adjuntas de un video.
+ * @param {string} videoId - Id local o prefijo publicado
+ * @returns {Promise<Array<object>|null>} - null si el video no existe
+ */
+async function listFonts(videoId) {
+    const location = await resolveVideoLocation(videoId);
+    if (!location) return null;
+    return readFontsManifest(location);
+}
+
+/**
+ * Obtiene una fuente y su contenido. Solo sirve archivos listados en fonts.json.
+ * @param {string} videoId
+ * @param {string} fileName
+ * @returns {Promise<{font: object, content: Buffer}|null>} - null si el video o la fuente no existen
+ */
+async function getFont(videoId, fileName) {
+    const location = await resolveVideoLocation(videoId);
+    if (!location) return null;
+    const font = (await readFontsManifest(location)).find(f => f.fileName === fileName);
+    if (!font) return null;
+    const content = await readFontFile(location, font.fileName);
+    return content ? { font, content } : null;
+}
+
+module.exports = {
+    listAssTracks,
+    getAssTrack,
+    addAssTrack,
+    deleteAssTrack,
+    validateAssTrack,
+    listFonts,
+    getFont
+};
@@ -0,0 +1,237 @@
+// profiles.js
+const fs = require('fs').promises;
+const path = require('path');
+const {
+    parseLadder, parseSegmentType, parseKeyRotation, parsePosterTime, parseThumbnailCount, parseHlsFormOptions
+} = require('../utils/hls');
+
+// Archivo JSON con los perfiles de codificación (configurable con PROFILES_FILE en .env)
+const PROFILES_FILE_PATH = process.env.PROFILES_FILE
+    ? path.resolve(process.env.PROFILES_FILE)
+    : path.join(__dirname, '..', 'profiles.json');
+
+// Perfiles iniciales, se escriben en el archivo la primera vez que no existe
+const DEFAULT_PROFILES = {
+    default: {
+        description: 'Opciones por defecto de utils/hls.js'
+    },
+    mobile: {
+        description: 'Escalera ligera para redes móviles',
+        ladder: [{ height: 480, bitrate: '1000k' }, { height: 360, bitrate: '600k' }, { height: 240, bitrate: '300k' }],
+        includeOriginal: false,
+        crf: 23,
+        hlsTime: 6,
+        audioBitrate: '96k'
+    },
+    hq: {
+        description: 'Alta calidad hasta 1080p',
+        ladder: [{ height: 1080, bitrate: '6000k' }, { height: 720, bitrate: '3500k' }, { height: 480, bitrate: '1600k' }],
+        crf: 18,
+        gopSize: 48,
+        audioBitrate: '192k'
+    }
+};
+
+// Perfil o nombre no válido: las rutas responden 400 solo a estos errores (los de lectura o escritura del archivo son 500)
+const validationError = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Campos de un perfil y cómo se validan. Todos son opciones de convertToHls salvo 'description'.
+const PROFILE_FIELDS = {
+    description: (value) => typeof value === 'string',
+    ladder: (value) => Boolean(parseLadder(value)), // parseLadder lanza un error descriptivo si no es válida
+    includeOriginal: (value) => typeof value === 'boolean',
+    videoCodec: (value) => typeof value === 'string' && /^[\w-]+$/.test(value),
+    videoProfile: (value) => typeof value === 'string' && /^[\w-]+$/.test(value),
+    crf: (value) => Number.isInteger(value) && value >= 0 && value <= 51,
+    gopSize: (value) => Number.isInteger(value) && value > 0,
+    hlsTime: (value) => typeof value === 'number' && value > 0,
+    segmentType: (value) => Boolean(parseSegmentType(value)), // 'mpegts' o 'fmp4'
+    dash: (value) => typeof value === 'boolean', // Manifiesto DASH además del HLS (fuerza fMP4)
+    encrypt: (value) => typeof value === 'boolean', // Cifrado AES-128 de los segmentos
+    iFramePlaylists: (value) => typeof value === 'boolean', // Playlists de solo I-frames (avance/retroceso rápido)
+    multiAudio: (value) => typeof value === 'boolean', // Una rendición de audio por pista (idiomas doblados)
+    subtitles: (value) => typeof value === 'boolean', // Subtítulos de texto del origen como renditions WebVTT
+    keyRotationSegments: (value) => Number.isInteger(value) && parseKeyRotation(value) >= 0,
+    poster: (value) => typeof value === 'boolean',
+    posterTime: (value) => value === null || parsePosterTime(value) !== undefined, // Segundos o '25%'
+    thumbnailCount: (value) => parseThumbnailCount(value) >= 0,
+    thumbnailWidth: (value) => Number.isInteger(value) && value >= 16,
+    sprite: (value) => typeof value === 'boolean',
+    spriteInterval: (value) => typeof value === 'number' && value > 0,
+    spriteWidth: (value) => Number.isInteger(value) && value >= 16,
+    spriteColumns: (value) => Number.isInteger(value) && value > 0,
+    spriteRows: (value) => Number.isInteger(value) && value > 0,
+    audioCodec: (value) => typeof value === 'string' && /^[\w-]+$/.test(value),
+    audioBitrate: (value) => typeof value === 'string' && /^\d+k$/i.test(value)
+};
+
+// Claves de Object.prototype que no pueden ser nombres de perfil
+const RESERVED_PROFILE_NAMES = ['__proto__', 'constructor', 'prototype'];
+
+let profilesStore = null; // Caché en memoria, se carga en el primer acceso
+
+/**
+ * Carga los perfiles desde el archivo JSON, creándolo con los perfiles iniciales si no existe.
+ */
+async function loadProfiles() {
+    try {
+        const data = await fs.readFile(PROFILES_FILE_PATH, 'utf8');
+        profilesStore = JSON.parse(data);
+        console.log('[Profiles] Perfiles cargados desde:', PROFILES_FILE_PATH);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            console.log('[Profiles] Archivo de perfiles no encontrado, creando perfiles iniciales.');
+            profilesStore = JSON.parse(JSON.stringify(DEFAULT_PROFILES));
+            await saveProfiles();
+        } else {
+            console.error('[Profiles] Error al cargar perfiles:', error);
+            throw error;
+        }
+    }
+}
+
+/**
+ * Guarda todos los perfiles en el archivo JSON.
+ */
+async function saveProfiles() {
+    await fs.writeFile(PROFILES_FILE_PATH, JSON.stringify(profilesStore, null, 2), 'utf8');
+}
+
+async function ensureLoaded() {
+    if (!profilesStore) await loadProfiles();
+}
+
+/**
+ * Valida un perfil y devuelve una copia normalizada (la escalera en formato objeto).
+ * @param {object} profile - Campos del perfil
+ * @returns {object}
+ * @throws {Error} 400 si hay campos desconocidos o valores inválidos
+ */
+function validateProfile(profile) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        throw validationError('Profile must be a JSON object.');
+    }
+    const normalized = {};
+    Object.entries(profile).forEach(([key, value]) => {
+        if (key === 'name') return; // El nombre va en la URL o se guarda como clave
+        const validate = Object.prototype.hasOwnProperty.call(PROFILE_FIELDS, key) ? PROFILE_FIELDS[key] : null;
+        if (!validate) {
+            throw validationError(`Unknown profile field '${key}'. Allowed: ${Object.keys(PROFILE_FIELDS).join(', ')}`);
+        }
+        let valid;
+        try {
+            valid = validate(value);
+        } catch (error) {
+            throw validationError(error.message); // parseLadder y compañía explican qué falla
+        }
+        if (!valid) {
+            throw validationError(`Invalid value for profile field '${key}': ${JSON.stringify(value)}`);
+        }
+        normalized[key] = key === 'ladder' ? parseLadder(value) : value;
+    });
+    return normalized;
+}
+
+/**
+ * Comprueba que un nombre de perfil sea válido (se usa en URLs y formularios).
+ * @param {string} name
+ * @throws {Error} 400 si no es válido
+ */
+function validateProfileName(name) {
+    if (typeof name !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(name)) {
+        throw validationError('Profile name must be 1-64 characters: letters, numbers, "_" or "-".');
+    }
+    // profilesStore es un objeto normal: "__proto__" cambiaría su prototipo en vez de añadir un perfil
+    if (RESERVED_PROFILE_NAMES.includes(name)) {
+        throw validationError(`'${name}' is a reserved name and cannot be used as a profile name.`);
+    }
+}
+
+/**
+ * Lista todos los perfiles.
+ * @returns {Promise<Array<object>>} - [{ name, ...campos }]
+ */
+async function listProfiles() {
+    await ensureLoaded();
+    return Object.entries(profilesStore).map(([name, profile]) => ({ name, ...profile }));
+}
+
+/**
+ * Obtiene un perfil por nombre.
+ * @param {string} name
+ * @returns {Promise<object|null>} - { name, ...campos } o null si no existe
+ */
+async function getProfile(name) {
+    await ensureLoaded();
+    return Object.prototype.hasOwnProperty.call(profilesStore, name) ? { name, ...profilesStore[name] } : null;
+}
+
+/**
+ * Devuelve las opciones de convertToHls de un perfil (sin la descripción).
+ * @param {string} name
+ * @returns {Promise<object|null>} - userOptions o null si el perfil no existe
+ */
+async function getProfileOptions(name) {
+    const profile = await getProfile(name);
+    if (!profile) return null;
+    const { name: _name, description, ...options } = profile;
+    return options;
+}
+
+/**
+ * Resuelve las opciones HLS de un formulario de subida: primero el perfil (`profile=<name>`)
+ * y encima los campos sueltos del formulario (p. ej. `ladder`).
+ * @param {object} body - req.body del formulario multipart
+ * @returns {Promise<object>} - userOptions para convertToHls
+ * @throws {Error} Si el perfil no existe o alguna opción no es válida
+ */
+async function resolveUploadOptions(body = {}) {
+    let profileOptions = {};
+    if (body.profile) {
+        profileOptions = await getProfileOptions(body.profile);
+        if (!profileOptions) throw new Error(`Unknown encoding profile '${body.profile}'.`);
+    }
+    return { ...profileOptions, ...parseHlsFormOptions(body) };
+}
+
+/**
+ * Crea o reemplaza un perfil.
+ * @param {string} name
+ * @param {object} profile - Campos del perfil
+ * @returns {Promise<object>} - El perfil guardado { name, ...campos }
+ * @throws {Error} 400 si el nombre o los campos no son válidos; otro error si no se puede guardar el archivo
+ */
+async function saveProfile(name, profile) {
+    validateProfileName(name);
+    const normalized = validateProfile(profile);
+    await ensureLoaded();
+    profilesStore[name] = normalized;
+    await saveProfiles();
+    console.log(`[Profiles] Perfil guardado: ${name}`);
+    return { name, ...normalized };
+}
+
+/**
+ * Elimina un perfil.
+ * @param {string} name
+ * @returns {Promise<boolean>} - true si existía
+ */
+async function deleteProfile(name) {
+    await ensureLoaded();
+    if (!Object.prototype.hasOwnProperty.call(profilesStore, name)) return false;
+    delete profilesStore[name];
+    await saveProfiles();
+    console.log(`[Profiles] Perfil eliminado: ${name}`);
+    return true;
+}
+
+module.exports = {
+    listProfiles,
+    getProfile,
+    getProfileOptions,
+    resolveUploadOptions,
+    saveProfile,
+    deleteProfile,
+    validateProfile,
+    validateProfileName
+};
@@ -0,0 +1,364 @@
+// queue.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// Archivo JSON donde se persisten los trabajos (en la raíz del proyecto, igual que db.js)
+const JOBS_FILE_PATH = path.join(__dirname, '..', 'jobs.json');
+
+// Estados en los que un trabajo ya no se ejecuta. Cualquier otro estado distinto de 'queued'
+// (running, probing, encoding, uploading...) significa que el trabajo está en curso.
+const TERMINAL_STATES = ['done', 'failed', 'cancelled'];
+
+/**
+ * Cola de trabajos persistente en disco con concurrencia configurable.
+ * Cada trabajo tiene un tipo ('hls', 'b2-hls', ...) que se resuelve con un handler registrado.
+ * Los trabajos que estaban en ejecución cuando el servidor se detuvo se vuelven a encolar al arrancar.
+ *
+ * Eventos emitidos:
+ * - 'job' (job): cualquier cambio en un trabajo
+ * - 'job:event' ({ jobId, event, data }): eventos tipados para los suscriptores en vivo (SSE):
+ *   'state', 'progress', 'done', 'failed', 'cancelled' y los que emita cada handler ('rendition', 'upload'...)
+ */
+class JobQueue extends EventEmitter {
+    /**
+     * @param {Object} options - Opciones de configuración
+     * @param {string} options.filePath - Ruta del archivo JSON de persistencia
+     * @param {number} options.concurrency - Número máximo de trabajos simultáneos (por defecto JOB_CONCURRENCY de .env o 1)
+     */
+    constructor(options = {}) {
+        super();
+        this.filePath = options.filePath || JOBS_FILE_PATH;
+        this.concurrency = Math.max(1, parseInt(options.concurrency || process.env.JOB_CONCURRENCY, 10) || 1);
+        this.jobs = new Map(); // id -> job
+        this.handlers = new Map(); // type -> { handler: async (job, ctx) => result, initialState }
+        this.running = new Set(); // ids en ejecución
+        this.cancelRequested = new Set(); // ids en ejecución cuya cancelación se pidió
+        this.cancelHooks = new Map(); // id -> [funciones que detienen el trabajo en curso]
+        this.started = false;
+        this._saveChain = Promise.resolve(); // Serializa las escrituras al archivo
+        this.setMaxListeners(0); // Cada conexión SSE añade un listener
+    }
+
+    /**
+     * Registra el handler que ejecutará los trabajos de un tipo.
+     * El handler recibe el trabajo y un contexto para informar de su avance y atender cancelaciones:
+     * { setState(state, patch), setProgress(progress), emitEvent(event, data), onCancel(fn), isCancelled() }
+     * @param {string} type - Tipo de trabajo
+     * @param {function(object, object): Promise<object>} handler - Función que procesa el trabajo y devuelve su resultado
+     * @param {object} options - Opciones del tipo de trabajo
+     * @param {string} options.initialState - Estado con el que arranca el trabajo (por defecto 'running')
+     * @param {function(object): Promise<void>} options.cleanup - Limpia los archivos de un trabajo cancelado
+     */
+    registerHandler(type, handler, { initialState = 'running', cleanup = null } = {}) {
+        this.handlers.set(type, { handler, initialState, cleanup });
+    }
+
+    /**
+     * Carga los trabajos persistidos y empieza a procesar la cola.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        await this._load();
+        let requeued = 0;
+        for (const job of this.jobs.values()) {
+            if (job.state !== 'queued' && !TERMINAL_STATES.includes(job.state)) {
+                // El servidor se detuvo a mitad del trabajo: volver a encolarlo
+                job.state = 'queued';
+                job.updatedAt = new Date().toISOString();
+                requeued++;
+            }
+        }
+        if (requeued > 0) {
+            console.log(`[Queue] ${requeued} trabajo(s) interrumpido(s) vuelto(s) a encolar.`);
+            await this._save();
+        }
+        this.started = true;
+        console.log(`[Queue] Cola iniciada con concurrencia ${this.concurrency}. Trabajos pendientes: ${this._pending().length}`);
+        this._pump();
+    }
+
+    /**
+     * Encola un nuevo trabajo y lo persiste antes de devolverlo.
+     * @param {string} type - Tipo de trabajo (debe tener un handler registrado)
+     * @param {object} payload - Datos necesarios para ejecutar el trabajo
+     * @returns {Promise<object>} - El trabajo creado
+     */
+    async enqueue(type, payload = {}) {
+        if (!this.handlers.has(type)) {
+            throw new Error(`No hay handler registrado para trabajos de tipo '${type}'`);
+        }
+        const now = new Date().toISOString();
+        const job = {
+            id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+            type,
+            state: 'queued',
+            payload,
+            result: null,
+            error: null,
+            progress: null,
+            attempts: 0,
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            finishedAt: null
+        };
+        this.jobs.set(job.id, job);
+        await this._save();
+        console.log(`[Queue] Trabajo encolado: ${job.id} (${type})`);
+        this.emit('job', job);
+        this._pump();
+        return job;
+    }
+
+    /**
+     * Obtiene un trabajo por su ID.
+     * @param {string} id - ID del trabajo
+     * @returns {object|null}
+     */
+    getJob(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Lista todos los trabajos, del más reciente al más antiguo.
+     * @returns {Array<object>}
+     */
+    listJobs() {
+        return [...this.jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Trabajos en cola o en curso, p. ej. para no borrar archivos que un trabajo todavía está escribiendo.
+     * @returns {Array<object>}
+     */
+    listActiveJobs() {
+        return this.listJobs().filter(job => !TERMINAL_STATES.includes(job.state));
+    }
+
+    /**
+     * Aplica cambios a un trabajo y los persiste.
+     * @param {string} id - ID del trabajo
+     * @param {object} patch - Campos a actualizar
+     * @param {object} options
+     * @param {boolean} options.persist - false para cambios frecuentes (progreso) que no merecen escribir a disco
+     * @returns {Promise<object|null>} - El trabajo actualizado o null si no existe
+     */
+    async updateJob(id, patch, { persist = true } = {}) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+        const previousState = job.state;
+        Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+        if (persist) await this._save();
+        this.emit('job', job);
+        if (patch.state && patch.state !== previousState) {
+            this.emitJobEvent(id, 'state', { state: job.state });
+        }
+        return job;
+    }
+
+    /**
+     * Emite un evento tipado de un trabajo para los suscriptores en vivo.
+     * @param {string} jobId - ID del trabajo
+     * @param {string} event - Nombre del evento ('progress', 'rendition', 'upload', 'done', 'failed'...)
+     * @param {object} data - Datos del evento
+     */
+    emitJobEvent(jobId, event, data = {}) {
+        this.emit('job:event', { jobId, event, data });
+    }
+
+    /**
+     * Cancela un trabajo. Si está en espera (o falló) se marca 'cancelled' y se limpian sus archivos
+     * en el acto; si está en ejecución se detiene (p. ej. matando ffmpeg) y pasa a 'cancelled' cuando
+     * su handler termina.
+     * @param {string} id - ID del trabajo
+     * @returns {Promise<object|null>} - El trabajo o null si no existe
+     * @throws {Error} Si el trabajo ya terminó correctamente o ya estaba cancelado
+     */
+    async cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+        if (job.state === 'done' || job.state === 'cancelled') {
+            throw new Error(`El trabajo ${id} no se puede cancelar en estado '${job.state}'`);
+        }
+
+        if (this.running.has(id)) {
+            console.log(`[Queue] Cancelación solicitada para el trabajo en curso ${id}`);
+            this.cancelRequested.add(id);
+            (this.cancelHooks.get(id) || []).forEach(fn => {
+                try {
+                    fn();
+                } catch (error) {
+                    console.error(`[Queue] Error deteniendo el trabajo ${id}:`, error.message);
+                }
+            });
+            return job;
+        }
+
+        await this.updateJob(id, { state: 'cancelled', finishedAt: new Date().toISOString() });
+        await this._cleanup(job);
+        this.emitJobEvent(id, 'cancelled', {});
+        console.log(`[Queue] Trabajo cancelado: ${id}`);
+        return job;
+    }
+
+    /**
+     * Vuelve a encolar un trabajo fallido con el mismo ID y payload.
+     * @param {string} id - ID del trabajo
+     * @returns {Promise<object|null>} - El trabajo o null si no existe
+     * @throws {Error} Si el trabajo no está en estado 'failed'
+     */
+    async retry(id) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+        if (job.state !== 'failed') {
+            throw new Error(`Solo se pueden reintentar trabajos fallidos (estado actual: '${job.state}')`);
+        }
+        await this.updateJob(id, { state: 'queued', error: null, progress: null, result: null, startedAt: null, finishedAt: null });
+        console.log(`[Queue] Trabajo ${id} vuelto a encolar para reintento`);
+        this._pump();
+        return job;
+    }
+
+    /**
+     * Ejecuta la limpieza registrada para el tipo del trabajo.
+     * @param {object} job
+     * @private
+     */
+    async _cleanup(job) {
+        const registration = this.handlers.get(job.type);
+        if (!registration || !registration.cleanup) return;
+        try {
+            await registration.cleanup(job);
+        } catch (error) {
+            console.error(`[Queue] Error limpiando archivos del trabajo ${job.id}:`, error);
+        }
+    }
+
+    /**
+     * Trabajos en espera, en orden de llegada.
+     * @private
+     */
+    _pending() {
+        return [...this.jobs.values()]
+            .filter(job => job.state === 'queued' && !this.running.has(job.id))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Lanza trabajos pendientes mientras haya huecos de concurrencia.
+     * @private
+     */
+    _pump() {
+        if (!this.started) return;
+        for (const job of this._pending()) {
+            if (this.running.size >= this.concurrency) break;
+            this._run(job);
+        }
+    }
+
+    /**
+     * Ejecuta un trabajo con su handler y registra el resultado.
+     * @param {object} job
+     * @private
+     */
+    async _run(job) {
+        this.running.add(job.id);
+        try {
+            const registration = this.handlers.get(job.type);
+            await this.updateJob(job.id, {
+                state: registration ? registration.initialState : 'running',
+                attempts: job.attempts + 1,
+                startedAt: new Date().toISOString(),
+                error: null,
+                progress: null
+            });
+            console.log(`[Queue] Iniciando trabajo ${job.id} (${job.type}), intento ${job.attempts}`);
+            if (!registration) {
+                throw new Error(`No hay handler registrado para trabajos de tipo '${job.type}'`);
+            }
+            const ctx = {
+                setState: (state, patch = {}) => this.updateJob(job.id, { ...patch, state }),
+                setProgress: async (progress) => {
+                    await this.updateJob(job.id, { progress }, { persist: false });
+                    this.emitJobEvent(job.id, 'progress', progress);
+                },
+                emitEvent: (event, data) => this.emitJobEvent(job.id, event, data),
+                onCancel: (fn) => {
+                    if (!this.cancelHooks.has(job.id)) this.cancelHooks.set(job.id, []);
+                    this.cancelHooks.get(job.id).push(fn);
+                },
+                isCancelled: () => this.cancelRequested.has(job.id)
+            };
+            const result = await registration.handler(job, ctx);
+            await this.updateJob(job.id, { state: 'done', result: result || null, finishedAt: new Date().toISOString() });
+            this.emitJobEvent(job.id, 'done', { result: job.result });
+            console.log(`[Queue] Trabajo completado: ${job.id}`);
+        } catch (error) {
+            if (this.cancelRequested.has(job.id)) {
+                // El error viene de haber detenido el trabajo a propósito
+                await this.updateJob(job.id, { state: 'cancelled', finishedAt: new Date().toISOString() });
+                await this._cleanup(job);
+                this.emitJobEvent(job.id, 'cancelled', {});
+                console.log(`[Queue] Trabajo cancelado: ${job.id}`);
+            } else {
+                console.error(`[Queue] Trabajo fallido ${job.id}:`, error.message || error);
+                await this.updateJob(job.id, { state: 'failed', error: error.message || String(error), finishedAt: new Date().toISOString() });
+                this.emitJobEvent(job.id, 'failed', { error: job.error });
+            }
+        } finally {
+            this.running.delete(job.id);
+            this.cancelRequested.delete(job.id);
+            this.cancelHooks.delete(job.id);
+            this._pump();
+        }
+    }
+
+    /**
+     * Carga los trabajos desde el archivo JSON.
+     * @private
+     */
+    async _load() {
+        try {
+            const data = await fs.readFile(this.filePath, 'utf8');
+            const stored = JSON.parse(data);
+            this.jobs = new Map(stored.map(job => [job.id, job]));
+            console.log(`[Queue] ${this.jobs.size} trabajo(s) cargado(s) desde: ${this.filePath}`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.log('[Queue] Archivo de trabajos no encontrado, inicializando cola vacía.');
+                this.jobs = new Map();
+            } else {
+                console.error('[Queue] Error al cargar trabajos:', error);
+                throw error; // No arrancar con la cola corrupta para no perder trabajos al sobrescribirla
+            }
+        }
+    }
+
+    /**
+     * Guarda todos los trabajos en disco. Escribe en un archivo temporal y lo renombra
+     * para no dejar el JSON a medias si el proceso muere durante la escritura.
+     * @private
+     */
+    _save() {
+        this._saveChain = this._saveChain.then(async () => {
+            const tmpPath = `${this.filePath}.tmp`;
+            try {
+                await fs.writeFile(tmpPath, JSON.stringify([...this.jobs.values()], null, 2), 'utf8');
+                await fs.rename(tmpPath, this.filePath);
+            } catch (error) {
+                console.error('[Queue] Error al guardar trabajos:', error);
+            }
+        });
+        return this._saveChain;
+    }
+}
+
+// Instancia compartida por todas las rutas
+const jobQueue = new JobQueue();
+
+module.exports = {
+    jobQueue,
+    JobQueue
+};
@@ -0,0 +1,150 @@
+// b2Storage.js
+const b2 = require('../../back.js');
+const { putDirectory, forgetDirectory } = require('./directory');
+
+// Backend sobre Backblaze B2 (back.js): bucket B2_BUCKET_ID / B2_BUCKET_NAME.
+// Hereda de back.js los reintentos, la renovación del token y los archivos grandes.
+const DEFAULT_EXPIRES_IN = 3600; // 1 hora
+const MAX_EXPIRES_IN = 7 * 24 * 60 * 60; // Límite de b2_get_download_authorization
+
+class B2Storage {
+    /**
+     * @param {Object} options
+     * @param {Object} options.client - Instancia de BackblazeB2 (por defecto la de back.js)
+     * @param {string} options.bucketId - Por defecto B2_BUCKET_ID
+     * @param {string} options.bucketName - Por defecto B2_BUCKET_NAME
+     * @param {number} options.uploadConcurrency - Archivos que sube a la vez putDirectory (por defecto B2_UPLOAD_CONCURRENCY)
+     */
+    constructor(options = {}) {
+        this.name = 'b2';
+        this.client = options.client || b2;
+        this.bucketId = options.bucketId || process.env.B2_BUCKET_ID;
+        this.bucketName = options.bucketName || process.env.B2_BUCKET_NAME;
+        this.id = `b2:${this.bucketId}`;
+        this.uploadConcurrency = options.uploadConcurrency || parseInt(process.env.B2_UPLOAD_CONCURRENCY, 10) || undefined; // Si no, STORAGE_UPLOAD_CONCURRENCY
+    }
+
+    /**
+     * Sube un archivo local (por partes si es grande).
+     * @param {string} key - Nombre del archivo en B2
+     * @param {string} filePath - Archivo a subir
+     * @param {Object} options
+     * @param {string} options.sha1 - SHA1 ya calculado (putDirectory lo tiene del manifiesto), para no releer el archivo
+     * @returns {Promise<{key: string, size: number}>}
+     * @throws {Error} Si la subida falla tras los reintentos
+     */
+    async put(key, filePath, { sha1 } = {}) {
+        const result = await this.client.uploadFile(this.bucketId, key, filePath, { sha1 });
+        if (!result) throw new Error(`No se pudo subir ${key} a B2`);
+        return { key, size: result.contentLength };
+    }
+
+    /**
+     * Publica un directorio bajo un prefijo (ver putDirectory en directory.js).
+     * @param {string} localDirPath
+     * @param {string} prefix
+     * @param {Object} options - { onProgress, concurrency, signal }
+     * @returns {Promise<Object>}
+     */
+    putDirectory(localDirPath, prefix, options = {}) {
+        return putDirectory(this, localDirPath, prefix, { ...options, concurrency: options.concurrency || this.uploadConcurrency });
+    }
+
+    /**
+     * Olvida el manifiesto de putDirectory de un prefijo: la próxima publicación lo sube todo.
+     * @param {string} prefix
+     * @returns {Promise<void>}
+     */
+    forgetDirectory(prefix) {
+        return forgetDirectory(this, prefix);
+    }
+
+    /**
+     * Borra todas las versiones de todos los archivos bajo un prefijo (deleteFilesByPrefix, que también cancela
+     * los archivos grandes sin terminar y olvida el manifiesto).
+     * @param {string} prefix
+     * @returns {Promise<{deleted: number, failed: Array<{key: string, fileId: string, error: string}>, cancelledLargeFiles: number}>}
+     * @throws {Error} Si no se pueden listar las versiones
+     */
+    async deleteDirectory(prefix) {
+        const cleanPrefix = prefix.endsWith('/') ? prefix : `${prefix}/`;
+        const { deleted, failed, cancelledLargeFiles } = await this.client.deleteFilesByPrefix(this.bucketId, cleanPrefix);
+        return {
+            deleted: deleted.length,
+            failed: failed.map(({ fileName, fileId, error }) => ({ key: fileName, fileId, error })),
+            cancelledLargeFiles
+        };
+    }
+
+    /**
+     * Abre la descarga de un archivo.
+     * @param {string} key
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancela la descarga
+     * @returns {Promise<{stream: import('stream').Readable, contentType: string, contentLength: number}|null>} - null si no existe
+     */
+    async getStream(key, { signal } = {}) {
+        try {
+            const response = await this.client.openDownloadStream(this.bucketName, key, { signal });
+            return {
+                stream: response.data,
+                contentType: response.headers['content-type'],
+                contentLength: Number(response.headers['content-length'])
+            };
+        } catch (error) {
+            if (error.response?.status === 404) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Lista los archivos que empiezan por un prefijo.
+     * @param {string} prefix
+     * @returns {Promise<Array<{key: string, size: number, lastModified: string}>>}
+     */
+    async list(prefix = '') {
+        const files = await this.client.listFilesByPrefix(this.bucketId, prefix);
+        if (!files) throw new Error(`No se pudo listar ${prefix} en B2`);
+        return files.map(file => ({
+            key: file.fileName,
+            size: file.contentLength,
+            lastModified: new Date(file.uploadTimestamp).toISOString()
+        }));
+    }
+
+    /**
+     * Borra todas las versiones de un archivo.
+     * @param {string} key
+     * @returns {Promise<boolean>} - false si no existía
+     */
+    async delete(key) {
+        const deleted = await this.client.deleteFile(this.bucketId, key);
+        if (deleted === null) throw new Error(`No se pudo eliminar ${key} de B2`);
+        return deleted > 0;
+    }
+
+    /**
+     * URL de descarga sin firmar (solo funciona si el bucket es público).
+     * @param {string} key
+     * @returns {string}
+     */
+    getPublicUrl(key) {
+        return `${this.client.getDownloadUrl()}/file/${this.bucketName}/${encodeURI(key)}`;
+    }
+
+    /**
+     * URL de descarga con un token limitado a ese archivo y con caducidad (vale también para buckets privados).
+     * @param {string} key
+     * @param {Object} options
+     * @param {number} options.expiresIn - Validez en segundos (por defecto 1 hora, como mucho 7 días)
+     * @returns {Promise<string>}
+     */
+    async getSignedUrl(key, { expiresIn = DEFAULT_EXPIRES_IN } = {}) {
+        const token = await this.client.getDownloadAuthorization(this.bucketId, key, Math.min(expiresIn, MAX_EXPIRES_IN));
+        return `${this.client.getDownloadUrl()}/file/${this.bucketName}/${encodeURI(key)}?Authorization=${encodeURIComponent(token)}`;
+    }
+}
+
+module.exports = {
+    B2Storage
+};
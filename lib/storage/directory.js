@@ -0,0 +1,199 @@
+// directory.js
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// Publicación de un árbol HLS/DASH en cualquier backend con put() (también B2: uploadDirectoryToB2 en back.js
+// pasa por aquí): pool de subidas, reintentos por archivo, manifiesto por SHA1 y playlists maestras al final.
+const MANIFEST_DIR = path.resolve(__dirname, '..', '..', 'temp_uploads', 'storage-manifests');
+const DEFAULT_CONCURRENCY = 8;
+const MAX_FILE_ATTEMPTS = 3;
+const MASTER_PLAYLIST_NAMES = ['master.m3u8', 'manifest.mpd'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function sha1File(filePath) {
+    const hash = crypto.createHash('sha1');
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+}
+
+async function listFilesRecursive(dirPath) {
+    const files = [];
+    for (const entry of await fsPromises.readdir(dirPath, { withFileTypes: true })) {
+        const fullPath = path.join(dirPath, entry.name);
+        if (entry.isDirectory()) files.push(...await listFilesRecursive(fullPath));
+        else if (entry.isFile()) files.push(fullPath);
+    }
+    return files;
+}
+
+// Un manifiesto por backend (storage.id) y prefijo; "vid" y "vid/" son el mismo
+function manifestPath(storage, prefix) {
+    const key = crypto.createHash('sha1').update(`${storage.id}:${prefix.replace(/\/+$/, '')}`).digest('hex');
+    return path.join(MANIFEST_DIR, `${key}.json`);
+}
+
+async function readManifest(storage, prefix) {
+    try {
+        const manifest = JSON.parse(await fsPromises.readFile(manifestPath(storage, prefix), 'utf8'));
+        if (manifest && manifest.files) return manifest;
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.warn(`[Storage] Manifiesto de ${prefix} ilegible, se sube todo de nuevo:`, error.message);
+    }
+    return { storage: storage.id, prefix, files: {} };
+}
+
+async function writeManifest(storage, manifest) {
+    const filePath = manifestPath(storage, manifest.prefix);
+    await fsPromises.mkdir(MANIFEST_DIR, { recursive: true });
+    await fsPromises.writeFile(`${filePath}.tmp`, JSON.stringify(manifest, null, 2));
+    await fsPromises.rename(`${filePath}.tmp`, filePath);
+}
+
+// Archivos que se suben (o borran) a la vez: la opción concurrency, STORAGE_UPLOAD_CONCURRENCY o 8
+const getPoolSize = (concurrency) => Math.max(1, concurrency || parseInt(process.env.STORAGE_UPLOAD_CONCURRENCY, 10) || DEFAULT_CONCURRENCY);
+
+/**
+ * Olvida lo publicado bajo un prefijo (p. ej. tras borrarlo): la próxima publicación lo sube todo.
+ * @param {Object} storage - Backend (necesita id)
+ * @param {string} prefix - Prefijo publicado
+ * @returns {Promise<void>}
+ */
+async function forgetDirectory(storage, prefix) {
+    await fsPromises.rm(manifestPath(storage, prefix), { force: true });
+}
+
+/**
+ * Sube un directorio local bajo un prefijo con storage.put(). Sube como mucho `concurrency` archivos a la vez,
+ * reintenta cada archivo que falla y se salta los que ya se publicaron con el mismo SHA1. Las playlists van
+ * después de los segmentos y las maestras al final, solo si todo lo anterior se subió.
+ * @param {Object} storage - Backend con id y put(key, filePath, { sha1 })
+ * @param {string} localDirPath - Directorio a publicar
+ * @param {string} prefix - Prefijo de destino (p. ej. "videos/123")
+ * @param {Object} options
+ * @param {function} options.onProgress - Se llama tras cada archivo con { uploaded, skipped, failed, total, file }
+ * @param {number} options.concurrency - Archivos que se suben a la vez (por defecto STORAGE_UPLOAD_CONCURRENCY o 8)
+ * @param {string[]} options.masterPlaylists - Rutas relativas de las playlists maestras
+ * @param {AbortSignal} options.signal - Deja de empezar archivos nuevos (los que faltan quedan como notAttempted)
+ * @returns {Promise<Object>} - { success, successfulUploads: [{ file }], skippedUploads: [{ file }], failedUploads: [{ file, local, notAttempted }] }
+ */
+async function putDirectory(storage, localDirPath, prefix, { onProgress, concurrency, masterPlaylists = MASTER_PLAYLIST_NAMES, signal } = {}) {
+    const cleanPrefix = prefix.endsWith('/') ? prefix : `${prefix}/`;
+    const entries = (await listFilesRecursive(localDirPath)).map(local => {
+        const relativePath = path.relative(localDirPath, local).replace(/\\/g, '/');
+        // Fase 0: segmentos, claves, imágenes...; 1: playlists de cada rendition; 2: playlists maestras
+        const phase = masterPlaylists.includes(relativePath) ? 2 : /\.(m3u8|mpd)$/i.test(relativePath) ? 1 : 0;
+        return { relativePath, local, file: `${cleanPrefix}${relativePath}`, phase };
+    });
+    console.log(`[Storage] Publicando ${entries.length} archivo(s) de ${localDirPath} en ${storage.name}:${cleanPrefix}`);
+
+    const manifest = await readManifest(storage, prefix);
+    let manifestWrite = Promise.resolve(); // Escrituras del manifiesto en serie
+    const saveManifest = () => {
+        manifestWrite = manifestWrite
+            .then(() => writeManifest(storage, manifest))
+            .catch(error => console.error(`[Storage] Error guardando el manifiesto de ${prefix}:`, error.message));
+        return manifestWrite;
+    };
+
+    const counts = { uploaded: 0, skipped: 0, failed: 0, total: entries.length };
+    const results = [];
+    const report = (entry) => {
+        counts[entry.status]++;
+        results.push(entry);
+        if (onProgress) onProgress({ ...counts, file: entry.file });
+    };
+
+    const uploadEntry = async (entry) => {
+        const { relativePath, local, file } = entry;
+        try {
+            const sha1 = await sha1File(local);
+            if (manifest.files[relativePath]?.sha1 === sha1) return report({ ...entry, status: 'skipped' });
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    const { size } = await storage.put(file, local, { sha1 });
+                    manifest.files[relativePath] = { sha1, size, uploadedAt: new Date().toISOString() };
+                    await saveManifest();
+                    return report({ ...entry, status: 'uploaded' });
+                } catch (error) {
+                    if (attempt >= MAX_FILE_ATTEMPTS || signal?.aborted) throw error;
+                    const delay = 1000 * 2 ** (attempt - 1);
+                    console.warn(`[Storage] Falló la subida de ${file} (${error.message}), reintento ${attempt}/${MAX_FILE_ATTEMPTS - 1} en ${delay}ms`);
+                    await sleep(delay);
+                }
+            }
+        } catch (error) {
+            console.error(`[Storage] Error subiendo ${file}:`, error.message);
+            report({ ...entry, status: 'failed' });
+        }
+    };
+
+    const poolSize = getPoolSize(concurrency);
+    const skipEntry = (entry) => report({ ...entry, status: 'failed', notAttempted: true });
+    for (const phase of [0, 1, 2]) {
+        const pending = entries.filter(entry => entry.phase === phase);
+        if (counts.failed > 0 || signal?.aborted) {
+            // Sin todos sus segmentos las playlists quedarían rotas: se suben en el próximo intento
+            pending.forEach(skipEntry);
+            continue;
+        }
+        let next = 0;
+        const uploadNext = async () => {
+            while (next < pending.length && !signal?.aborted) await uploadEntry(pending[next++]);
+        };
+        await Promise.all(Array.from({ length: Math.min(poolSize, pending.length) }, uploadNext));
+        pending.slice(next).forEach(skipEntry); // Cancelado a mitad de la fase
+    }
+    await manifestWrite;
+
+    const failedUploads = results.filter(r => r.status === 'failed');
+    console.log(`[Storage] Publicación de ${cleanPrefix} terminada. Subidos: ${counts.uploaded}, Sin cambios: ${counts.skipped}, Fallos: ${counts.failed}`);
+    return {
+        success: failedUploads.length === 0,
+        successfulUploads: results.filter(r => r.status === 'uploaded').map(r => ({ file: r.file })),
+        skippedUploads: results.filter(r => r.status === 'skipped').map(r => ({ file: r.file })),
+        failedUploads: failedUploads.map(r => ({ file: r.file, local: r.local, notAttempted: Boolean(r.notAttempted) }))
+    };
+}
+
+/**
+ * Borra todo lo publicado bajo un prefijo con storage.list() y storage.delete() y olvida su manifiesto.
+ * Un archivo que no se puede borrar no detiene los demás: se devuelve en failed.
+ * @param {Object} storage - Backend con id, list(prefix) y delete(key)
+ * @param {string} prefix - Prefijo publicado (p. ej. "videos/123")
+ * @param {Object} options
+ * @param {number} options.concurrency - Archivos que se borran a la vez (por defecto STORAGE_UPLOAD_CONCURRENCY o 8)
+ * @returns {Promise<{deleted: number, failed: Array<{key: string, error: string}>}>}
+ * @throws {Error} Si no se puede listar el prefijo
+ */
+async function deleteDirectory(storage, prefix, { concurrency } = {}) {
+    const cleanPrefix = prefix.endsWith('/') ? prefix : `${prefix}/`;
+    const objects = await storage.list(cleanPrefix);
+    let deleted = 0;
+    const failed = [];
+    let next = 0;
+    const deleteNext = async () => {
+        while (next < objects.length) {
+            const { key } = objects[next++];
+            try {
+                if (await storage.delete(key)) deleted++;
+            } catch (error) {
+                console.error(`[Storage] Error eliminando ${key}:`, error.message);
+                failed.push({ key, error: error.message });
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(getPoolSize(concurrency), objects.length) }, deleteNext));
+    await forgetDirectory(storage, cleanPrefix); // Lo que quede se vuelve a subir entero
+    console.log(`[Storage] ${storage.name}:${cleanPrefix}: ${deleted} archivo(s) eliminado(s), ${failed.length} fallo(s)`);
+    return { deleted, failed };
+}
+
+module.exports = {
+    putDirectory,
+    forgetDirectory,
+    deleteDirectory
+};
@@ -0,0 +1,56 @@
+// index.js
+const { LocalStorage, storageError } = require('./localStorage');
+const { B2Storage } = require('./b2Storage');
+const { S3Storage } = require('./s3Storage');
+
+// Dónde se publican los videos convertidos, elegido con STORAGE_BACKEND (local | b2 | s3, por defecto b2).
+// Todos los backends tienen la misma interfaz:
+// - name / id: tipo de backend e identificador del destino (bucket, raíz...)
+// - put(key, filePath, { sha1 }) -> { key, size } (sha1 opcional, ya calculado por putDirectory)
+// - putDirectory(localDirPath, prefix, { onProgress, concurrency, signal }) -> { success, successfulUploads, skippedUploads, failedUploads }
+// - forgetDirectory(prefix): olvida el manifiesto de putDirectory (tras borrar el prefijo)
+// - deleteDirectory(prefix) -> { deleted, failed: [{ key, error }] }: borra todo el prefijo y olvida su manifiesto
+// - getStream(key, { signal }) -> { stream, contentType, contentLength } o null si no existe
+// - list(prefix) -> [{ key, size, lastModified }]
+// - delete(key) -> false si no existía
+// - getPublicUrl(key) -> URL de descarga sin firmar (en b2 y s3 solo sirve con buckets públicos)
+// - getSignedUrl(key, { expiresIn }) -> URL de descarga con caducidad, válida solo para esa clave
+const BACKENDS = {
+    local: LocalStorage,
+    b2: B2Storage,
+    s3: S3Storage
+};
+
+let defaultStorage = null;
+
+/**
+ * Crea un backend de almacenamiento.
+ * @param {string} backend - 'local', 'b2' o 's3' (por defecto STORAGE_BACKEND o 'b2')
+ * @param {Object} options - Opciones del constructor del backend
+ * @returns {LocalStorage|B2Storage|S3Storage}
+ * @throws {Error} Si el backend no existe o le falta configuración
+ */
+function createStorage(backend = process.env.STORAGE_BACKEND || 'b2', options = {}) {
+    const Backend = BACKENDS[backend];
+    if (!Backend) throw new Error(`Unknown STORAGE_BACKEND '${backend}'. Allowed: ${Object.keys(BACKENDS).join(', ')}`);
+    return new Backend(options);
+}
+
+/**
+ * Backend configurado (se crea la primera vez que se pide).
+ * @returns {LocalStorage|B2Storage|S3Storage}
+ */
+function getStorage() {
+    if (!defaultStorage) defaultStorage = createStorage();
+    return defaultStorage;
+}
+
+module.exports = {
+    createStorage,
+    getStorage,
+    storageError,
+    STORAGE_BACKENDS: Object.keys(BACKENDS),
+    LocalStorage,
+    B2Storage,
+    S3Storage
+};
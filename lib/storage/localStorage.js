@@ -0,0 +1,221 @@
+// localStorage.js
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+const { getContentType } = require('../../utils/mime');
+const { encodeKey } = require('./sigv4');
+const { putDirectory, forgetDirectory, deleteDirectory } = require('./directory');
+
+// Backend en el sistema de archivos: cada clave es un archivo bajo la raíz (STORAGE_LOCAL_DIR).
+// Las URLs firmadas apuntan a GET /storage/<clave> y llevan caducidad y firma HMAC (STORAGE_SIGNING_SECRET).
+const DEFAULT_ROOT = path.resolve(__dirname, '..', '..', 'storage');
+const DEFAULT_EXPIRES_IN = 3600; // 1 hora
+
+// Error con el código HTTP que debe devolver la ruta (también lo usa el manejador de errores global)
+const storageError = (status, message) => Object.assign(new Error(message), { status });
+
+class LocalStorage {
+    /**
+     * @param {Object} options
+     * @param {string} options.root - Directorio raíz (por defecto STORAGE_LOCAL_DIR o storage/ en la raíz del proyecto)
+     * @param {string} options.publicUrl - URL base del servidor para las URLs firmadas (por defecto STORAGE_PUBLIC_URL o http://localhost:PORT)
+     * @param {string} options.signingSecret - Secreto HMAC de las URLs firmadas (por defecto STORAGE_SIGNING_SECRET)
+     */
+    constructor(options = {}) {
+        this.name = 'local';
+        this.root = path.resolve(options.root || process.env.STORAGE_LOCAL_DIR || DEFAULT_ROOT);
+        this.id = `local:${this.root}`;
+        this.publicUrl = (options.publicUrl || process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+        this.signingSecret = options.signingSecret || process.env.STORAGE_SIGNING_SECRET;
+        if (!this.signingSecret) {
+            // Sin secreto fijo las URLs firmadas dejan de valer al reiniciar el servidor
+            this.signingSecret = crypto.randomBytes(32).toString('hex');
+            console.warn('[Storage] STORAGE_SIGNING_SECRET no definido: se usa uno aleatorio hasta el próximo reinicio');
+        }
+    }
+
+    /**
+     * Ruta local de una clave, sin salir de la raíz.
+     * @param {string} key
+     * @returns {string}
+     * @throws {Error} 400 si la clave sale de la raíz ("../")
+     * @private
+     */
+    _resolve(key) {
+        const filePath = path.resolve(this.root, key);
+        if (!filePath.startsWith(this.root + path.sep)) throw storageError(400, `Invalid storage key '${key}'.`);
+        return filePath;
+    }
+
+    /**
+     * Guarda un archivo local bajo una clave (copia a un temporal y renombra: nadie lee un archivo a medias).
+     * @param {string} key - p. ej. "videos/123/720p/segment001.ts"
+     * @param {string} filePath - Archivo a guardar
+     * @returns {Promise<{key: string, size: number}>}
+     */
+    async put(key, filePath) {
+        const destination = this._resolve(key);
+        await fsPromises.mkdir(path.dirname(destination), { recursive: true });
+        const temporary = `${destination}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        try {
+            await fsPromises.copyFile(filePath, temporary);
+            await fsPromises.rename(temporary, destination);
+        } catch (error) {
+            await fsPromises.rm(temporary, { force: true });
+            throw error;
+        }
+        const { size } = await fsPromises.stat(destination);
+        return { key, size };
+    }
+
+    /**
+     * Publica un directorio bajo un prefijo (ver putDirectory en directory.js).
+     * @param {string} localDirPath
+     * @param {string} prefix
+     * @param {Object} options - { onProgress, concurrency, signal }
+     * @returns {Promise<Object>}
+     */
+    putDirectory(localDirPath, prefix, options) {
+        return putDirectory(this, localDirPath, prefix, options);
+    }
+
+    /**
+     * Olvida el manifiesto de putDirectory de un prefijo: la próxima publicación lo sube todo.
+     * @param {string} prefix
+     * @returns {Promise<void>}
+     */
+    forgetDirectory(prefix) {
+        return forgetDirectory(this, prefix);
+    }
+
+    /**
+     * Borra todo lo publicado bajo un prefijo (ver deleteDirectory en directory.js).
+     * @param {string} prefix
+     * @returns {Promise<{deleted: number, failed: Array}>}
+     */
+    deleteDirectory(prefix) {
+        return deleteDirectory(this, prefix);
+    }
+
+    /**
+     * Abre un archivo para leerlo.
+     * @param {string} key
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cierra el stream
+     * @returns {Promise<{stream: import('stream').Readable, contentType: string, contentLength: number}|null>} - null si no existe
+     */
+    async getStream(key, { signal } = {}) {
+        const filePath = this._resolve(key);
+        const stats = await fsPromises.stat(filePath).catch(error => {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        });
+        if (!stats || !stats.isFile()) return null;
+        return {
+            stream: fs.createReadStream(filePath, { signal }),
+            contentType: getContentType(key),
+            contentLength: stats.size
+        };
+    }
+
+    /**
+     * Lista las claves que empiezan por un prefijo.
+     * @param {string} prefix - p. ej. "videos/123/"
+     * @returns {Promise<Array<{key: string, size: number, lastModified: string}>>}
+     */
+    async list(prefix = '') {
+        // Solo hace falta recorrer el directorio de la parte del prefijo hasta la última "/"
+        const baseDir = prefix.includes('/') ? this._resolve(prefix.slice(0, prefix.lastIndexOf('/'))) : this.root;
+        const objects = [];
+        const walk = async (dirPath) => {
+            const entries = await fsPromises.readdir(dirPath, { withFileTypes: true }).catch(error => {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            });
+            for (const entry of entries) {
+                const fullPath = path.join(dirPath, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(fullPath);
+                } else if (entry.isFile() && !entry.name.endsWith('.tmp')) {
+                    const key = path.relative(this.root, fullPath).split(path.sep).join('/');
+                    if (!key.startsWith(prefix)) continue;
+                    const stats = await fsPromises.stat(fullPath);
+                    objects.push({ key, size: stats.size, lastModified: stats.mtime.toISOString() });
+                }
+            }
+        };
+        await walk(baseDir);
+        return objects.sort((a, b) => (a.key < b.key ? -1 : 1));
+    }
+
+    /**
+     * Borra un archivo y los directorios que queden vacíos por encima.
+     * @param {string} key
+     * @returns {Promise<boolean>} - false si no existía
+     */
+    async delete(key) {
+        const filePath = this._resolve(key);
+        try {
+            await fsPromises.unlink(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+        for (let dir = path.dirname(filePath); dir !== this.root; dir = path.dirname(dir)) {
+            try {
+                await fsPromises.rmdir(dir);
+            } catch (error) {
+                break; // No está vacío (u otro proceso escribe en él)
+            }
+        }
+        return true;
+    }
+
+    // HMAC de la clave y la caducidad: la URL no se puede reutilizar para otra clave ni alargar
+    _sign(key, expires) {
+        return crypto.createHmac('sha256', this.signingSecret).update(`${key}\n${expires}`).digest('hex');
+    }
+
+    /**
+     * URL sin firmar de un archivo: GET /storage solo sirve URLs firmadas, así que pasa por /stream-resource.
+     * @param {string} key - <videoId>/<ruta> o <basePath>/<videoId>/<ruta>
+     * @returns {string}
+     */
+    getPublicUrl(key) {
+        this._resolve(key);
+        return `${this.publicUrl}/stream-resource/${encodeKey(key)}`;
+    }
+
+    /**
+     * URL firmada y con caducidad de un archivo, servida por GET /storage/<clave>.
+     * @param {string} key
+     * @param {Object} options
+     * @param {number} options.expiresIn - Validez en segundos (por defecto 1 hora)
+     * @returns {Promise<string>}
+     */
+    async getSignedUrl(key, { expiresIn = DEFAULT_EXPIRES_IN } = {}) {
+        this._resolve(key);
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        return `${this.publicUrl}/storage/${encodeKey(key)}?expires=${expires}&signature=${this._sign(key, expires)}`;
+    }
+
+    /**
+     * Comprueba la firma y la caducidad de una URL de getSignedUrl.
+     * @param {string} key
+     * @param {string} expires - Parámetro expires (segundos Unix)
+     * @param {string} signature - Parámetro signature
+     * @returns {boolean}
+     */
+    verifySignedUrl(key, expires, signature) {
+        if (!/^\d+$/.test(expires || '') || Number(expires) < Date.now() / 1000) return false;
+        const expected = Buffer.from(this._sign(key, expires));
+        const received = Buffer.from(String(signature || ''));
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+}
+
+module.exports = {
+    LocalStorage,
+    storageError
+};
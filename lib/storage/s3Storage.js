@@ -0,0 +1,251 @@
+// s3Storage.js
+const fs = require('fs');
+const fsPromises = fs.promises;
+const crypto = require('crypto');
+const axios = require('axios');
+const { pipeline } = require('stream/promises');
+const { getContentType } = require('../../utils/mime');
+const { signRequest, presignUrl, encodeKey, encodeRfc3986 } = require('./sigv4');
+const { putDirectory, forgetDirectory, deleteDirectory } = require('./directory');
+
+// Backend para cualquier API compatible con S3 (AWS S3, MinIO, Cloudflare R2, Wasabi...), firmado con SigV4 sobre axios.
+// Configuración: S3_ENDPOINT, S3_REGION, S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY y S3_FORCE_PATH_STYLE.
+const DEFAULT_REGION = 'us-east-1';
+const DEFAULT_EXPIRES_IN = 3600; // 1 hora
+const MAX_EXPIRES_IN = 7 * 24 * 60 * 60; // Límite de SigV4
+const MAX_SINGLE_PUT_SIZE = 5 * 1024 * 1024 * 1024; // PutObject no admite más de 5GB
+const MAX_ATTEMPTS = 3;
+
+// Como en back.js: sin respuesta (red, timeout), 408, 429 y 5xx se reintentan
+const isRetryableError = (error) => {
+    if (axios.isCancel(error)) return false;
+    const status = error.response?.status;
+    return !status || status === 408 || status === 429 || status >= 500;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const decodeXml = (value) => value
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&amp;/g, '&');
+
+const xmlValue = (xml, tag) => {
+    const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+    return match ? decodeXml(match[1]) : null;
+};
+
+class S3Storage {
+    /**
+     * @param {Object} options - Por defecto, las variables S3_* de .env
+     * @param {string} options.endpoint - p. ej. http://localhost:9000 (por defecto https://s3.<region>.amazonaws.com)
+     * @param {string} options.region - Por defecto us-east-1
+     * @param {string} options.bucket
+     * @param {string} options.accessKeyId
+     * @param {string} options.secretAccessKey
+     * @param {boolean} options.forcePathStyle - URLs endpoint/bucket/clave en lugar de bucket.endpoint/clave
+     *   (por defecto S3_FORCE_PATH_STYLE, o true si hay un endpoint propio, como necesita MinIO)
+     */
+    constructor(options = {}) {
+        this.name = 's3';
+        this.region = options.region || process.env.S3_REGION || DEFAULT_REGION;
+        this.endpoint = new URL(options.endpoint || process.env.S3_ENDPOINT || `https://s3.${this.region}.amazonaws.com`);
+        this.bucket = options.bucket || process.env.S3_BUCKET;
+        this.credentials = {
+            accessKeyId: options.accessKeyId || process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY
+        };
+        this.forcePathStyle = options.forcePathStyle ?? (process.env.S3_FORCE_PATH_STYLE
+            ? process.env.S3_FORCE_PATH_STYLE === 'true'
+            : Boolean(options.endpoint || process.env.S3_ENDPOINT));
+        if (!this.bucket || !this.credentials.accessKeyId || !this.credentials.secretAccessKey) {
+            throw new Error('The s3 storage backend needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY.');
+        }
+        this.id = `s3:${this.endpoint.host}/${this.bucket}`;
+    }
+
+    /**
+     * URL de un objeto (o del bucket si key está vacía).
+     * @param {string} key
+     * @param {Object} query - Parámetros de la query
+     * @returns {URL}
+     * @private
+     */
+    _url(key = '', query = {}) {
+        const { protocol, host } = this.endpoint;
+        const base = this.forcePathStyle ? `${protocol}//${host}/${this.bucket}` : `${protocol}//${this.bucket}.${host}`;
+        const search = Object.entries(query).map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`).join('&');
+        return new URL(`${base}/${encodeKey(key)}${search ? `?${search}` : ''}`);
+    }
+
+    /**
+     * Petición firmada con reintentos para los errores temporales.
+     * @param {function(): Object} buildRequest - Devuelve { method, url, headers, payloadHash, data, ...opciones de axios };
+     *   se llama en cada intento (un stream de subida no se puede reenviar)
+     * @returns {Promise<Object>} - Respuesta de axios
+     * @private
+     */
+    async _request(buildRequest) {
+        for (let attempt = 1; ; attempt++) {
+            const { method, url, headers, payloadHash, ...options } = buildRequest();
+            try {
+                return await axios({
+                    method,
+                    url: url.href,
+                    headers: signRequest({ method, url, headers, payloadHash, credentials: this.credentials, region: this.region }),
+                    maxRedirects: 0,
+                    maxBodyLength: Infinity,
+                    maxContentLength: Infinity,
+                    ...options
+                });
+            } catch (error) {
+                if (!isRetryableError(error) || attempt >= MAX_ATTEMPTS) throw error;
+                const delay = 1000 * 2 ** (attempt - 1);
+                console.warn(`[S3] ${method} ${url.pathname} falló (${error.response?.status || error.code || error.message}), reintento ${attempt}/${MAX_ATTEMPTS - 1} en ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Sube un archivo local con PutObject (el SHA256 del cuerpo va firmado: S3 rechaza una subida corrupta).
+     * @param {string} key
+     * @param {string} filePath
+     * @returns {Promise<{key: string, size: number}>}
+     */
+    async put(key, filePath) {
+        const { size } = await fsPromises.stat(filePath);
+        if (size > MAX_SINGLE_PUT_SIZE) throw new Error(`${key} is larger than 5GB, the PutObject limit.`);
+        const hash = crypto.createHash('sha256');
+        await pipeline(fs.createReadStream(filePath), hash);
+        const payloadHash = hash.digest('hex');
+
+        await this._request(() => ({
+            method: 'PUT',
+            url: this._url(key),
+            headers: { 'Content-Type': getContentType(key), 'Content-Length': size },
+            payloadHash,
+            data: fs.createReadStream(filePath)
+        }));
+        return { key, size };
+    }
+
+    /**
+     * Publica un directorio bajo un prefijo (ver putDirectory en directory.js).
+     * @param {string} localDirPath
+     * @param {string} prefix
+     * @param {Object} options - { onProgress, concurrency, signal }
+     * @returns {Promise<Object>}
+     */
+    putDirectory(localDirPath, prefix, options) {
+        return putDirectory(this, localDirPath, prefix, options);
+    }
+
+    /**
+     * Olvida el manifiesto de putDirectory de un prefijo: la próxima publicación lo sube todo.
+     * @param {string} prefix
+     * @returns {Promise<void>}
+     */
+    forgetDirectory(prefix) {
+        return forgetDirectory(this, prefix);
+    }
+
+    /**
+     * Borra todo lo publicado bajo un prefijo (ver deleteDirectory en directory.js).
+     * @param {string} prefix
+     * @returns {Promise<{deleted: number, failed: Array}>}
+     */
+    deleteDirectory(prefix) {
+        return deleteDirectory(this, prefix);
+    }
+
+    /**
+     * Abre la descarga de un objeto.
+     * @param {string} key
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancela la descarga
+     * @returns {Promise<{stream: import('stream').Readable, contentType: string, contentLength: number}|null>} - null si no existe
+     */
+    async getStream(key, { signal } = {}) {
+        try {
+            const response = await this._request(() => ({ method: 'GET', url: this._url(key), responseType: 'stream', signal }));
+            return {
+                stream: response.data,
+                contentType: response.headers['content-type'],
+                contentLength: Number(response.headers['content-length'])
+            };
+        } catch (error) {
+            if (error.response?.status === 404) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Lista los objetos que empiezan por un prefijo (ListObjectsV2, todas las páginas).
+     * @param {string} prefix
+     * @returns {Promise<Array<{key: string, size: number, lastModified: string}>>}
+     */
+    async list(prefix = '') {
+        const objects = [];
+        let continuationToken = null;
+        do {
+            const query = { 'list-type': '2', prefix };
+            if (continuationToken) query['continuation-token'] = continuationToken;
+            const { data } = await this._request(() => ({ method: 'GET', url: this._url('', query), responseType: 'text' }));
+            for (const contents of data.match(/<Contents>[\s\S]*?<\/Contents>/g) || []) {
+                objects.push({
+                    key: xmlValue(contents, 'Key'),
+                    size: Number(xmlValue(contents, 'Size')),
+                    lastModified: new Date(xmlValue(contents, 'LastModified')).toISOString()
+                });
+            }
+            continuationToken = xmlValue(data, 'IsTruncated') === 'true' ? xmlValue(data, 'NextContinuationToken') : null;
+        } while (continuationToken);
+        return objects;
+    }
+
+    /**
+     * Borra un objeto. S3 responde igual exista o no, así que antes se comprueba con HEAD.
+     * @param {string} key
+     * @returns {Promise<boolean>} - false si no existía
+     */
+    async delete(key) {
+        try {
+            await this._request(() => ({ method: 'HEAD', url: this._url(key) }));
+        } catch (error) {
+            if (error.response?.status === 404) return false;
+            throw error;
+        }
+        await this._request(() => ({ method: 'DELETE', url: this._url(key) }));
+        return true;
+    }
+
+    /**
+     * URL sin firmar de un objeto (solo funciona si el bucket permite lecturas anónimas).
+     * @param {string} key
+     * @returns {string}
+     */
+    getPublicUrl(key) {
+        return this._url(key).href;
+    }
+
+    /**
+     * URL prefirmada (GET) de un objeto.
+     * @param {string} key
+     * @param {Object} options
+     * @param {number} options.expiresIn - Validez en segundos (por defecto 1 hora, como mucho 7 días)
+     * @returns {Promise<string>}
+     */
+    async getSignedUrl(key, { expiresIn = DEFAULT_EXPIRES_IN } = {}) {
+        return presignUrl({
+            url: this._url(key),
+            expiresIn: Math.min(expiresIn, MAX_EXPIRES_IN),
+            credentials: this.credentials,
+            region: this.region
+        });
+    }
+}
+
+module.exports = {
+    S3Storage
+};
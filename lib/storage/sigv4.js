@@ -0,0 +1,131 @@
+// sigv4.js
+const crypto = require('crypto');
+
+// Firma AWS Signature Version 4 de las peticiones a APIs compatibles con S3 (AWS, MinIO, R2, Wasabi...),
+// sin depender del SDK: solo se firman peticiones de axios ya construidas.
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+const EMPTY_PAYLOAD_HASH = sha256('');
+
+/**
+ * Codifica como pide SigV4 (RFC 3986): todo salvo A-Z a-z 0-9 - _ . ~
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Codifica una clave de objeto para la ruta de la URL, conservando las barras.
+ * @param {string} key - p. ej. "videos/123/720p/segment 1.ts"
+ * @returns {string}
+ */
+function encodeKey(key) {
+    return key.split('/').map(encodeRfc3986).join('/');
+}
+
+// 20130524T000000Z
+const toAmzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+// Parámetros ordenados y codificados; los que no tienen valor quedan como "clave="
+const canonicalQueryString = (url) => [...url.searchParams.entries()]
+    .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+    .sort(([a, aValue], [b, bValue]) => (a === b ? (aValue < bValue ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+
+const signingKey = (secretAccessKey, dateStamp, region, service) => {
+    const dateKey = hmac(`AWS4${secretAccessKey}`, dateStamp);
+    return hmac(hmac(hmac(dateKey, region), service), 'aws4_request');
+};
+
+const signature = ({ method, url, canonicalHeaders, signedHeaders, payloadHash, credentials, region, service, amzDate }) => {
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+    // La ruta ya va codificada (encodeKey): S3 no la vuelve a codificar
+    const canonicalRequest = [method, url.pathname, canonicalQueryString(url), canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const stringToSign = [ALGORITHM, amzDate, scope, sha256(canonicalRequest)].join('\n');
+    return {
+        scope,
+        signature: crypto.createHmac('sha256', signingKey(credentials.secretAccessKey, dateStamp, region, service)).update(stringToSign).digest('hex')
+    };
+};
+
+/**
+ * Firma una petición con la cabecera Authorization. Se firman todas las cabeceras recibidas más Host.
+ * @param {Object} request
+ * @param {string} request.method - GET, PUT, HEAD, DELETE...
+ * @param {URL} request.url - URL completa, con la clave ya codificada con encodeKey
+ * @param {Object} request.headers - Cabeceras a enviar (Content-Type, Content-Length, Range...)
+ * @param {string} request.payloadHash - SHA256 del cuerpo en hexadecimal (o UNSIGNED_PAYLOAD)
+ * @param {Object} request.credentials - { accessKeyId, secretAccessKey }
+ * @param {string} request.region - p. ej. us-east-1
+ * @param {string} request.service - Por defecto s3
+ * @param {Date} request.date - Momento de la firma (por defecto ahora)
+ * @returns {Object} - Las cabeceras recibidas más x-amz-date, x-amz-content-sha256 y Authorization
+ */
+function signRequest({ method, url, headers = {}, payloadHash = EMPTY_PAYLOAD_HASH, credentials, region, service = 's3', date = new Date() }) {
+    const amzDate = toAmzDate(date);
+    const signed = { ...headers, 'x-amz-date': amzDate, 'x-amz-content-sha256': payloadHash };
+
+    const canonical = Object.entries({ host: url.host, ...signed })
+        .map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')])
+        .sort(([a], [b]) => (a < b ? -1 : 1));
+    const canonicalHeaders = canonical.map(([name, value]) => `${name}:${value}\n`).join('');
+    const signedHeaders = canonical.map(([name]) => name).join(';');
+
+    const result = signature({ method, url, canonicalHeaders, signedHeaders, payloadHash, credentials, region, service, amzDate });
+    signed.Authorization = `${ALGORITHM} Credential=${credentials.accessKeyId}/${result.scope}, SignedHeaders=${signedHeaders}, Signature=${result.signature}`;
+    return signed;
+}
+
+/**
+ * Genera una URL prefirmada (la firma va en la query): sirve sin credenciales hasta que caduca.
+ * @param {Object} request
+ * @param {string} request.method - Por defecto GET
+ * @param {URL} request.url - URL del objeto, con la clave ya codificada con encodeKey
+ * @param {number} request.expiresIn - Validez en segundos (S3 admite como mucho 7 días)
+ * @param {Object} request.credentials - { accessKeyId, secretAccessKey }
+ * @param {string} request.region - p. ej. us-east-1
+ * @param {string} request.service - Por defecto s3
+ * @param {Date} request.date - Momento de la firma (por defecto ahora)
+ * @returns {string}
+ */
+function presignUrl({ method = 'GET', url, expiresIn, credentials, region, service = 's3', date = new Date() }) {
+    const amzDate = toAmzDate(date);
+    const presigned = new URL(url.href);
+    presigned.searchParams.set('X-Amz-Algorithm', ALGORITHM);
+    presigned.searchParams.set('X-Amz-Credential', `${credentials.accessKeyId}/${amzDate.slice(0, 8)}/${region}/${service}/aws4_request`);
+    presigned.searchParams.set('X-Amz-Date', amzDate);
+    presigned.searchParams.set('X-Amz-Expires', String(expiresIn));
+    presigned.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+    const result = signature({
+        method,
+        url: presigned,
+        canonicalHeaders: `host:${url.host}\n`,
+        signedHeaders: 'host',
+        payloadHash: UNSIGNED_PAYLOAD,
+        credentials,
+        region,
+        service,
+        amzDate
+    });
+    // URLSearchParams codifica distinto que SigV4 ("/" en la credencial): la query se escribe a mano
+    return `${presigned.origin}${presigned.pathname}?${canonicalQueryString(presigned)}&X-Amz-Signature=${result.signature}`;
+}
+
+module.exports = {
+    signRequest,
+    presignUrl,
+    encodeKey,
+    encodeRfc3986,
+    sha256,
+    EMPTY_PAYLOAD_HASH,
+    UNSIGNED_PAYLOAD
+};
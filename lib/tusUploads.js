@@ -0,0 +1,336 @@
+// tusUploads.js
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Subidas reanudables (protocolo tus 1.0.0). Cada subida son dos archivos en temp_uploads/tus/:
+// <id> con los bytes recibidos y <id>.json con { id, length, metadata, kind, options, createdAt, completedAt, handoff }.
+// El offset es siempre el tamaño de <id> en disco: tras un corte de red o un reinicio del servidor
+// la subida continúa desde el último byte escrito.
+// Las subidas caducan (extensión tus "expiration"): una sin terminar, TUS_UPLOAD_TTL_HOURS después de su último
+// byte; una terminada, ese tiempo después de completarse (los subtítulos que ningún video reclamó y el registro
+// que HEAD usa para repetir X-Job-Id). Un barrido periódico borra las caducadas.
+const TUS_DIR = path.resolve(__dirname, '..', 'temp_uploads', 'tus');
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{32}$/;
+const DEFAULT_MAX_SIZE = 20 * 1024 * 1024 * 1024; // 20GB
+const DEFAULT_TTL_HOURS = 24;
+const MAX_SWEEP_INTERVAL_MS = 60 * 60 * 1000; // Como mucho una hora entre barridos
+
+const activeWrites = new Set(); // ids con un PATCH en curso (incluida la entrega al completarse)
+const completions = new Map(); // id -> { length, promise } de la entrega en curso
+
+/**
+ * Tamaño máximo de una subida (TUS_MAX_SIZE en .env, en bytes).
+ * @returns {number}
+ */
+function getMaxUploadSize() {
+    return parseInt(process.env.TUS_MAX_SIZE, 10) || DEFAULT_MAX_SIZE;
+}
+
+/**
+ * Tiempo sin actividad tras el que caduca una subida (TUS_UPLOAD_TTL_HOURS en .env, en horas).
+ * @returns {number} - Milisegundos
+ */
+function getUploadTtl() {
+    return (parseFloat(process.env.TUS_UPLOAD_TTL_HOURS) || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+// Error con el código HTTP que debe devolver la ruta (también lo usa el manejador de errores global)
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+const dataPath = (id) => path.join(TUS_DIR, id);
+const infoPath = (id) => path.join(TUS_DIR, `${id}.json`);
+
+/**
+ * Lee la cabecera Upload-Metadata: pares "clave valorBase64" separados por comas.
+ * @param {string} [header]
+ * @returns {object} - Valores ya decodificados (una clave sin valor queda como '')
+ * @throws {Error} Si algún par no es válido (status 400)
+ */
+function parseMetadata(header) {
+    const metadata = {};
+    if (!header) return metadata;
+    for (const pair of header.split(',')) {
+        const [key, value, extra] = pair.trim().split(' ');
+        if (!key || extra !== undefined || (value && !/^[A-Za-z0-9+/]*={0,2}$/.test(value))) {
+            throw httpError(400, `Invalid Upload-Metadata pair '${pair.trim()}'.`);
+        }
+        metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+    return metadata;
+}
+
+/**
+ * Crea una subida vacía.
+ * @param {object} upload - { length, metadata, kind ('video' | 'subtitle'), options? }
+ * @returns {Promise<object>} - La información guardada de la subida
+ */
+async function createUpload({ length, metadata, kind, options = null }) {
+    await fsPromises.mkdir(TUS_DIR, { recursive: true });
+    const info = {
+        id: crypto.randomBytes(16).toString('hex'),
+        length,
+        metadata,
+        kind,
+        options,
+        createdAt: new Date().toISOString(),
+        completedAt: null,
+        handoff: null // Resultado de la entrega al pipeline al completarse ({ jobId, videoId, ... })
+    };
+    await fsPromises.writeFile(dataPath(info.id), '');
+    await fsPromises.writeFile(infoPath(info.id), JSON.stringify(info, null, 2));
+    console.log(`[Tus] Subida ${info.id} creada (${kind}, ${length} bytes)`);
+    return info;
+}
+
+async function readInfo(id) {
+    if (!UPLOAD_ID_PATTERN.test(id)) return null;
+    try {
+        return JSON.parse(await fsPromises.readFile(infoPath(id), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Obtiene una subida y su offset actual.
+ * @param {string} id
+ * @returns {Promise<{info: object, offset: number, expiresAt: Date|null}|null>} - null si no existe.
+ *   expiresAt solo se da en las subidas sin terminar (cabecera Upload-Expires)
+ */
+async function getUpload(id) {
+    const info = await readInfo(id);
+    if (!info) return null;
+    // Una subida completada ya entregó sus bytes al pipeline
+    if (info.completedAt) return { info, offset: info.length, expiresAt: null };
+    const stats = await fsPromises.stat(dataPath(id)).catch(() => null);
+    return stats ? { info, offset: stats.size, expiresAt: new Date(stats.mtimeMs + getUploadTtl()) } : null;
+}
+
+/**
+ * Guarda cambios en la información de una subida.
+ * @param {string} id
+ * @param {object} patch - Campos a reemplazar
+ * @returns {Promise<object>} - La información actualizada
+ */
+async function updateUpload(id, patch) {
+    const info = await readInfo(id); // Sin getUpload: al completarse, los bytes ya se movieron
+    const updated = { ...info, ...patch };
+    await fsPromises.writeFile(infoPath(id), JSON.stringify(updated, null, 2));
+    return updated;
+}
+
+/**
+ * Añade el cuerpo de un PATCH al final de la subida. Cuando llega el último byte, la subida se marca como
+ * terminada y se entrega (onComplete) sin soltar el bloqueo: otro PATCH no puede empezar una segunda entrega.
+ * Si la conexión se corta se conserva lo escrito hasta ese momento.
+ * @param {string} id
+ * @param {number} offset - Upload-Offset del cliente, debe coincidir con el tamaño actual
+ * @param {import('stream').Readable} body - La petición
+ * @param {object} [options]
+ * @param {function(object): Promise<object|null>} [options.onComplete] - Entrega la subida completa; devuelve su handoff
+ * @returns {Promise<{offset: number, info: object}>} - El nuevo offset y la información de la subida
+ *   (con completedAt y handoff si ya está completa)
+ * @throws {Error} 404 si no existe, 409 si el offset no coincide, 423 si hay otro PATCH en curso, 413 si se pasa del tamaño declarado
+ */
+async function appendToUpload(id, offset, body, { onComplete } = {}) {
+    if (activeWrites.has(id)) {
+        // El cliente repite el último PATCH porque perdió la respuesta: recibe la de la entrega en curso
+        const completion = completions.get(id);
+        if (completion && offset === completion.length) return { offset, info: await completion.promise };
+        throw httpError(423, 'Another request is already writing to this upload.');
+    }
+    activeWrites.add(id);
+    try {
+        const upload = await getUpload(id);
+        if (!upload) throw httpError(404, `Upload not found: ${id}`);
+        if (upload.offset !== offset) {
+            throw httpError(409, `Upload-Offset ${offset} does not match the current offset ${upload.offset}.`);
+        }
+        // Ya entregada: el mismo resultado que recibió el PATCH que la completó
+        if (upload.info.completedAt) return { offset, info: upload.info };
+
+        let written = upload.offset;
+        const limiter = new Transform({
+            transform(chunk, encoding, callback) {
+                written += chunk.length;
+                if (written > upload.info.length) {
+                    return callback(httpError(413, `The upload is larger than its Upload-Length (${upload.info.length} bytes).`));
+                }
+                callback(null, chunk);
+            }
+        });
+        try {
+            await pipeline(body, limiter, fs.createWriteStream(dataPath(id), { flags: 'a' }));
+        } catch (error) {
+            if (error.status) throw error;
+            // Conexión cortada: el cliente reanudará desde lo que llegó a disco (HEAD)
+            console.warn(`[Tus] PATCH de ${id} interrumpido: ${error.message}`);
+        }
+        const newOffset = (await fsPromises.stat(dataPath(id))).size;
+        if (newOffset !== upload.info.length) return { offset: newOffset, info: upload.info };
+
+        const completion = { length: newOffset, promise: completeUpload(id, onComplete) };
+        completions.set(id, completion);
+        try {
+            return { offset: newOffset, info: await completion.promise };
+        } finally {
+            completions.delete(id);
+        }
+    } finally {
+        activeWrites.delete(id);
+    }
+}
+
+// Marca una subida como completa y la entrega. completedAt se guarda antes de que onComplete mueva los bytes:
+// mientras tanto HEAD ve la subida terminada en lugar de un 404
+async function completeUpload(id, onComplete) {
+    const info = await updateUpload(id, { completedAt: new Date().toISOString() });
+    try {
+        const handoff = onComplete ? await onComplete(info) : null;
+        return await updateUpload(id, { handoff });
+    } catch (error) {
+        // Si los bytes siguen en temp_uploads/tus/, un PATCH vacío con el offset final vuelve a intentar la entrega
+        await updateUpload(id, { completedAt: null }).catch(e => console.error(`[Tus] Error reabriendo la subida ${id}:`, e.message));
+        throw error;
+    }
+}
+
+/**
+ * Espera a que termine la entrega en curso de una subida, si la hay (sus errores los recibe el PATCH que la empezó).
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+async function waitForCompletion(id) {
+    const completion = completions.get(id);
+    if (completion) await completion.promise.catch(() => {});
+}
+
+/**
+ * Mueve los bytes de una subida completa a su destino definitivo.
+ * @param {string} id
+ * @param {string} destination - Ruta final del archivo
+ * @returns {Promise<void>}
+ */
+async function moveUploadData(id, destination) {
+    await fsPromises.mkdir(path.dirname(destination), { recursive: true });
+    try {
+        await fsPromises.rename(dataPath(id), destination);
+    } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        // Otro sistema de archivos: copiar y borrar
+        await fsPromises.copyFile(dataPath(id), destination);
+        await fsPromises.unlink(dataPath(id));
+    }
+}
+
+/**
+ * Elimina una subida (sus bytes y su información).
+ * @param {string} id
+ * @returns {Promise<boolean>} - false si no existía
+ * @throws {Error} 423 si hay un PATCH en curso
+ */
+async function deleteUpload(id) {
+    if (!UPLOAD_ID_PATTERN.test(id)) return false;
+    if (activeWrites.has(id)) throw httpError(423, 'The upload is being written, try again later.');
+    const existed = await fsPromises.stat(infoPath(id)).then(() => true, () => false);
+    await fsPromises.rm(dataPath(id), { force: true });
+    await fsPromises.rm(infoPath(id), { force: true });
+    if (existed) console.log(`[Tus] Subida ${id} eliminada`);
+    return existed;
+}
+
+// Momento en que caduca una subida. Sin información legible (p. ej. un corte a mitad de createUpload)
+// se usa la fecha del archivo más reciente que quede
+async function getExpiryTime(id, info) {
+    if (info && info.completedAt) return Date.parse(info.completedAt) + getUploadTtl();
+    const stats = await Promise.all([dataPath(id), infoPath(id)].map(file => fsPromises.stat(file).catch(() => null)));
+    const lastWrite = Math.max(0, ...stats.filter(Boolean).map(stat => stat.mtimeMs));
+    return lastWrite + getUploadTtl();
+}
+
+/**
+ * Borra las subidas caducadas de temp_uploads/tus/. Se saltan las que tienen un PATCH en curso
+ * y los subtítulos que reclama un video aún sin terminar: viven mientras viva ese video.
+ * @param {number} [now]
+ * @returns {Promise<number>} - Subidas borradas
+ */
+async function sweepExpiredUploads(now = Date.now()) {
+    let fileNames;
+    try {
+        fileNames = await fsPromises.readdir(TUS_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+    const ids = new Set(fileNames.map(name => name.replace(/\.json$/, '')).filter(id => UPLOAD_ID_PATTERN.test(id)));
+
+    const uploads = [];
+    for (const id of ids) {
+        if (activeWrites.has(id)) continue;
+        const info = await readInfo(id).catch(() => null); // Un .json corrupto caduca igual que los demás
+        uploads.push({ id, info, expiresAt: await getExpiryTime(id, info) });
+    }
+    const claimedSubtitles = new Set(uploads
+        .filter(({ info, expiresAt }) => info && info.kind === 'video' && !info.completedAt && expiresAt > now)
+        .flatMap(({ info }) => (info.options && info.options.subtitleUploads) || []));
+
+    let removed = 0;
+    for (const { id, expiresAt } of uploads) {
+        if (expiresAt > now || claimedSubtitles.has(id)) continue;
+        try {
+            await deleteUpload(id);
+            removed++;
+        } catch (error) {
+            // 423: empezó un PATCH entre la lectura y el borrado, se revisará en el próximo barrido
+            console.warn(`[Tus] No se pudo borrar la subida caducada ${id}: ${error.message}`);
+        }
+    }
+    if (removed > 0) console.log(`[Tus] ${removed} subida(s) caducada(s) eliminada(s)`);
+    return removed;
+}
+
+/**
+ * Barre las subidas caducadas ahora y después periódicamente. El temporizador no mantiene vivo el proceso.
+ * @returns {NodeJS.Timeout}
+ */
+function startExpirySweep() {
+    let sweeping = false;
+    const sweep = async () => {
+        if (sweeping) return;
+        sweeping = true;
+        try {
+            await sweepExpiredUploads();
+        } catch (error) {
+            console.error('[Tus] Error al barrer las subidas caducadas:', error);
+        } finally {
+            sweeping = false;
+        }
+    };
+    sweep();
+    return setInterval(sweep, Math.min(getUploadTtl(), MAX_SWEEP_INTERVAL_MS)).unref();
+}
+
+module.exports = {
+    parseMetadata,
+    createUpload,
+    getUpload,
+    updateUpload,
+    appendToUpload,
+    waitForCompletion,
+    moveUploadData,
+    deleteUpload,
+    getMaxUploadSize,
+    getUploadTtl,
+    sweepExpiredUploads,
+    startExpirySweep,
+    httpError
+};
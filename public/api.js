@@ -1,35 +1,126 @@
 // api.js
 import { API_BASE_URL } from './config.js';
 
+// --- Subida reanudable (protocolo tus, /tus) ---
+const TUS_VERSION = '1.0.0';
+const CHUNK_SIZE = 5 * 1024 * 1024; // 5MB por PATCH
+const RETRY_DELAYS_MS = [1000, 3000, 5000, 10000, 20000]; // Un reintento por entrada; después se da por fallida
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Upload-Metadata: "clave valorBase64" separados por comas (base64 del texto en UTF-8)
+const encodeMetadata = (metadata) => Object.entries(metadata)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => {
+        const bytes = new TextEncoder().encode(String(value));
+        return `${key} ${btoa(String.fromCharCode(...bytes))}`;
+    })
+    .join(',');
+
+async function tusRequest(url, method, headers = {}, body) {
+    const response = await fetch(url, { method, headers: { 'Tus-Resumable': TUS_VERSION, ...headers }, body });
+    if (!response.ok && method !== 'HEAD') {
+        const result = await response.json().catch(() => ({}));
+        const error = new Error(result.error || `Error del servidor: ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return response;
+}
+
+// Offset actual de una subida; null si el servidor ya no la conoce
+async function fetchTusOffset(url) {
+    const response = await tusRequest(url, 'HEAD');
+    if (!response.ok) return null;
+    return { offset: Number(response.headers.get('Upload-Offset')), headers: response.headers };
+}
+
 /**
- * Sube un archivo de video al backend.
- * @param {FormData} formData Datos del formulario con el archivo de video.
- * @returns {Promise<object>} Promesa que resuelve con el resultado del servidor.
- * @throws {Error} Si la subida falla o el servidor devuelve un error.
+ * Sube un archivo por trozos con el protocolo tus. La URL de la subida se guarda en localStorage,
+ * así que si la página se recarga o la red se corta, volver a subir el mismo archivo continúa donde quedó.
+ * @param {File} file Archivo a subir.
+ * @param {object} metadata Upload-Metadata (filename, filetype, target, opciones HLS...).
+ * @param {function(number, number): void} [onProgress] Recibe (bytes enviados, total).
+ * @returns {Promise<{url: string, headers: Headers, storageKey: string}>} URL de la subida, cabeceras de la última
+ * respuesta y clave de localStorage (la borra el llamador cuando ya no hace falta reanudar).
+ * @throws {Error} Si el servidor rechaza la subida o se agotan los reintentos.
  */
-export async function uploadVideo(formData) {
-    console.log('[API] Enviando archivo...');
-    try {
-        const response = await fetch(`${API_BASE_URL}/b2/upload-hls`, {
-            method: 'POST',
-            body: formData,
+async function uploadResumable(file, metadata, onProgress) {
+    const storageKey = `tus:${file.name}:${file.size}:${file.lastModified}:${metadata.target || ''}:${metadata.basePath || ''}`;
+    let url = localStorage.getItem(storageKey);
+    let current = url ? await fetchTusOffset(url).catch(() => null) : null;
+    if (!current) {
+        const response = await tusRequest(`${API_BASE_URL}/tus`, 'POST', {
+            'Upload-Length': String(file.size),
+            'Upload-Metadata': encodeMetadata({ filename: file.name, filetype: file.type, ...metadata }),
         });
-        console.log('[API] Respuesta de subida status:', response.status);
-
-        const result = await response.json();
-        console.log('[API] Respuesta de subida body:', result);
+        url = new URL(response.headers.get('Location'), API_BASE_URL || window.location.origin).href;
+        localStorage.setItem(storageKey, url);
+        current = { offset: 0, headers: response.headers };
+    } else {
+        console.log(`[API] Reanudando ${file.name} desde el byte ${current.offset}`);
+    }
 
-        if (!response.ok) {
-             // Intenta usar el mensaje de error del backend si existe
-            throw new Error(result.error || `Error del servidor: ${response.status}`);
+    let { offset, headers } = current;
+    let retries = 0;
+    if (onProgress) onProgress(offset, file.size);
+    while (offset < file.size) {
+        try {
+            const response = await tusRequest(url, 'PATCH', {
+                'Upload-Offset': String(offset),
+                'Content-Type': 'application/offset+octet-stream',
+            }, file.slice(offset, offset + CHUNK_SIZE));
+            offset = Number(response.headers.get('Upload-Offset'));
+            headers = response.headers;
+            retries = 0;
+            if (onProgress) onProgress(offset, file.size);
+        } catch (error) {
+            // 4xx (salvo 409/423, offset desfasado o PATCH en curso) no se arregla reintentando
+            const retryable = !error.status || error.status >= 500 || [409, 423].includes(error.status);
+            if (!retryable || retries >= RETRY_DELAYS_MS.length) throw error;
+            console.warn(`[API] Trozo fallido (${error.message}), reintentando en ${RETRY_DELAYS_MS[retries]}ms`);
+            await delay(RETRY_DELAYS_MS[retries++]);
+            // Continuar desde lo que el servidor llegó a guardar
+            const latest = await fetchTusOffset(url).catch(() => null);
+            if (latest) offset = latest.offset;
         }
-        // Específicamente para 202 Accepted
-        if (response.status === 202) {
-             return { accepted: true, message: `Subida aceptada! Procesamiento iniciado para video ID: ${result.videoId}. Refresca la lista más tarde.`, videoId: result.videoId };
+    }
+    return { url, headers, storageKey };
+}
+
+/**
+ * Sube un video (y sus subtítulos .srt/.vtt) por trozos reanudables y lo encola para su conversión HLS y subida a B2.
+ * @param {File} file Archivo de video.
+ * @param {object} [options]
+ * @param {File[]} [options.subtitles] Subtítulos adjuntos; el idioma se toma del nombre (pelicula.spa.srt).
+ * @param {string} [options.basePath] Carpeta de destino en B2.
+ * @param {function(number, number): void} [options.onProgress] Progreso del video: (bytes enviados, total).
+ * @returns {Promise<object>} { accepted, message, videoId, jobId }.
+ * @throws {Error} Si la subida falla o el servidor devuelve un error.
+ */
+export async function uploadVideo(file, { subtitles = [], basePath = '', onProgress } = {}) {
+    console.log('[API] Enviando archivo por trozos (tus)...');
+    try {
+        // Los subtítulos van primero: el video los referencia al crearse
+        // Sus URLs se conservan hasta que el video termina, para que al reanudar se reutilicen los mismos ids
+        const subtitleUploads = [];
+        const storageKeys = [];
+        for (const subtitle of subtitles) {
+            const { url, storageKey } = await uploadResumable(subtitle, {});
+            subtitleUploads.push(url.split('/').pop());
+            storageKeys.push(storageKey);
         }
-        // Otros códigos 2xx (si los hubiera)
-        return result;
+        const { headers, storageKey } = await uploadResumable(file, {
+            target: 'b2',
+            basePath,
+            subtitleUploads: subtitleUploads.join(','),
+        }, onProgress);
+        [...storageKeys, storageKey].forEach(key => localStorage.removeItem(key));
 
+        const jobId = headers.get('X-Job-Id');
+        const videoId = headers.get('X-Video-Id');
+        console.log('[API] Subida completa, trabajo:', jobId);
+        return { accepted: true, message: `Subida aceptada! Procesamiento en cola para video ID: ${videoId}.`, videoId, jobId };
     } catch (error) {
         console.error('[API] Error en uploadVideo:', error);
         // Re-lanzar para que el llamador lo maneje
@@ -37,6 +128,43 @@ export async function uploadVideo(formData) {
     }
 }
 
+/**
+ * Obtiene el estado de un trabajo de conversión.
+ * @param {string} jobId ID del trabajo devuelto al subir el video.
+ * @returns {Promise<object>} Promesa que resuelve con { state, percent, eta, renditions, error, masterPlaylistUrl, ... }.
+ * @throws {Error} Si la consulta falla o el servidor devuelve un error.
+ */
+export async function fetchJob(jobId) {
+    const response = await fetch(`${API_BASE_URL}/jobs/${encodeURIComponent(jobId)}`);
+    const result = await response.json();
+    if (!response.ok) {
+        throw new Error(result.error || `Error del servidor: ${response.status}`);
+    }
+    return result;
+}
+
+/**
+ * Se suscribe a los eventos en vivo (SSE) de un trabajo de conversión.
+ * @param {string} jobId ID del trabajo.
+ * @param {object} handlers Callbacks por evento: snapshot, state, progress, rendition, upload, done, failed, cancelled, error.
+ * @returns {EventSource} La conexión abierta; se cierra sola al recibir 'done', 'failed' o 'cancelled'.
+ */
+export function subscribeToJob(jobId, handlers = {}) {
+    const source = new EventSource(`${API_BASE_URL}/jobs/${encodeURIComponent(jobId)}/events`);
+    ['snapshot', 'state', 'progress', 'rendition', 'upload', 'done', 'failed', 'cancelled'].forEach(eventName => {
+        source.addEventListener(eventName, (event) => {
+            const data = JSON.parse(event.data);
+            if (['done', 'failed', 'cancelled'].includes(eventName)) source.close();
+            if (handlers[eventName]) handlers[eventName](data);
+        });
+    });
+    source.onerror = (error) => {
+        // EventSource reintenta solo; si el servidor ya cerró el stream no hay nada que hacer
+        if (source.readyState === EventSource.CLOSED && handlers.error) handlers.error(error);
+    };
+    return source;
+}
+
 /**
  * Obtiene la lista de videos procesados desde el backend.
  * @returns {Promise<Array>} Promesa que resuelve con un array de objetos de video.
@@ -1 +1,16 @@
-export const API_BASE_URL = ''; // Asume que la API se sirve desde el mismo origen
\ No newline at end of file
+export const API_BASE_URL = ''; // Asume que la API se sirve desde el mismo origen
+
+// Token de GET /keys (KEY_ACCESS_TOKEN del servidor) para reproducir videos cifrados. Se guarda en localStorage,
+// no en el código ni en la URL: localStorage.setItem('keyAccessToken', '<token>')
+export const KEY_ACCESS_TOKEN_STORAGE_KEY = 'keyAccessToken';
+
+/**
+ * xhrSetup de hls.js: añade "Authorization: Bearer <token>" solo a las peticiones de claves AES-128
+ * (#EXT-X-KEY apunta a /keys/:videoId/:keyId), nunca a las de playlists o segmentos del almacenamiento.
+ */
+export function keyRequestXhrSetup(xhr, url) {
+    const token = localStorage.getItem(KEY_ACCESS_TOKEN_STORAGE_KEY);
+    if (token && /\/keys\/[^/?#]+\/[a-f0-9]{16}(?:[?#]|$)/.test(url)) {
+        xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+    }
+}
@@ -34,23 +34,26 @@ async function handleUploadSubmit(event) {
     UI.setStatus(UI.uploadStatus, 'info', 'Subiendo...');
     console.log('[Main] Envío de formulario detectado.');
 
-    const formData = new FormData();
     if (!UI.videoFile.files || UI.videoFile.files.length === 0) {
         UI.setStatus(UI.uploadStatus, 'error', 'No se seleccionó ningún archivo.');
         console.error('[Main] No hay archivo seleccionado.');
         return;
     }
     const basePathValue = "/videos"
-    formData.append('video', UI.videoFile.files[0]);
-    formData.append('basePath', basePathValue); // Usa una clave descriptiva como 'basePath'
     try {
-        const result = await API.uploadVideo(formData);
+        // Subida por trozos reanudable: si se corta, volver a enviar el mismo archivo continúa donde quedó
+        const result = await API.uploadVideo(UI.videoFile.files[0], {
+            // Subtítulos adjuntos (.srt/.vtt); el idioma se toma del nombre, p. ej. pelicula.spa.srt
+            subtitles: Array.from(UI.subtitleFiles?.files || []),
+            basePath: basePathValue,
+            onProgress: (sent, total) => UI.setStatus(UI.uploadStatus, 'info', `Subiendo... ${Math.floor(sent * 100 / total)}%`),
+        });
         // El resultado puede variar (éxito directo o aceptación 202)
         if (result.accepted) {
             UI.setStatus(UI.uploadStatus, 'success', result.message);
-             // Refrescar lista después de un tiempo
-            console.log('[Main] Programando refresco de lista tras subida aceptada.');
-            setTimeout(handleFetchVideoList, 7000); // Aumentar un poco el tiempo
+            // Seguir el trabajo hasta que termine y entonces refrescar la lista
+            console.log('[Main] Siguiendo el trabajo de conversión:', result.jobId);
+            followJob(result.jobId);
         } else {
             // Manejar otros posibles éxitos si los hubiera
              UI.setStatus(UI.uploadStatus, 'success', 'Subida completada (respuesta inesperada).');
@@ -63,6 +66,105 @@ async function handleUploadSubmit(event) {
     }
 }
 
+const JOB_POLL_INTERVAL_MS = 2000;
+const JOB_STATE_LABELS = {
+    queued: 'En cola',
+    probing: 'Analizando video',
+    encoding: 'Convirtiendo',
+    uploading: 'Subiendo a B2',
+};
+
+/**
+ * Sigue un trabajo con eventos en vivo (SSE) y dibuja una barra de progreso por rendición.
+ * Si el stream no está disponible, recurre a consultar el estado periódicamente.
+ * @param {string} jobId ID del trabajo de conversión.
+ */
+function followJob(jobId) {
+    let progress = null;
+    let upload = null;
+    let state = 'queued';
+
+    const showState = () => {
+        const label = JOB_STATE_LABELS[state] || state;
+        const percent = progress ? `: ${progress.percent}%` : '';
+        const eta = progress?.eta ? ` (~${progress.eta}s restantes)` : '';
+        UI.setStatus(UI.uploadStatus, 'info', `${label}${percent}${eta}`);
+    };
+
+    API.subscribeToJob(jobId, {
+        snapshot: (job) => {
+            state = job.state;
+            progress = { percent: job.percent, eta: job.eta, renditions: job.renditions };
+            UI.renderJobProgress(progress);
+            showState();
+        },
+        state: (data) => {
+            state = data.state;
+            showState();
+        },
+        progress: (data) => {
+            progress = data;
+            UI.renderJobProgress(progress, upload);
+            showState();
+        },
+        upload: (data) => {
+            upload = data;
+            UI.renderJobProgress(progress, upload);
+        },
+        done: async () => {
+            UI.clearJobProgress();
+            await handleFetchVideoList(); // Limpia el estado al terminar, así que el mensaje va después
+            UI.setStatus(UI.uploadStatus, 'success', `Trabajo ${jobId} completado.`);
+        },
+        failed: (data) => {
+            UI.clearJobProgress();
+            UI.setStatus(UI.uploadStatus, 'error', `Fallo en el trabajo ${jobId}: ${data.error}`);
+        },
+        cancelled: () => {
+            UI.clearJobProgress();
+            UI.setStatus(UI.uploadStatus, 'warning', `Trabajo ${jobId} cancelado.`);
+        },
+        error: () => {
+            console.warn('[Main] Stream de eventos no disponible, consultando el estado periódicamente.');
+            watchJob(jobId);
+        },
+    });
+}
+
+/**
+ * Consulta periódicamente el estado de un trabajo y lo muestra hasta que termina.
+ * @param {string} jobId ID del trabajo de conversión.
+ */
+async function watchJob(jobId) {
+    try {
+        const job = await API.fetchJob(jobId);
+        // Las barras de progreso pueden venir del stream de eventos, antes de que fallara
+        if (job.state === 'done') {
+            UI.clearJobProgress();
+            await handleFetchVideoList(); // Limpia el estado al terminar, así que el mensaje va después
+            UI.setStatus(UI.uploadStatus, 'success', `Video ${job.videoId} procesado.`);
+            return;
+        }
+        if (job.state === 'failed') {
+            UI.clearJobProgress();
+            UI.setStatus(UI.uploadStatus, 'error', `Fallo al procesar ${job.videoId}: ${job.error}`);
+            return;
+        }
+        if (job.state === 'cancelled') {
+            UI.clearJobProgress();
+            UI.setStatus(UI.uploadStatus, 'warning', `Procesamiento de ${job.videoId} cancelado.`);
+            return;
+        }
+        const eta = job.eta !== null && job.eta !== undefined ? ` (~${job.eta}s restantes)` : '';
+        const label = JOB_STATE_LABELS[job.state] || job.state;
+        UI.setStatus(UI.uploadStatus, 'info', `${label}: ${job.percent}%${eta}`);
+        setTimeout(() => watchJob(jobId), JOB_POLL_INTERVAL_MS);
+    } catch (error) {
+        console.error('[Main] Error consultando el trabajo:', error);
+        UI.setStatus(UI.uploadStatus, 'error', `No se pudo consultar el trabajo ${jobId}: ${error.message}`);
+    }
+}
+
 /**
  * Maneja la obtención y renderizado de la lista de videos.
  */
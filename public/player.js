@@ -1,5 +1,6 @@
 // player.js
 import * as UI from './ui.js';
+import { keyRequestXhrSetup } from './config.js';
 
 let player = null;
 let hls = null;
@@ -10,6 +11,7 @@ export function initializePlayer() {
     console.log("[Player] Initializing Plyr...");
     player = new Plyr(UI.videoPlayerElement, {
         captions: { active: true, update: true, language: 'auto' },
+        previewThumbnails: { enabled: false, src: '' }, // Se activa por video en loadVideo (thumbnails.vtt)
         debug: false,
         settings: ['captions', 'quality', 'speed', 'loop'],
         quality: {
@@ -42,7 +44,13 @@ export function initializePlayer() {
     return player;
 }
 
-export function loadVideo(hlsUrl, videoId) {
+/**
+ * Carga un stream HLS en el reproductor.
+ * @param {string} hlsUrl URL del master.m3u8.
+ * @param {string} videoId Id mostrado en los mensajes de estado.
+ * @param {object} [extras] { thumbnailsVttUrl } pista WebVTT con sprites para previsualizar al pasar por la barra.
+ */
+export function loadVideo(hlsUrl, videoId, { thumbnailsVttUrl = null } = {}) {
     if (!player) {
         console.error("[Player] Plyr player not initialized yet!");
         UI.setStatus(UI.playerStatus, 'error', 'Player not ready.');
@@ -61,12 +69,14 @@ export function loadVideo(hlsUrl, videoId) {
     isUpdatingQualityInternally = false;
 
     updatePlyrQualityUIState([]); // Reset Plyr's quality UI
+    updatePreviewThumbnails(thumbnailsVttUrl);
 
     if (Hls.isSupported()) {
         console.log("[Player] HLS.js is supported. Initializing HLS.js.");
         hls = new Hls({
             debug: false,
             startLevel: -1, // Start with automatic quality selection
+            xhrSetup: keyRequestXhrSetup, // Sends the key access token with AES-128 key requests
             // capLevelToPlayerSize: true, // Optional: Limit quality based on player size
         });
 
@@ -180,6 +190,15 @@ export function loadVideo(hlsUrl, videoId) {
     }
 }
 
+/**
+ * Enables Plyr's scrubbing previews from a thumbnails.vtt (sprite #xywh= cues), or disables them.
+ */
+function updatePreviewThumbnails(vttUrl) {
+    if (!player || typeof player.setPreviewThumbnails !== 'function') return;
+    console.log(`[Player] Preview thumbnails: ${vttUrl || 'none'}`);
+    player.setPreviewThumbnails({ enabled: Boolean(vttUrl), src: vttUrl || '' });
+}
+
 /**
  * Callback when user changes quality via Plyr UI. Tells HLS.js to switch.
  */
@@ -3,7 +3,9 @@
 // Selección de elementos DOM
 export const uploadForm = document.getElementById('uploadForm');
 export const videoFile = document.getElementById('videoFile');
+export const subtitleFiles = document.getElementById('subtitleFiles');
 export const uploadStatus = document.getElementById('uploadStatus');
+export const uploadProgress = document.getElementById('uploadProgress');
 export const videoList = document.getElementById('videoList');
 export const refreshListBtn = document.getElementById('refreshListBtn');
 export const videoPlayerElement = document.getElementById('videoPlayer');
@@ -38,9 +40,62 @@ export function setStatus(element, type, message, show = true) {
     }
 }
 
+/**
+ * Renderiza una barra de progreso por rendición (estilo DaisyUI) para un trabajo de conversión.
+ * @param {object} progress Progreso del trabajo { renditions: { '720p': { percent, done } } }.
+ * @param {object} [upload] Conteo de archivos subidos a B2 { uploaded, skipped, failed, total }, si aplica.
+ */
+export function renderJobProgress(progress, upload = null) {
+    uploadProgress.innerHTML = '';
+    const renditions = Object.entries(progress?.renditions || {});
+
+    renditions.forEach(([name, rendition]) => {
+        uploadProgress.appendChild(createProgressRow(
+            `${name}${rendition.done ? ' ✓' : ''}`,
+            rendition.percent,
+            rendition.done ? 'progress-success' : 'progress-primary'
+        ));
+    });
+    if (upload && upload.total > 0) {
+        const done = upload.uploaded + (upload.skipped || 0); // skipped: ya estaban en B2 de un intento anterior
+        const percent = Math.round((done + upload.failed) / upload.total * 100);
+        const label = `B2: ${done}/${upload.total}${upload.failed ? ` (${upload.failed} fallidos)` : ''}`;
+        uploadProgress.appendChild(createProgressRow(label, percent, upload.failed ? 'progress-warning' : 'progress-accent'));
+    }
+
+    uploadProgress.style.display = renditions.length > 0 || upload ? 'block' : 'none';
+}
+
+/**
+ * Oculta y limpia las barras de progreso.
+ */
+export function clearJobProgress() {
+    uploadProgress.innerHTML = '';
+    uploadProgress.style.display = 'none';
+}
+
+function createProgressRow(label, percent, colorClass) {
+    const row = document.createElement('div');
+    row.className = 'flex items-center gap-2 mb-1';
+    const text = document.createElement('span');
+    text.className = 'text-sm w-40';
+    text.textContent = label;
+    const bar = document.createElement('progress');
+    bar.className = `progress ${colorClass} w-full`;
+    bar.max = 100;
+    bar.value = percent || 0;
+    const value = document.createElement('span');
+    value.className = 'text-xs w-12 text-right';
+    value.textContent = `${Math.round(percent || 0)}%`;
+    row.appendChild(text);
+    row.appendChild(bar);
+    row.appendChild(value);
+    return row;
+}
+
 /**
  * Renderiza la lista de videos en el elemento UL proporcionado.
- * @param {Array} videos Array de objetos de video {id, masterPlaylistUrl}.
+ * @param {Array} videos Array de objetos de video {id, masterPlaylistUrl, posterUrl}.
  * @param {function} onPlayCallback Callback a ejecutar cuando se pulsa 'Play'.
  */
 export function renderVideoList(videos, onPlayCallback) {
@@ -99,8 +154,24 @@ function createVideoElement(video,onPlayCallback){
     a.href = "#"; // Prevenir salto de página
     const videoID = video.id || video.fileId;
     const mastervideo = video.masterPlaylistUrl || video.downloadUrl;
-    const span = document.createElement('span');
-    span.textContent = `ID: ${mastervideo}`
+
+    // Póster + nombre legible (la carpeta del video en B2, o el id local) en lugar de la URL cruda
+    const info = document.createElement('span');
+    info.className = "flex items-center gap-3 min-w-0";
+    const poster = document.createElement(video.posterUrl ? 'img' : 'div');
+    poster.className = "w-20 h-12 rounded object-cover bg-base-300 flex-none";
+    if (video.posterUrl) {
+        poster.src = video.posterUrl;
+        poster.alt = '';
+        poster.loading = 'lazy';
+        poster.onerror = () => { poster.removeAttribute('src'); }; // Sin póster accesible: dejar el recuadro vacío
+    }
+    const title = document.createElement('span');
+    title.className = "truncate";
+    title.textContent = video.fileName ? video.fileName.replace(/\/?master\.m3u8$/, '') : videoID;
+    title.title = mastervideo;
+    info.appendChild(poster);
+    info.appendChild(title);
 
     const playButton = document.createElement('button');
     playButton.textContent = 'Play';
@@ -113,12 +184,12 @@ function createVideoElement(video,onPlayCallback){
         const urlTodownload = await getDownloadUrl(video.fileName)
         console.log(urlTodownload)
             
-            onPlayCallback(urlTodownload, videoID);
+            onPlayCallback(urlTodownload, videoID, { thumbnailsVttUrl: video.thumbnailsVttUrl });
 
         }
     };
 
-    a.appendChild(span);
+    a.appendChild(info);
     a.appendChild(playButton);
     li.appendChild(a);
     videoList.appendChild(li);
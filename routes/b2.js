@@ -4,45 +4,52 @@ const path = require('path');
 const multer = require('multer'); // Para manejar subida de archivos
 const fs = require('fs'); // Usar fs normal para sync ops
 const fsPromises = require('fs').promises; // Usar promesas para async ops
+const crypto = require('crypto'); // SHA1 de las subidas directas
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const b2 = require('../back.js'); // Importar módulo de Backblaze B2
-const { ensureDirExists, convertToHls } = require('../utils/hls'); // Importar funciones HLS
+const { getStorage } = require('../lib/storage');
+const { jobQueue } = require('../lib/queue');
+const { removeVideoKeys } = require('../utils/encryption');
 
 // --- Constantes de Directorios ---
 // Usar path.resolve para asegurar rutas absolutas desde la raíz del proyecto
 const TEMP_UPLOAD_DIR = path.resolve(__dirname, '..', 'temp_uploads');
 const PROCESSED_DIR_ROOT = path.resolve(__dirname, '..', 'processed_videos');
 
-// --- Configuración de Multer para subida directa a B2 (en memoria) ---
-const storageDirectB2 = multer.memoryStorage();
-const uploadDirectB2 = multer({ storage: storageDirectB2 });
-
-// --- Configuración de Multer para subida local temporal (para conversión HLS) ---
-const storageTempLocal = multer.diskStorage({
-    destination: async (req, file, cb) => {
-        // Asegurar que el directorio temporal existe
-        if (!fs.existsSync(TEMP_UPLOAD_DIR)){
-            fs.mkdirSync(TEMP_UPLOAD_DIR, { recursive: true });
-        }
-        cb(null, TEMP_UPLOAD_DIR);
+// --- Configuración de Multer para subida directa a B2 (a disco, calculando el SHA1 al vuelo) ---
+// Motor de almacenamiento propio: el archivo se escribe en temp_uploads mientras llega y el SHA1
+// (X-Bz-Content-Sha1) se calcula sobre los mismos bloques, así nunca está entero en memoria ni hay que releerlo.
+const storageDirectB2 = {
+    _handleFile(req, file, cb) {
+        fsPromises.mkdir(TEMP_UPLOAD_DIR, { recursive: true }).then(() => {
+            const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+            const filePath = path.join(TEMP_UPLOAD_DIR, `direct-upload-${uniqueSuffix}-${file.originalname.replace(/[^a-zA-Z0-9.]/g, '_')}`);
+            const hash = crypto.createHash('sha1');
+            let size = 0;
+            const hasher = new Transform({
+                transform(chunk, encoding, callback) {
+                    hash.update(chunk);
+                    size += chunk.length;
+                    callback(null, chunk);
+                }
+            });
+            // Multer no avisa si el cliente corta la conexión: cortar el stream para no dejar la escritura colgada
+            const onClose = () => {
+                if (!req.complete) file.stream.destroy(new Error('Upload aborted by the client.'));
+            };
+            req.on('close', onClose);
+            pipeline(file.stream, hasher, fs.createWriteStream(filePath))
+                .then(() => cb(null, { path: filePath, size, sha1: hash.digest('hex') }))
+                .catch(error => fs.unlink(filePath, () => cb(error))) // Subida cortada: no dejar el archivo a medias
+                .finally(() => req.off('close', onClose));
+        }, cb);
     },
-    filename: (req, file, cb) => {
-        // Usar un nombre temporal único para evitar colisiones
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        const safeOriginalName = file.originalname.replace(/[^a-zA-Z0-9.]/g, '_');
-        cb(null, uniqueSuffix + '-' + safeOriginalName);
-    }
-});
-const uploadTempLocal = multer({
-    storage: storageTempLocal,
-    limits: { fileSize: 1024 * 1024 * 500 }, // 500MB limit (ajustar si es necesario)
-    fileFilter: (req, file, cb) => {
-        if (file.mimetype.startsWith('video/')) {
-            cb(null, true);
-        } else {
-            cb(new Error('Invalid file type. Only video files are allowed.'), false);
-        }
+    _removeFile(req, file, cb) {
+        fs.unlink(file.path, () => cb(null));
     }
-}).single('video'); // Usar el mismo nombre de campo 'video'
+};
+const uploadDirectB2 = multer({ storage: storageDirectB2 });
 
 // --- Ruta para subir archivos DIRECTAMENTE a Backblaze B2 ---
 // POST /b2/upload
@@ -51,23 +58,19 @@ router.post('/upload', uploadDirectB2.single('video'), async (req, res, next) =>
         return res.status(400).send('No file uploaded.');
     }
 
-    // El archivo está en req.file.buffer (Multer en memoria)
-    const tempFilePath = path.join(TEMP_UPLOAD_DIR, `direct-upload-${Date.now()}-${req.file.originalname}`);
+    // El archivo ya está en disco (req.file.path) con su SHA1 calculado durante la recepción
+    const tempFilePath = req.file.path;
 
     try {
-        // Escribir el buffer al archivo temporal para que b2.uploadFile lo lea
-        fs.writeFileSync(tempFilePath, req.file.buffer);
-        console.log(`[B2 Direct Upload] Archivo temporal creado en: ${tempFilePath}`);
-
         // Subir a B2 usando la función refactorizada
         const bucketId = process.env.B2_BUCKET_ID;
         const fileName = req.file.originalname; // Usar el nombre original para la subida y el registro
 
         // uploadFile ahora registra automáticamente el historial
-        const uploadResult = await b2.uploadFile(bucketId, fileName, tempFilePath);
+        const uploadResult = await b2.uploadFile(bucketId, fileName, tempFilePath, { sha1: req.file.sha1 });
 
         // Eliminar el archivo temporal después de subirlo
-        fs.unlinkSync(tempFilePath);
+        await fsPromises.unlink(tempFilePath);
         console.log(`[B2 Direct Upload] Archivo temporal eliminado: ${tempFilePath}`);
 
         // Obtener el historial de esta subida específica
@@ -103,104 +106,59 @@ router.post('/upload', uploadDirectB2.single('video'), async (req, res, next) =>
     }
 });
 
+// --- Ruta para eliminar un video publicado (el prefijo que devuelven /publish y /b2/upload-hls) ---
+// DELETE /b2/videos/:prefix  (p. ej. DELETE /b2/videos/cursos/abc123)
+// Borra todo lo que hay bajo "<prefix>/" en el almacenamiento configurado (STORAGE_BACKEND; en B2, todas las
+// versiones) y olvida su manifiesto de subida. Un fallo en algunos archivos no detiene el resto:
+// 200 si se borró todo, 207 si quedaron archivos (se listan en "failed" y se puede repetir la petición),
+// 502 si no se pudo borrar ninguno.
+router.delete('/videos/:prefix(*)', async (req, res, next) => {
+    const prefix = req.params.prefix.replace(/^\/+|\/+$/g, '');
+    if (!prefix || prefix.split('/').some(segment => segment === '' || segment === '.' || segment === '..')) {
+        return res.status(400).json({ error: 'Invalid prefix.' });
+    }
+    // Trabajos de publicación dentro del prefijo (o por encima): no borrar mientras alguno sigue en curso
+    const publishesInto = (job) => job.type === 'b2-hls' && job.payload?.b2Prefix
+        && (`${job.payload.b2Prefix}/`.startsWith(`${prefix}/`) || `${prefix}/`.startsWith(`${job.payload.b2Prefix}/`));
+    const activeJob = jobQueue.listActiveJobs().find(publishesInto);
+    if (activeJob) {
+        return res.status(409).json({ error: `El prefijo ${prefix}/ lo está publicando el trabajo ${activeJob.id}.`, jobId: activeJob.id });
+    }
 
-
-// --- Ruta para subir video, convertir a HLS y subir HLS a B2 ---
-// POST /b2/upload-hls
-router.post('/upload-hls', (req, res, next) => {
-    // Usar uploadTempLocal que guarda en disco temporalmente
-    uploadTempLocal(req, res, async (err) => {
-        if (err) {
-            console.error('[B2 HLS Upload] Multer or Filter error:', err.message);
-            // Asegurarse que el campo sea 'video' como se definió en multer
-            if (err.code === 'LIMIT_UNEXPECTED_FILE' && err.field !== 'video') {
-                 return res.status(400).json({ error: `Upload error: Unexpected field '${err.field}'. Expected 'video'.` });
-            }
-            return res.status(400).json({ error: `Upload error: ${err.message}` });
+    try {
+        const storage = getStorage();
+        const { deleted, failed, cancelledLargeFiles } = await storage.deleteDirectory(prefix);
+        // Originales que los trabajos fallidos conservan en temp_uploads para /jobs/:id/retry, como en DELETE /videos/:id
+        // (también si el trabajo no llegó a publicar nada)
+        const jobs = jobQueue.listJobs().filter(publishesInto);
+        const originals = [...new Set(jobs.map(job => job.payload.inputPath))]
+            .filter(inputPath => inputPath && fs.existsSync(inputPath));
+        for (const inputPath of originals) {
+            await fsPromises.rm(inputPath, { force: true });
         }
-        if (!req.file) {
-            return res.status(400).json({ error: 'No video file uploaded (expected field: video).' });
+        if (deleted === 0 && failed.length === 0 && !cancelledLargeFiles && originals.length === 0) {
+            return res.status(404).json({ error: `No hay archivos bajo ${prefix}/` });
         }
-
-        const originalTempPath = req.file.path; // Ruta al video original temporal
-        const videoId = path.basename(originalTempPath, path.extname(originalTempPath));
-        const basePath = req.body.basePath ? req.body.basePath.trim().replace(/^\/|\/$/g, '') : ''; // Limpiar slashes
-        console.log(`[B2 HLS Upload] Base path: ${basePath}`);
-        const finalB2Prefix = basePath ? `${basePath}/${videoId}` : videoId; // Construir prefijo final en B2
-        
-        const hlsLocalOutputDir = path.join(PROCESSED_DIR_ROOT, videoId); // Directorio donde convertToHls guardará los archivos
-
-        console.log(`[B2 HLS Upload] Video temporal recibido: ${originalTempPath}`);
-        console.log(`[B2 HLS Upload] Iniciando conversión HLS para videoId: ${videoId}`);
-
-        try {
-            // 1. Convertir a HLS localmente
-            // 1. Convertir a HLS localmente
-            // Asegúrate de que convertToHls no necesite el token si no lo usa internamente
-            await convertToHls(originalTempPath, { videoId, basePath: basePath });
-            console.log(`[B2 HLS Upload] Conversión HLS completada para videoId: ${videoId}. Archivos en: ${hlsLocalOutputDir}`);
-
-            // 2. Subir el directorio HLS completo a B2 usando la nueva función
-            const bucketId = process.env.B2_BUCKET_ID;
-            const b2Prefix = videoId; // Usar videoId como prefijo en B2
-            /*            res.status(200).json({
-                message: 'HLS conversion and upload to B2 completed successfully.',
-                videoId: videoId,
-                b2Prefix: finalB2Prefix,
-            });*/
-            const uploadDirResult = await b2.uploadDirectoryToB2(bucketId, hlsLocalOutputDir, finalB2Prefix);
-
-            // 3. Limpieza local (independientemente del éxito de la subida a B2)
-            try {
-                await fsPromises.unlink(originalTempPath);
-                console.log(`[B2 HLS Upload] Archivo original temporal eliminado: ${originalTempPath}`);
-                await fsPromises.rm(hlsLocalOutputDir, { recursive: true, force: true });
-                console.log(`[B2 HLS Upload] Directorio HLS local eliminado: ${hlsLocalOutputDir}`);
-            } catch (cleanupError) {
-                console.error(`[B2 HLS Upload] Error durante la limpieza local:`, cleanupError);
-            }
-
-            // 4. Responder al cliente
-            const mainManifestB2Path = `${finalB2Prefix}/master.m3u8`; // Usar el prefijo
-            const mainManifestUrl = `${b2.getDownloadUrl()}/file/${process.env.B2_BUCKET_NAME}/${encodeURIComponent(mainManifestB2Path)}`;
-
-            if (!uploadDirResult.success) {
-                 res.status(207).json({ // Multi-Status
-                    message: `HLS conversion complete. ${uploadDirResult.successfulUploads.length} files uploaded to B2, ${uploadDirResult.failedUploads.length} failed.`,
-                    videoId: videoId,
-                    b2Prefix: finalB2Prefix + '/',
-                    mainManifestUrl: mainManifestUrl,
-                    uploadHistory: uploadDirResult.history // Incluir historial agrupado
-                });
-            } else {
-                 res.status(200).json({
-                    message: 'HLS conversion and upload to B2 completed successfully.',
-                    videoId: videoId,
-                    b2Prefix: finalB2Prefix + '/',
-                    mainManifestUrl: mainManifestUrl,
-                    uploadHistory: uploadDirResult.history // Incluir historial agrupado
-                });
-            }
-
-        } catch (error) {
-            console.error(`[B2 HLS Upload] Error en el proceso HLS o subida a B2 para videoId: ${videoId}`, error);
-            // Intentar limpieza incluso si falla la conversión o subida
-             try {
-                if (fs.existsSync(originalTempPath)) {
-                    await fsPromises.unlink(originalTempPath);
-                    console.log(`[B2 HLS Upload] Archivo original temporal eliminado tras error: ${originalTempPath}`);
-                }
-                if (fs.existsSync(hlsLocalOutputDir)) {
-                    await fsPromises.rm(hlsLocalOutputDir, { recursive: true, force: true });
-                    console.log(`[B2 HLS Upload] Directorio HLS local eliminado tras error: ${hlsLocalOutputDir}`);
-                }
-            } catch (cleanupError) {
-                console.error(`[B2 HLS Upload] Error durante la limpieza local tras error principal:`, cleanupError);
-            }
-            next(error); // Pasar al manejador de errores global
+        // Las claves AES-128 se guardan por videoId (último segmento del prefijo); si el video sigue en
+        // processed_videos las necesita la copia local
+        const videoIds = new Set([path.basename(prefix), ...jobs.map(job => job.payload.videoId)]);
+        for (const videoId of failed.length === 0 ? videoIds : []) {
+            if (!videoId || fs.existsSync(path.join(PROCESSED_DIR_ROOT, videoId))) continue;
+            await removeVideoKeys(videoId).catch(e => console.error(`[Delete] Error eliminando claves de ${videoId}:`, e));
         }
-    });
+        const status = failed.length === 0 ? 200 : deleted > 0 ? 207 : 502;
+        res.status(status).json({
+            storage: storage.name,
+            prefix: `${prefix}/`,
+            deleted, // Archivos (en B2, versiones) eliminados
+            failed, // [{ key, error }] (en B2 también fileId)
+            ...(cancelledLargeFiles !== undefined && { cancelledLargeFiles }), // Solo B2
+            originalsDeleted: originals.length
+        });
+    } catch (error) {
+        console.error(`[Delete] Error al listar ${prefix}/:`, error.response ? error.response.data : error.message);
+        next(error); // Pasar el error al manejador de errores global
+    }
 });
 
-
 module.exports = router;
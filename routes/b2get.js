@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const b2 = require('../back.js'); // Importar módulo de Backblaze B2
+const { DASH_MANIFEST_NAME } = require('../utils/dash'); // manifest.mpd junto al master.m3u8
+const { THUMBS_DIR_NAME, POSTER_NAME, THUMBNAIL_NAME_PATTERN, SPRITE_VTT_NAME } = require('../utils/thumbnails'); // thumbs/poster.jpg, thumb001.jpg, thumbnails.vtt
+const { ASS_DIR_NAME, ASS_MANIFEST_NAME } = require('../utils/subtitles'); // ass/tracks.json, pistas para JASSUB
 
 router.get('/download-url/:fileName', async (req, res) => {
     try {
@@ -177,14 +180,39 @@ router.get('/folder', async (req, res, next) => {
 router.get('/videos', async (req, res, next) => {
     try {
         const bucketId = process.env.B2_BUCKET_ID;
-        // Filtrar solo archivos master.m3u8
-        const listResult = await b2.listVideoFiles(bucketId, null, 500, 'master.m3u8');
+        // Un solo listado: filtrar los master.m3u8 y buscar manifest.mpd y thumbs/ en la misma carpeta
+        const listResult = await b2.listFiles(bucketId, null, 500);
         if (listResult && listResult.files) {
+            const fileNames = new Set(listResult.files.map(file => file.fileName));
+            // Codificar cada segmento pero conservar las "/": las rutas relativas del MPD y del VTT de sprites
+            // se resuelven contra la carpeta del archivo
+            const toDownloadUrl = (fileName) => `${b2.getDownloadUrl()}/file/${process.env.B2_BUCKET_NAME}/${fileName.split('/').map(encodeURIComponent).join('/')}`;
             // Mapear los resultados para incluir la URL de descarga directa
-            const filesWithUrls = listResult.files.map(file => ({
-                ...file,
-                downloadUrl: `${b2.getDownloadUrl()}/file/${process.env.B2_BUCKET_NAME}/${encodeURIComponent(file.fileName)}`
-            }));
+            const filesWithUrls = listResult.files
+                .filter(file => file.fileName.toLowerCase().endsWith('master.m3u8'))
+                .map(file => {
+                    const videoPrefix = file.fileName.replace(/master\.m3u8$/i, '');
+                    const dashFileName = `${videoPrefix}${DASH_MANIFEST_NAME}`;
+                    const thumbsPrefix = `${videoPrefix}${THUMBS_DIR_NAME}/`;
+                    const posterFileName = `${thumbsPrefix}${POSTER_NAME}`;
+                    const vttFileName = `${thumbsPrefix}${SPRITE_VTT_NAME}`;
+                    const assManifestFileName = `${videoPrefix}${ASS_DIR_NAME}/${ASS_MANIFEST_NAME}`;
+                    const thumbnailFileNames = [...fileNames]
+                        .filter(name => name.startsWith(thumbsPrefix) && THUMBNAIL_NAME_PATTERN.test(name.slice(thumbsPrefix.length)))
+                        .sort();
+                    return {
+                        ...file,
+                        downloadUrl: toDownloadUrl(file.fileName),
+                        dashManifestUrl: fileNames.has(dashFileName) ? toDownloadUrl(dashFileName) : null,
+                        posterUrl: fileNames.has(posterFileName) ? toDownloadUrl(posterFileName) : null,
+                        thumbnails: thumbnailFileNames.map(toDownloadUrl),
+                        thumbnailsVttUrl: fileNames.has(vttFileName) ? toDownloadUrl(vttFileName) : null,
+                        // Pistas ASS vía /subtitles, con el prefijo del video como id
+                        assTracksUrl: fileNames.has(assManifestFileName)
+                            ? `/subtitles/${encodeURIComponent(videoPrefix.replace(/\/$/, ''))}`
+                            : null
+                    };
+                });
 
             res.status(200).json({
                 files: filesWithUrls,
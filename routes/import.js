@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const { VIDEOS_DIR } = require('../utils/hls');
+const { jobQueue } = require('../lib/queue');
+const { resolveUploadOptions } = require('../lib/profiles');
+const { assertPublicUrl, TEMP_UPLOAD_DIR } = require('../utils/import');
+
+// Imports a video that is already online (an HTTP(S) URL or a file in the B2 bucket) without sending it
+// through the browser. The request is validated and queued right away: the job downloads the file to
+// temp_uploads/, checks it with ffprobe, and then converts it exactly like a POST /upload (target "local")
+// or POST /b2/upload-hls (target "b2") one.
+const TARGETS = ['local', 'b2'];
+
+router.use(express.json());
+
+// Last segment of the URL path or B2 file name, e.g. https://cdn.example.com/masters/My%20Film.mov -> "My Film.mov"
+const sourceFileName = (name) => {
+    let decoded = name;
+    try {
+        decoded = decodeURIComponent(name);
+    } catch (error) {
+        // Malformed escapes: keep the name as-is
+    }
+    return path.posix.basename(decoded) || 'video';
+};
+
+// --- POST /import Route ---
+// JSON body: { url } or { b2FileName }, target ('local' | 'b2'), basePath (b2), and the upload form fields (profile, ladder...)
+router.post('/', async (req, res, next) => {
+    const body = req.body || {};
+    const { url, b2FileName } = body;
+    const target = body.target || 'local';
+
+    if (!url === !b2FileName) {
+        return res.status(400).json({ error: 'Send either url or b2FileName.' });
+    }
+    if (!url && (typeof b2FileName !== 'string' || !b2FileName.trim())) {
+        return res.status(400).json({ error: 'b2FileName must be a non-empty string.' });
+    }
+    if (!TARGETS.includes(target)) {
+        return res.status(400).json({ error: `Invalid target '${target}'. Allowed: ${TARGETS.join(', ')}` });
+    }
+
+    let sourceUrl = null;
+    let options;
+    try {
+        // Private and local hosts are refused here and again on every connection the download makes
+        if (url) sourceUrl = await assertPublicUrl(String(url));
+        options = await resolveUploadOptions(body);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        return res.status(400).json({ error: `Invalid HLS options: ${error.message}` });
+    }
+
+    const source = sourceUrl ? { url: sourceUrl.href } : { b2FileName };
+    const safeFilename = sourceFileName(sourceUrl ? sourceUrl.pathname : b2FileName).replace(/[^a-zA-Z0-9.]/g, '_');
+    // Same file names (and therefore video ids) as the multipart routes
+    const inputPath = target === 'b2'
+        ? path.join(TEMP_UPLOAD_DIR, `${Date.now()}-${Math.round(Math.random() * 1E9)}-${safeFilename}`)
+        : path.join(VIDEOS_DIR, `${Date.now()}-${safeFilename}`);
+    const videoId = path.basename(inputPath, path.extname(inputPath));
+
+    try {
+        const response = {
+            message: 'Import queued. The job downloads and checks the file before converting it.',
+            videoId,
+            source: source.url || source.b2FileName
+        };
+        if (target === 'b2') {
+            const basePath = body.basePath ? String(body.basePath).trim().replace(/^\/|\/$/g, '') : '';
+            const b2Prefix = basePath ? `${basePath}/${videoId}` : videoId;
+            const job = await jobQueue.enqueue('b2-hls', { inputPath, videoId, basePath, b2Prefix, options, source });
+            Object.assign(response, { jobId: job.id, b2Prefix: `${b2Prefix}/` });
+        } else {
+            const job = await jobQueue.enqueue('hls', { inputPath, videoId, options, source });
+            response.jobId = job.id;
+        }
+        console.log(`[Import] ${response.source} queued as ${videoId} (job ${response.jobId})`);
+        res.status(202).json(response);
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
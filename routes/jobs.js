@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const { jobQueue } = require('../lib/queue');
+
+// --- Public view of a job (internal paths in the payload are not exposed) ---
+const serializeJob = (job) => {
+    const result = job.result || {};
+    return {
+        id: job.id,
+        type: job.type,
+        state: job.state, // queued | downloading | probing | encoding | uploading | done | failed | cancelled
+        cancelRequested: jobQueue.cancelRequested.has(job.id), // Running job that is being stopped
+        videoId: job.payload.videoId,
+        percent: job.progress ? job.progress.percent : (job.state === 'done' ? 100 : 0),
+        eta: job.progress ? job.progress.eta : null, // Seconds, estimated from encoding speed
+        renditions: job.progress ? job.progress.renditions : {},
+        error: job.error,
+        masterPlaylistUrl: result.masterPlaylistUrl || null,
+        result: job.state === 'done' ? result : null,
+        attempts: job.attempts,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    };
+};
+
+// --- GET /jobs Route ---
+router.get('/', (req, res) => {
+    res.json(jobQueue.listJobs().map(serializeJob));
+});
+
+// --- GET /jobs/:id Route ---
+router.get('/:id', (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+    }
+    res.json(serializeJob(job));
+});
+
+// --- DELETE /jobs/:id Route ---
+// Cancels a queued, running or failed job: kills its ffmpeg commands and removes the original
+// upload and the partial HLS output. A running job answers 202 and turns 'cancelled' once stopped.
+router.delete('/:id', async (req, res, next) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+    }
+    if (job.state === 'done' || job.state === 'cancelled') {
+        return res.status(409).json({ error: `Job ${job.id} cannot be cancelled in state '${job.state}'.` });
+    }
+    try {
+        await jobQueue.cancel(job.id);
+        res.status(job.state === 'cancelled' ? 200 : 202).json(serializeJob(job));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- POST /jobs/:id/retry Route ---
+// Re-queues a failed job; it runs again from the original upload kept after the failure.
+router.post('/:id/retry', async (req, res, next) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+    }
+    if (job.state !== 'failed') {
+        return res.status(409).json({ error: `Only failed jobs can be retried (current state: '${job.state}').` });
+    }
+    // Imports that failed before their download finished download it again
+    if (!job.payload.source && (!job.payload.inputPath || !fs.existsSync(job.payload.inputPath))) {
+        return res.status(409).json({ error: `The original file of job ${job.id} is no longer available.` });
+    }
+    try {
+        await jobQueue.retry(job.id);
+        res.status(202).json(serializeJob(job));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- GET /jobs/:id/events Route (Server-Sent Events) ---
+// Sends a 'snapshot' with the current job, then live 'state', 'progress', 'rendition',
+// 'upload' and finally 'done', 'failed' or 'cancelled', after which the stream is closed.
+const SSE_HEARTBEAT_MS = 15000;
+const TERMINAL_EVENTS = ['done', 'failed', 'cancelled'];
+
+router.get('/:id/events', (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable response buffering in nginx-like proxies
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send('snapshot', serializeJob(job));
+    // Nothing more will happen for a finished job
+    if (TERMINAL_EVENTS.includes(job.state)) {
+        send(job.state, job.state === 'done' ? { result: job.result } : job.state === 'failed' ? { error: job.error } : {});
+        return res.end();
+    }
+
+    const onJobEvent = ({ jobId, event, data }) => {
+        if (jobId !== job.id) return;
+        send(event, data);
+        if (TERMINAL_EVENTS.includes(event)) cleanup(true);
+    };
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+    const cleanup = (endResponse) => {
+        clearInterval(heartbeat);
+        jobQueue.off('job:event', onJobEvent);
+        if (endResponse) res.end();
+    };
+
+    jobQueue.on('job:event', onJobEvent);
+    req.on('close', () => cleanup(false));
+});
+
+module.exports = router;
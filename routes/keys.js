@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { readKey } = require('../utils/encryption');
+
+// --- Key access check ---
+// Clients send KEY_ACCESS_TOKEN as "Authorization: Bearer <token>" (hls.js xhrSetup). There is no ?token=
+// fallback: query strings end up in access logs (morgan) and proxies. Without KEY_ACCESS_TOKEN no key is ever served.
+const requireKeyToken = (req, res, next) => {
+    const expected = process.env.KEY_ACCESS_TOKEN;
+    if (!expected) {
+        return res.status(503).json({ error: 'Key delivery is disabled: KEY_ACCESS_TOKEN is not configured.' });
+    }
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : '';
+    if (!token) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Missing key access token.' });
+    }
+    const given = Buffer.from(String(token));
+    const wanted = Buffer.from(expected);
+    if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+        return res.status(403).json({ error: 'Invalid key access token.' });
+    }
+    next();
+};
+
+// --- GET /keys/:videoId/:keyId Route ---
+// Returns the raw 16-byte AES-128 key referenced by an #EXT-X-KEY URI
+router.get('/:videoId/:keyId', requireKeyToken, async (req, res, next) => {
+    const { videoId, keyId } = req.params;
+    try {
+        const key = await readKey(videoId, keyId);
+        if (!key) {
+            return res.status(404).json({ error: `Key not found: ${videoId}/${keyId}` });
+        }
+        res.set({
+            'Content-Type': 'application/octet-stream',
+            'Cache-Control': 'private, no-store'
+        });
+        res.send(key);
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
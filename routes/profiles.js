@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const {
+    listProfiles, getProfile, saveProfile, deleteProfile, validateProfileName
+} = require('../lib/profiles');
+
+router.use(express.json());
+
+// --- GET /profiles Route ---
+router.get('/', async (req, res, next) => {
+    try {
+        res.json(await listProfiles());
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- GET /profiles/:name Route ---
+router.get('/:name', async (req, res, next) => {
+    try {
+        const profile = await getProfile(req.params.name);
+        if (!profile) {
+            return res.status(404).json({ error: `Profile not found: ${req.params.name}` });
+        }
+        res.json(profile);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- POST /profiles Route ---
+// Body: { name, description?, ladder?, videoCodec?, crf?, gopSize?, hlsTime?, audioBitrate?, ... }
+router.post('/', async (req, res, next) => {
+    const { name, ...fields } = req.body || {};
+    try {
+        validateProfileName(name);
+        if (await getProfile(name)) {
+            return res.status(409).json({ error: `Profile already exists: ${name}` });
+        }
+        res.status(201).json(await saveProfile(name, fields));
+    } catch (error) {
+        // Only validation errors are the client's fault; a profiles.json that cannot be read or written is a 500
+        if (error.status === 400) return res.status(400).json({ error: error.message });
+        next(error);
+    }
+});
+
+// --- PUT /profiles/:name Route ---
+// Replaces the whole profile (creates it if it does not exist)
+router.put('/:name', async (req, res, next) => {
+    const { name } = req.params;
+    try {
+        const existed = Boolean(await getProfile(name));
+        const profile = await saveProfile(name, req.body || {});
+        res.status(existed ? 200 : 201).json(profile);
+    } catch (error) {
+        if (error.status === 400) return res.status(400).json({ error: error.message });
+        next(error);
+    }
+});
+
+// --- DELETE /profiles/:name Route ---
+router.delete('/:name', async (req, res, next) => {
+    try {
+        const deleted = await deleteProfile(req.params.name);
+        if (!deleted) {
+            return res.status(404).json({ error: `Profile not found: ${req.params.name}` });
+        }
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const multer = require('multer'); // Para manejar subida de archivos
+const fs = require('fs'); // Usar fs normal para sync ops
+const fsPromises = require('fs').promises; // Usar promesas para async ops
+const { jobQueue } = require('../lib/queue'); // Cola persistente de conversiones HLS
+const { getStorage } = require('../lib/storage'); // Backend donde se publica (STORAGE_BACKEND)
+const { resolveUploadOptions } = require('../lib/profiles'); // Perfil de codificación + opciones HLS del formulario
+const { isSidecarSubtitle, describeSidecarSubtitles } = require('../utils/subtitles'); // Subtítulos .srt/.vtt adjuntos
+
+// Sube un video, lo convierte a HLS y publica el árbol HLS en el backend de almacenamiento configurado
+// (local, b2 o s3). Montada en /publish y, por compatibilidad, en /b2/upload-hls.
+const TEMP_UPLOAD_DIR = path.resolve(__dirname, '..', 'temp_uploads');
+
+// --- Configuración de Multer para subida local temporal (para conversión HLS) ---
+const storageTempLocal = multer.diskStorage({
+    destination: async (req, file, cb) => {
+        // Asegurar que el directorio temporal existe
+        if (!fs.existsSync(TEMP_UPLOAD_DIR)){
+            fs.mkdirSync(TEMP_UPLOAD_DIR, { recursive: true });
+        }
+        cb(null, TEMP_UPLOAD_DIR);
+    },
+    filename: (req, file, cb) => {
+        // Usar un nombre temporal único para evitar colisiones
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        const safeOriginalName = file.originalname.replace(/[^a-zA-Z0-9.]/g, '_');
+        cb(null, uniqueSuffix + '-' + safeOriginalName);
+    }
+});
+const uploadTempLocal = multer({
+    storage: storageTempLocal,
+    limits: { fileSize: 1024 * 1024 * 500 }, // 500MB limit (ajustar si es necesario)
+    fileFilter: (req, file, cb) => {
+        if (file.fieldname === 'subtitles') {
+            // Subtítulos adjuntos: el mimetype de .srt/.vtt varía según el navegador, se comprueba la extensión
+            return isSidecarSubtitle(file)
+                ? cb(null, true)
+                : cb(new Error('Invalid subtitle file. Only .srt and .vtt files are allowed.'), false);
+        }
+        if (file.mimetype.startsWith('video/')) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only video files are allowed.'), false);
+        }
+    }
+}).fields([{ name: 'video', maxCount: 1 }, { name: 'subtitles', maxCount: 10 }]); // Mismo campo 'video' + subtítulos opcionales
+
+// Elimina los archivos temporales de una subida rechazada
+const removeTempUploads = (files) => {
+    Object.values(files || {}).flat().forEach(file => {
+        fsPromises.unlink(file.path).catch(e => console.error(`[Publish] Error eliminando archivo temporal:`, e));
+    });
+};
+
+
+// --- Ruta para subir video, convertir a HLS y publicarlo ---
+// POST /publish (y POST /b2/upload-hls)
+router.post('/', (req, res, next) => {
+    // Usar uploadTempLocal que guarda en disco temporalmente
+    uploadTempLocal(req, res, async (err) => {
+        if (err) {
+            console.error('[Publish] Multer or Filter error:', err.message);
+            // Asegurarse que el campo sea 'video' (o 'subtitles') como se definió en multer
+            if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+                 return res.status(400).json({ error: `Upload error: Unexpected field '${err.field}'. Expected 'video' or 'subtitles'.` });
+            }
+            return res.status(400).json({ error: `Upload error: ${err.message}` });
+        }
+        const videoFile = req.files?.video?.[0];
+        if (!videoFile) {
+            removeTempUploads(req.files);
+            return res.status(400).json({ error: 'No video file uploaded (expected field: video).' });
+        }
+
+        const originalTempPath = videoFile.path; // Ruta al video original temporal
+        const videoId = path.basename(originalTempPath, path.extname(originalTempPath));
+        const basePath = req.body.basePath ? req.body.basePath.trim().replace(/^\/|\/$/g, '') : ''; // Limpiar slashes
+        console.log(`[Publish] Base path: ${basePath}`);
+        const finalB2Prefix = basePath ? `${basePath}/${videoId}` : videoId; // Prefijo final en el almacenamiento
+
+        // Perfil de codificación opcional (profile=mobile) y opciones por subida (p. ej. ladder=720,480)
+        let options;
+        try {
+            options = await resolveUploadOptions(req.body);
+        } catch (error) {
+            removeTempUploads(req.files);
+            return res.status(400).json({ error: `Invalid HLS options: ${error.message}` });
+        }
+        // Los .srt/.vtt adjuntos se convierten en renditions de subtítulos junto a los incrustados
+        options.subtitleFiles = describeSidecarSubtitles(req.files.subtitles, req.body.subtitleLanguages);
+
+        console.log(`[Publish] Video temporal recibido: ${originalTempPath}`);
+
+        try {
+            // Encolar conversión HLS + publicación; el trabajo sobrevive a reinicios del servidor
+            const job = await jobQueue.enqueue('b2-hls', {
+                inputPath: originalTempPath,
+                videoId,
+                basePath,
+                b2Prefix: finalB2Prefix,
+                options
+            });
+            console.log(`[Publish] Trabajo ${job.id} encolado para videoId: ${videoId}`);
+
+            const storage = getStorage();
+            res.status(202).json({
+                message: `Video uploaded successfully. HLS conversion and publishing to ${storage.name} storage queued.`,
+                jobId: job.id,
+                videoId: videoId,
+                storage: storage.name,
+                b2Prefix: finalB2Prefix + '/' // Prefijo en el almacenamiento (el nombre se conserva por compatibilidad)
+            });
+        } catch (error) {
+            console.error(`[Publish] Error al encolar el trabajo para videoId: ${videoId}`, error);
+            // Sin trabajo no habrá quien procese los archivos: eliminarlos
+            removeTempUploads(req.files);
+            next(error); // Pasar al manejador de errores global
+        }
+    });
+});
+
+module.exports = router;
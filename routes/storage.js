@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const { getStorage } = require('../lib/storage');
+
+// Serves the signed URLs of the local storage backend (getSignedUrl). B2 and S3 signed URLs point to
+// the provider directly, so this route only answers when STORAGE_BACKEND is "local".
+
+// --- GET /storage/:key Route ---
+// Query: expires (Unix seconds) and signature, as generated by LocalStorage.getSignedUrl
+router.get('/:key(*)', async (req, res, next) => {
+    const storage = getStorage();
+    const { key } = req.params;
+    if (storage.name !== 'local') {
+        return res.status(404).json({ error: 'Signed URLs of this storage backend are served by the provider.' });
+    }
+    if (!storage.verifySignedUrl(key, req.query.expires, req.query.signature)) {
+        return res.status(403).json({ error: 'Invalid or expired signature.' });
+    }
+    try {
+        const object = await storage.getStream(key);
+        if (!object) return res.status(404).json({ error: `File not found: ${key}` });
+        res.set({
+            'Content-Type': object.contentType,
+            'Content-Length': object.contentLength
+        });
+        res.on('close', () => object.stream.destroy());
+        object.stream.pipe(res);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const {
+    listAssTracks, getAssTrack, addAssTrack, deleteAssTrack, validateAssTrack, listFonts, getFont
+} = require('../lib/assTracks');
+const { parseBooleanField } = require('../utils/hls');
+const { getContentType } = require('../utils/mime');
+
+// ASS/SSA tracks are small text files: keep them in memory
+const uploadAss = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 1024 * 1024 * 20 }, // 20MB limit
+    fileFilter: (req, file, cb) => {
+        if (['.ass', '.ssa'].includes(path.extname(file.originalname).toLowerCase())) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only .ass and .ssa subtitles are allowed.'), false);
+        }
+    }
+}).single('subtitle');
+
+// Track as returned to clients: the manifest entry plus the URL that serves its content
+const toTrackResponse = (req, videoId, { fileName, ...track }) => ({
+    ...track,
+    url: `${req.baseUrl}/${encodeURIComponent(videoId)}/${track.id}`
+});
+
+// --- GET /subtitles/:videoId Route ---
+// videoId is the local id or, for videos only published to the storage backend, the URL-encoded prefix (videos%2F123)
+router.get('/:videoId', async (req, res, next) => {
+    const { videoId } = req.params;
+    try {
+        const tracks = await listAssTracks(videoId);
+        if (!tracks) {
+            return res.status(404).json({ error: `Video not found: ${videoId}` });
+        }
+        res.json(tracks.map(track => toTrackResponse(req, videoId, track)));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- GET /subtitles/:videoId/fonts Route ---
+// Font attachments of the source, shaped for the JASSUB options: fonts (URLs to preload) and
+// availableFonts (lowercase family/full name -> URL). Declared before /:videoId/:trackId
+router.get('/:videoId/fonts', async (req, res, next) => {
+    const { videoId } = req.params;
+    try {
+        const fonts = await listFonts(videoId);
+        if (!fonts) {
+            return res.status(404).json({ error: `Video not found: ${videoId}` });
+        }
+        const availableFonts = {};
+        const urls = fonts.map(({ fileName, names }) => {
+            const url = `${req.baseUrl}/${encodeURIComponent(videoId)}/fonts/${encodeURIComponent(fileName)}`;
+            names.forEach(name => { if (!availableFonts[name]) availableFonts[name] = url; });
+            return url;
+        });
+        res.json({ fonts: urls, availableFonts });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- GET /subtitles/:videoId/fonts/:fileName Route ---
+router.get('/:videoId/fonts/:fileName', async (req, res, next) => {
+    const { videoId, fileName } = req.params;
+    try {
+        const result = await getFont(videoId, fileName);
+        if (!result) {
+            return res.status(404).json({ error: `Font not found: ${videoId}/${fileName}` });
+        }
+        res.set('Content-Type', getContentType(fileName));
+        res.set('Cache-Control', 'public, max-age=86400'); // Attachments never change once extracted
+        res.send(result.content);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- GET /subtitles/:videoId/:trackId Route ---
+// Raw .ass content, as loaded by JASSUB (subContent)
+router.get('/:videoId/:trackId', async (req, res, next) => {
+    const { videoId, trackId } = req.params;
+    try {
+        const result = await getAssTrack(videoId, trackId);
+        if (!result) {
+            return res.status(404).json({ error: `Subtitle track not found: ${videoId}/${trackId}` });
+        }
+        res.set('Content-Type', 'text/x-ssa; charset=utf-8');
+        res.send(result.content);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- POST /subtitles/:videoId Route ---
+// Multipart: subtitle (.ass/.ssa file), label?, language?, default? ("true" makes it the default track)
+router.post('/:videoId', (req, res, next) => {
+    uploadAss(req, res, async (err) => {
+        if (err) {
+            return res.status(400).json({ error: `Upload error: ${err.message}` });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: 'No subtitle file uploaded (expected field: subtitle).' });
+        }
+
+        const { videoId } = req.params;
+        let fields;
+        try {
+            fields = validateAssTrack({
+                content: req.file.buffer,
+                label: req.body.label || path.basename(req.file.originalname, path.extname(req.file.originalname)),
+                language: req.body.language,
+                isDefault: parseBooleanField(req.body.default)
+            });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        try {
+            const track = await addAssTrack(videoId, fields);
+            if (!track) {
+                return res.status(404).json({ error: `Video not found: ${videoId}` });
+            }
+            res.status(201).json(toTrackResponse(req, videoId, track));
+        } catch (error) {
+            next(error);
+        }
+    });
+});
+
+// --- DELETE /subtitles/:videoId/:trackId Route ---
+router.delete('/:videoId/:trackId', async (req, res, next) => {
+    const { videoId, trackId } = req.params;
+    try {
+        const deleted = await deleteAssTrack(videoId, trackId);
+        if (deleted === null) {
+            return res.status(404).json({ error: `Video not found: ${videoId}` });
+        }
+        if (!deleted) {
+            return res.status(404).json({ error: `Subtitle track not found: ${videoId}/${trackId}` });
+        }
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,230 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const fs = require('fs').promises;
+const { VIDEOS_DIR } = require('../utils/hls');
+const { jobQueue } = require('../lib/queue');
+const { resolveUploadOptions } = require('../lib/profiles');
+const { isSidecarSubtitle, describeSidecarSubtitles } = require('../utils/subtitles');
+const {
+    parseMetadata, createUpload, getUpload, appendToUpload, waitForCompletion, moveUploadData, deleteUpload, getMaxUploadSize, getUploadTtl,
+    httpError
+} = require('../lib/tusUploads');
+
+// Resumable uploads (tus 1.0.0, core + creation + termination + expiration). The client creates an upload with
+// POST, sends the bytes with PATCH from the offset returned by HEAD, and when the last byte arrives the
+// video is queued exactly like a POST /upload (target "local") or POST /b2/upload-hls (target "b2") one.
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,termination,expiration';
+const TEMP_UPLOAD_DIR = path.resolve(__dirname, '..', 'temp_uploads'); // Same directory as POST /b2/upload-hls
+const TARGETS = ['local', 'b2'];
+
+// Headers of a completed video upload, so a client that lost the last PATCH response can get them with HEAD
+const setHandoffHeaders = (res, handoff) => {
+    if (!handoff) return;
+    res.set('X-Job-Id', handoff.jobId);
+    res.set('X-Video-Id', handoff.videoId);
+    if (handoff.b2Prefix) res.set('X-B2-Prefix', handoff.b2Prefix);
+};
+
+// Upload-Expires (RFC 7231 date) of an unfinished upload; finished ones no longer expire for the client
+const setExpiresHeader = (res, expiresAt) => {
+    if (expiresAt) res.set('Upload-Expires', expiresAt.toUTCString());
+};
+
+const encodeMetadata = (metadata) => Object.entries(metadata)
+    .map(([key, value]) => (value ? `${key} ${Buffer.from(value, 'utf8').toString('base64')}` : key))
+    .join(',');
+
+const sendError = (res, error) => res.status(error.status).json({ error: error.message });
+
+// --- Protocol headers ---
+router.use((req, res, next) => {
+    res.set({
+        'Tus-Resumable': TUS_VERSION,
+        'Tus-Version': TUS_VERSION,
+        'Tus-Extension': TUS_EXTENSIONS,
+        'Tus-Max-Size': String(getMaxUploadSize()),
+        // Browsers only let scripts read the headers listed here (CORS)
+        'Access-Control-Expose-Headers': 'Location, Upload-Offset, Upload-Length, Upload-Metadata, Tus-Resumable, Tus-Version, ' +
+            'Tus-Extension, Tus-Max-Size, Upload-Expires, X-Job-Id, X-Video-Id, X-B2-Prefix'
+    });
+    // Clients behind proxies that only allow GET/POST send PATCH and DELETE as POST
+    const override = req.get('X-HTTP-Method-Override');
+    if (override) req.method = override.toUpperCase();
+    if (req.get('Tus-Resumable') !== TUS_VERSION) {
+        return res.status(412).json({ error: `Unsupported tus version. This server speaks ${TUS_VERSION} (Tus-Resumable header).` });
+    }
+    next();
+});
+
+// Validates the metadata of a new video upload and resolves its HLS options
+const prepareVideoUpload = async (metadata) => {
+    const target = metadata.target || 'local';
+    if (!TARGETS.includes(target)) throw httpError(400, `Invalid target '${target}'. Allowed: ${TARGETS.join(', ')}`);
+
+    let options;
+    try {
+        // Same fields as the multipart upload forms: profile, ladder, dash, burnSubtitles...
+        options = await resolveUploadOptions(metadata);
+    } catch (error) {
+        throw httpError(400, `Invalid HLS options: ${error.message}`);
+    }
+
+    // Sidecar subtitles are separate tus uploads, finished before the video is created
+    const subtitleUploads = (metadata.subtitleUploads || '').split(',').map(id => id.trim()).filter(Boolean);
+    for (const id of subtitleUploads) {
+        const upload = await getUpload(id);
+        if (!upload || upload.info.kind !== 'subtitle' || !upload.info.completedAt) {
+            throw httpError(400, `Subtitle upload ${id} does not exist or is not complete.`);
+        }
+    }
+    return { target, options, subtitleUploads };
+};
+
+// Moves a finished video (and its subtitles) out of temp_uploads/tus/ and queues its HLS job
+const handOffVideo = async (info) => {
+    const { metadata } = info;
+    const { target, subtitleUploads = [] } = info.options;
+    const safeFilename = (metadata.filename || 'video').replace(/[^a-zA-Z0-9.]/g, '_');
+    // Same file names (and therefore video ids) as the multipart routes
+    const destinationDir = target === 'b2' ? TEMP_UPLOAD_DIR : VIDEOS_DIR;
+    const fileName = target === 'b2'
+        ? `${Date.now()}-${Math.round(Math.random() * 1E9)}-${safeFilename}`
+        : `${Date.now()}-${safeFilename}`;
+    const inputPath = path.join(destinationDir, fileName);
+    const videoId = path.basename(fileName, path.extname(fileName));
+    await moveUploadData(info.id, inputPath);
+
+    const subtitleFiles = [];
+    for (const id of subtitleUploads) {
+        const upload = await getUpload(id);
+        if (!upload) continue;
+        const originalname = upload.info.metadata.filename;
+        const subtitlePath = path.join(destinationDir, `${Date.now()}-${originalname.replace(/[^a-zA-Z0-9.]/g, '_')}`);
+        await moveUploadData(id, subtitlePath);
+        await deleteUpload(id);
+        subtitleFiles.push({ path: subtitlePath, originalname });
+    }
+
+    const options = { ...info.options.hlsOptions, subtitleFiles: describeSidecarSubtitles(subtitleFiles, metadata.subtitleLanguages) };
+    try {
+        if (target === 'b2') {
+            const basePath = metadata.basePath ? metadata.basePath.trim().replace(/^\/|\/$/g, '') : '';
+            const b2Prefix = basePath ? `${basePath}/${videoId}` : videoId;
+            const job = await jobQueue.enqueue('b2-hls', { inputPath, videoId, basePath, b2Prefix, options });
+            return { jobId: job.id, videoId, b2Prefix: `${b2Prefix}/` };
+        }
+        const job = await jobQueue.enqueue('hls', { inputPath, videoId, options });
+        return { jobId: job.id, videoId };
+    } catch (error) {
+        // Without a job nobody will process the files: delete them
+        [inputPath, ...subtitleFiles.map(file => file.path)].forEach(filePath => {
+            fs.unlink(filePath).catch(e => console.error(`Error deleting ${filePath}:`, e));
+        });
+        throw error;
+    }
+};
+
+// --- POST /tus Route (creation) ---
+// Headers: Upload-Length, Upload-Metadata (filename, filetype, target, basePath, subtitleUploads, HLS option fields)
+router.post('/', async (req, res, next) => {
+    try {
+        const length = Number(req.get('Upload-Length'));
+        if (!req.get('Upload-Length') || !Number.isSafeInteger(length) || length < 0) {
+            return res.status(400).json({ error: 'Missing or invalid Upload-Length header.' });
+        }
+        if (length === 0) {
+            return res.status(400).json({ error: 'Empty uploads are not accepted.' });
+        }
+        if (length > getMaxUploadSize()) {
+            return res.status(413).json({ error: `Upload-Length exceeds the maximum of ${getMaxUploadSize()} bytes.` });
+        }
+        const metadata = parseMetadata(req.get('Upload-Metadata'));
+        const filename = metadata.filename || '';
+
+        let info;
+        if (isSidecarSubtitle({ originalname: filename })) {
+            info = await createUpload({ length, metadata, kind: 'subtitle' });
+        } else if ((metadata.filetype || '').startsWith('video/')) {
+            const { target, options, subtitleUploads } = await prepareVideoUpload(metadata);
+            info = await createUpload({ length, metadata, kind: 'video', options: { target, subtitleUploads, hlsOptions: options } });
+        } else {
+            return res.status(415).json({ error: 'Invalid file type. Only video files (filetype video/*) and .srt/.vtt subtitles are allowed.' });
+        }
+        setExpiresHeader(res, new Date(Date.now() + getUploadTtl()));
+        res.status(201).set('Location', `${req.baseUrl}/${info.id}`).end();
+    } catch (error) {
+        if (error.status) return sendError(res, error);
+        next(error);
+    }
+});
+
+// --- HEAD /tus/:id Route (current offset) ---
+router.head('/:id', async (req, res, next) => {
+    try {
+        await waitForCompletion(req.params.id); // A finished video answers with its X-Job-Id
+        const upload = await getUpload(req.params.id);
+        if (!upload) return res.status(404).end();
+        res.set({
+            'Upload-Offset': String(upload.offset),
+            'Upload-Length': String(upload.info.length),
+            'Cache-Control': 'no-store'
+        });
+        if (Object.keys(upload.info.metadata).length > 0) res.set('Upload-Metadata', encodeMetadata(upload.info.metadata));
+        setExpiresHeader(res, upload.expiresAt);
+        setHandoffHeaders(res, upload.info.handoff);
+        res.status(200).end();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- PATCH /tus/:id Route (append bytes) ---
+router.patch('/:id', async (req, res, next) => {
+    const { id } = req.params;
+    try {
+        if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+            return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream.' });
+        }
+        const offset = Number(req.get('Upload-Offset'));
+        if (!req.get('Upload-Offset') || !Number.isSafeInteger(offset) || offset < 0) {
+            return res.status(400).json({ error: 'Missing or invalid Upload-Offset header.' });
+        }
+        // The handoff runs while the upload is still locked, so a repeated last PATCH gets its result instead of a second job
+        const { offset: newOffset, info } = await appendToUpload(id, offset, req, {
+            onComplete: async (completed) => {
+                if (completed.kind !== 'video') return null;
+                const handoff = await handOffVideo(completed);
+                console.log(`[Tus] Upload ${id} complete, job ${handoff.jobId} queued for ${handoff.videoId}`);
+                return handoff;
+            }
+        });
+        if (info.completedAt) {
+            setHandoffHeaders(res, info.handoff);
+        } else {
+            const current = await getUpload(id); // The bytes just written restart the countdown
+            setExpiresHeader(res, current && current.expiresAt);
+        }
+        res.set('Upload-Offset', String(newOffset)).status(204).end();
+    } catch (error) {
+        if (error.status) return sendError(res, error);
+        console.error(`[Tus] PATCH ${id} failed:`, error);
+        next(error);
+    }
+});
+
+// --- DELETE /tus/:id Route (termination) ---
+// Files already handed to a job belong to it: only the upload record is removed
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const deleted = await deleteUpload(req.params.id);
+        if (!deleted) return res.status(404).json({ error: `Upload not found: ${req.params.id}` });
+        res.status(204).end();
+    } catch (error) {
+        if (error.status) return sendError(res, error);
+        next(error);
+    }
+});
+
+module.exports = router;
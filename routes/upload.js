@@ -2,7 +2,11 @@ const express = require('express');
 const router = express.Router();
 const path = require('path');
 const multer = require('multer');
-const { ensureDirExists, convertToHls, VIDEOS_DIR } = require('../utils/hls'); // Import from utils
+const fs = require('fs').promises;
+const { ensureDirExists, VIDEOS_DIR } = require('../utils/hls'); // Import from utils
+const { jobQueue } = require('../lib/queue');
+const { resolveUploadOptions } = require('../lib/profiles');
+const { isSidecarSubtitle, describeSidecarSubtitles } = require('../utils/subtitles');
 
 // --- Multer Setup for Video Upload ---
 const storage = multer.diskStorage({
@@ -20,13 +24,26 @@ const upload = multer({
     storage: storage,
     limits: { fileSize: 1024 * 1024 * 500 }, // 500MB limit
     fileFilter: (req, file, cb) => {
+        if (file.fieldname === 'subtitles') {
+            // Sidecar subtitles: browsers send .srt/.vtt with various mimetypes, check the extension
+            return isSidecarSubtitle(file)
+                ? cb(null, true)
+                : cb(new Error('Invalid subtitle file. Only .srt and .vtt files are allowed.'), false);
+        }
         if (file.mimetype.startsWith('video/')) {
             cb(null, true);
         } else {
             cb(new Error('Invalid file type. Only video files are allowed.'), false);
         }
     }
-}).single('video');
+}).fields([{ name: 'video', maxCount: 1 }, { name: 'subtitles', maxCount: 10 }]);
+
+// Deletes the files of a rejected upload
+const removeUploadedFiles = (files) => {
+    Object.values(files || {}).flat().forEach(file => {
+        fs.unlink(file.path).catch(e => console.error(`Error deleting rejected upload ${file.path}:`, e));
+    });
+};
 
 // --- POST /upload Route ---
 router.post('/', (req, res) => {
@@ -39,30 +56,40 @@ router.post('/', (req, res) => {
             return res.status(500).json({ error: `Upload error: ${err.message}` });
         }
 
-        if (!req.file) {
+        const videoFile = req.files?.video?.[0];
+        if (!videoFile) {
+            removeUploadedFiles(req.files);
             return res.status(400).json({ error: 'No video file uploaded.' });
         }
 
-        const videoPath = req.file.path;
+        const videoPath = videoFile.path;
         const videoId = path.basename(videoPath, path.extname(videoPath));
 
-        console.log(`Video uploaded successfully: ${videoPath}`);
-        res.status(202).json({
-            message: 'Video uploaded successfully. Processing started.',
-            videoId: videoId,
-            originalFilename: req.file.originalname,
-        });
+        // Optional encoding profile (profile=mobile) and per-upload overrides (e.g. ladder=720,480)
+        let options;
+        try {
+            options = await resolveUploadOptions(req.body);
+        } catch (error) {
+            removeUploadedFiles(req.files);
+            return res.status(400).json({ error: `Invalid HLS options: ${error.message}` });
+        }
+        // Sidecar .srt/.vtt files become subtitle renditions next to the embedded ones
+        options.subtitleFiles = describeSidecarSubtitles(req.files.subtitles, req.body.subtitleLanguages);
 
-        // Start HLS conversion asynchronously
-        convertToHls(videoPath, videoId)
-            .then(result => {
-                console.log(`[${videoId}] HLS processing completed successfully.`);
-                // Optionally delete original:
-                // require('fs').promises.unlink(videoPath).catch(e => console.error(`Error deleting original file ${videoPath}:`, e));
-            })
-            .catch(error => {
-                console.error(`[${videoId}] HLS processing failed:`, error);
+        console.log(`Video uploaded successfully: ${videoPath}`);
+        try {
+            // Queue HLS conversion; the job survives server restarts
+            const job = await jobQueue.enqueue('hls', { inputPath: videoPath, videoId, options });
+            res.status(202).json({
+                message: 'Video uploaded successfully. Processing queued.',
+                jobId: job.id,
+                videoId: videoId,
+                originalFilename: videoFile.originalname,
             });
+        } catch (error) {
+            console.error(`[${videoId}] Failed to queue HLS processing:`, error);
+            res.status(500).json({ error: `Failed to queue processing: ${error.message}` });
+        }
     });
 });
 
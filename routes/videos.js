@@ -1,23 +1,53 @@
 const express = require('express');
 const router = express.Router();
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const path = require('path'); // Import path module
 const { ensureDirExists } = require('../utils/hls'); // Only import ensureDirExists
+const { DASH_MANIFEST_NAME } = require('../utils/dash');
+const { THUMBS_DIR_NAME, POSTER_NAME, THUMBNAIL_NAME_PATTERN, SPRITE_VTT_NAME } = require('../utils/thumbnails');
+const { ASS_DIR_NAME, ASS_MANIFEST_NAME } = require('../utils/subtitles');
+const { removeVideoKeys } = require('../utils/encryption');
+const { jobQueue } = require('../lib/queue');
 
 // Define PROCESSED_DIR relative to the project root (assuming routes is one level down)
 const PROCESSED_DIR_ROOT = path.join(__dirname, '..', 'processed_videos');
 
+// --- Poster and thumbnails of a processed video (thumbs/ may not exist for older videos) ---
+const listPreviewImages = async (videoId) => {
+    try {
+        const files = await fs.readdir(path.join(PROCESSED_DIR_ROOT, videoId, THUMBS_DIR_NAME));
+        return {
+            posterUrl: files.includes(POSTER_NAME) ? `/processed/${videoId}/${THUMBS_DIR_NAME}/${POSTER_NAME}` : null,
+            thumbnails: files.filter(file => THUMBNAIL_NAME_PATTERN.test(file)).sort()
+                .map(file => `/processed/${videoId}/${THUMBS_DIR_NAME}/${file}`),
+            thumbnailsVttUrl: files.includes(SPRITE_VTT_NAME) ? `/processed/${videoId}/${THUMBS_DIR_NAME}/${SPRITE_VTT_NAME}` : null
+        };
+    } catch (error) {
+        return { posterUrl: null, thumbnails: [], thumbnailsVttUrl: null };
+    }
+};
+
 // --- GET /videos Route ---
 router.get('/', async (req, res) => {
     try {
         await ensureDirExists(PROCESSED_DIR_ROOT); // Use the locally defined root path
         const videoDirs = await fs.readdir(PROCESSED_DIR_ROOT, { withFileTypes: true }); // Use the locally defined root path
-        const videos = videoDirs
+        const videos = await Promise.all(videoDirs
             .filter(dirent => dirent.isDirectory())
-            .map(dirent => ({
+            .map(async dirent => ({
                 id: dirent.name,
-                masterPlaylistUrl: `/processed/${dirent.name}/master.m3u8` // Relative URL
-            }));
+                masterPlaylistUrl: `/processed/${dirent.name}/master.m3u8`, // Relative URL
+                // Only videos converted with the `dash` option have a DASH manifest
+                dashManifestUrl: fsSync.existsSync(path.join(PROCESSED_DIR_ROOT, dirent.name, DASH_MANIFEST_NAME))
+                    ? `/processed/${dirent.name}/${DASH_MANIFEST_NAME}`
+                    : null,
+                ...await listPreviewImages(dirent.name), // posterUrl, thumbnails, thumbnailsVttUrl
+                // ASS tracks for JASSUB (embedded in the source or uploaded to /subtitles/:videoId)
+                assTracksUrl: fsSync.existsSync(path.join(PROCESSED_DIR_ROOT, dirent.name, ASS_DIR_NAME, ASS_MANIFEST_NAME))
+                    ? `/subtitles/${encodeURIComponent(dirent.name)}`
+                    : null
+            })));
         res.json(videos);
     } catch (error) {
         console.error('Error listing processed videos:', error);
@@ -29,4 +59,37 @@ router.get('/', async (req, res) => {
     }
 });
 
+// --- DELETE /videos/:id Route ---
+// Removes processed_videos/<id>, its AES-128 keys and the originals kept by its finished jobs (for /jobs/:id/retry).
+// 409 while a job is still writing that video.
+router.delete('/:id', async (req, res) => {
+    const { id } = req.params;
+    if (path.basename(id) !== id || /^\.+$/.test(id)) {
+        return res.status(400).json({ error: 'Invalid video id.' });
+    }
+    const videoDir = path.join(PROCESSED_DIR_ROOT, id);
+    if (!fsSync.existsSync(videoDir)) {
+        return res.status(404).json({ error: `Video not found: ${id}` });
+    }
+    const activeJob = jobQueue.listActiveJobs().find(job => job.payload?.videoId === id);
+    if (activeJob) {
+        return res.status(409).json({ error: `Video ${id} is being processed by job ${activeJob.id}.`, jobId: activeJob.id });
+    }
+    try {
+        await fs.rm(videoDir, { recursive: true, force: true });
+        await removeVideoKeys(id);
+        const originals = jobQueue.listJobs()
+            .map(job => job.payload?.videoId === id && job.payload.inputPath)
+            .filter(inputPath => inputPath && fsSync.existsSync(inputPath));
+        for (const inputPath of new Set(originals)) {
+            await fs.rm(inputPath, { force: true });
+        }
+        console.log(`[${id}] Deleted processed video (${originals.length} original file(s)).`);
+        res.json({ id, deleted: true, originalsDeleted: originals.length });
+    } catch (error) {
+        console.error(`[${id}] Error deleting processed video:`, error);
+        res.status(500).json({ error: `Failed to delete video ${id}.` });
+    }
+});
+
 module.exports = router;
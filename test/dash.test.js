@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { getCodecsString } = require('../utils/dash');
+const cases = require('./fixtures/dash/codecs.json');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'dash');
+
+test('getCodecsString', async (t) => {
+    for (const { fixture, description, expected } of cases) {
+        await t.test(`${description} (${fixture})`, () => {
+            assert.equal(getCodecsString(fs.readFileSync(path.join(FIXTURES_DIR, fixture))), expected);
+        });
+    }
+
+    await t.test('returns null when the init segment has no known sample entry', () => {
+        assert.equal(getCodecsString(Buffer.from('ftypisom\0\0\0\0moov')), null);
+    });
+});
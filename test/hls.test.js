@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLadder } = require('../utils/hls');
+const ladders = require('./fixtures/hls/ladders.json');
+
+test('parseLadder', async (t) => {
+    for (const { name, input, expected } of ladders.valid) {
+        await t.test(name, () => {
+            assert.deepEqual(parseLadder(input), expected);
+        });
+    }
+    for (const { name, input, error } of ladders.invalid) {
+        await t.test(`rejects: ${name}`, () => {
+            assert.throws(() => parseLadder(input), { message: error });
+        });
+    }
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { scanKeyframes } = require('../utils/iframes');
+const cases = require('./fixtures/iframes/keyframes.json');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'iframes');
+const TS_PACKET_SIZE = 188;
+
+test('scanKeyframes', async (t) => {
+    for (const { fixture, description, expected } of cases) {
+        await t.test(`${description} (${fixture})`, () => {
+            const segment = fs.readFileSync(path.join(FIXTURES_DIR, fixture));
+            const keyframes = scanKeyframes(segment);
+            assert.deepEqual(keyframes, expected.map(({ frameSize, ...range }) => range));
+
+            keyframes.forEach((keyframe, index) => {
+                assert.equal(keyframe.offset % TS_PACKET_SIZE, 0, 'range starts on a TS packet');
+                assert.equal(segment[keyframe.offset], 0x47);
+                assert.ok(keyframe.length >= expected[index].frameSize, 'range covers the whole frame');
+                assert.ok(keyframe.offset + keyframe.length <= segment.length);
+            });
+        });
+    }
+
+    await t.test('returns no keyframes without a PAT', () => {
+        const packet = Buffer.alloc(TS_PACKET_SIZE, 0xff);
+        packet[0] = 0x47;
+        packet.writeUInt16BE(0x1100, 1); // PID 0x100, not announced by any PMT
+        packet[3] = 0x10;
+        assert.deepEqual(scanKeyframes(Buffer.concat([packet, packet])), []);
+    });
+
+    await t.test('throws when the sync byte is lost', () => {
+        const segment = Buffer.from(fs.readFileSync(path.join(FIXTURES_DIR, cases[0].fixture)));
+        segment[TS_PACKET_SIZE * 3] = 0x00;
+        assert.throws(() => scanKeyframes(segment), { message: `Lost MPEG-TS sync at byte ${TS_PACKET_SIZE * 3}` });
+    });
+});
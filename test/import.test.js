@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { assertPublicUrl } = require('../utils/import');
+
+// IP literals only: dns.lookup returns them without a DNS query
+test('assertPublicUrl refuses private, local and reserved addresses', async (t) => {
+    const refused = [
+        'http://127.0.0.1/', 'http://10.1.2.3/', 'http://172.16.0.1/', 'http://192.168.1.1/', 'http://169.254.169.254/latest/meta-data/',
+        'http://100.64.0.1/', 'http://0.0.0.0/', 'http://192.0.0.8/', 'http://198.18.0.1/', 'http://198.19.255.254/',
+        'http://224.0.0.1/', 'http://255.255.255.255/',
+        'http://[::1]/', 'http://[::ffff:127.0.0.1]/', 'http://[::7f00:1]/', 'http://[fd00::1]/', 'http://[fe80::1]/', 'http://[ff02::1]/',
+        'http://[64:ff9b::7f00:1]/', 'http://[64:ff9b::a9fe:a9fe]/', 'http://[64:ff9b:1::a00:1]/', 'http://[2002:7f00:1::1]/'
+    ];
+    for (const url of refused) {
+        await t.test(url, () => assert.rejects(assertPublicUrl(url), { status: 400, message: /private or local address/ }));
+    }
+});
+
+test('assertPublicUrl accepts public addresses', async (t) => {
+    for (const url of ['http://93.184.215.14/video.mp4', 'https://198.20.0.1/', 'http://192.0.1.1/', 'http://[2606:4700::1111]/', 'http://[::ffff:8.8.8.8]/']) {
+        await t.test(url, async () => assert.equal((await assertPublicUrl(url)).href, new URL(url).href));
+    }
+});
+
+test('assertPublicUrl only takes http(s) URLs', async () => {
+    await assert.rejects(assertPublicUrl('ftp://93.184.215.14/video.mp4'), { status: 400, message: 'Only http and https URLs can be imported.' });
+    await assert.rejects(assertPublicUrl('not a url'), { status: 400, message: "Invalid url 'not a url'." });
+});
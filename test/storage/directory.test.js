@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { putDirectory, forgetDirectory } = require('../../lib/storage/directory');
+
+// Backend that only records put() calls; failKeys makes put() of those keys throw
+const createStorage = (id) => {
+    const storage = {
+        name: 'memory',
+        id: `memory:${id}`,
+        puts: [],
+        failKeys: new Set(),
+        onPut: null,
+        async put(key, filePath) {
+            if (storage.onPut) storage.onPut(key);
+            if (storage.failKeys.has(key)) throw new Error(`refused ${key}`);
+            storage.puts.push(key);
+            return { key, size: fs.statSync(filePath).size };
+        }
+    };
+    return storage;
+};
+
+// A small HLS tree: two renditions of two segments, their playlists and the master playlist
+const TREE = {
+    'master.m3u8': '#EXTM3U\n',
+    '360p/playlist.m3u8': '#EXTM3U\n360',
+    '360p/segment_000.ts': 'a',
+    '360p/segment_001.ts': 'b',
+    '720p/playlist.m3u8': '#EXTM3U\n720',
+    '720p/segment_000.ts': 'c',
+    '720p/segment_001.ts': 'd'
+};
+
+let dir;
+let storage;
+const prefix = 'videos/v1';
+
+test.beforeEach(async (t) => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'put-directory-'));
+    for (const [name, content] of Object.entries(TREE)) {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), content);
+    }
+    storage = createStorage(`${path.basename(dir)}:${t.name}`);
+});
+
+test.afterEach(async () => {
+    await forgetDirectory(storage, prefix);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const keysOf = (uploads) => uploads.map(u => u.file).sort();
+const allKeys = Object.keys(TREE).map(name => `${prefix}/${name}`).sort();
+
+test('segments go first, rendition playlists next and the master playlist last', async () => {
+    const result = await putDirectory(storage, dir, prefix, { concurrency: 3 });
+    assert.equal(result.success, true);
+    assert.deepEqual(keysOf(result.successfulUploads), allKeys);
+
+    const phaseOf = (key) => (key.endsWith('master.m3u8') ? 2 : key.endsWith('.m3u8') ? 1 : 0);
+    const phases = storage.puts.map(phaseOf);
+    assert.deepEqual(phases, [...phases].sort(), `upload order: ${storage.puts.join(', ')}`);
+    assert.equal(storage.puts.at(-1), `${prefix}/master.m3u8`);
+});
+
+test('a second run skips every unchanged file and re-uploads changed ones', async () => {
+    await putDirectory(storage, dir, prefix);
+    storage.puts.length = 0;
+
+    let result = await putDirectory(storage, `${dir}/`, `${prefix}/`);
+    assert.equal(result.success, true);
+    assert.deepEqual(storage.puts, []);
+    assert.deepEqual(keysOf(result.skippedUploads), allKeys);
+
+    fs.writeFileSync(path.join(dir, '720p/segment_001.ts'), 'changed');
+    result = await putDirectory(storage, dir, prefix);
+    assert.deepEqual(storage.puts, [`${prefix}/720p/segment_001.ts`]);
+    assert.equal(result.skippedUploads.length, allKeys.length - 1);
+});
+
+test('a cancelled run resumes where it stopped', async () => {
+    const controller = new AbortController();
+    storage.onPut = () => {
+        if (storage.puts.length === 1) controller.abort();
+    };
+    const progress = [];
+    const first = await putDirectory(storage, dir, prefix, {
+        concurrency: 1,
+        signal: controller.signal,
+        onProgress: counts => progress.push(counts)
+    });
+    assert.equal(first.success, false);
+    assert.equal(first.successfulUploads.length, 2);
+    assert.ok(first.failedUploads.every(u => u.notAttempted), 'nothing failed, the rest was not attempted');
+    assert.equal(first.failedUploads.length, allKeys.length - 2);
+    assert.ok(!storage.puts.includes(`${prefix}/master.m3u8`));
+    assert.deepEqual(progress.at(-1), { uploaded: 2, skipped: 0, failed: allKeys.length - 2, total: allKeys.length, file: progress.at(-1).file });
+
+    storage.onPut = null;
+    const uploadedFirst = [...storage.puts];
+    storage.puts.length = 0;
+    const second = await putDirectory(storage, dir, prefix);
+    assert.equal(second.success, true);
+    assert.deepEqual(keysOf(second.skippedUploads), uploadedFirst.sort());
+    assert.deepEqual(storage.puts.sort(), allKeys.filter(key => !uploadedFirst.includes(key)));
+});
+
+test('a failed segment holds back the playlists until a retry uploads it', async () => {
+    storage.failKeys.add(`${prefix}/360p/segment_001.ts`);
+    const first = await putDirectory(storage, dir, prefix, { concurrency: 2 });
+    assert.equal(first.success, false);
+    assert.ok(storage.puts.every(key => key.endsWith('.ts')), 'no playlist published with a segment missing');
+    assert.deepEqual(first.failedUploads.filter(u => !u.notAttempted).map(u => u.file), [`${prefix}/360p/segment_001.ts`]);
+    assert.deepEqual(first.failedUploads.filter(u => u.notAttempted).map(u => u.file).sort(),
+        allKeys.filter(key => key.endsWith('.m3u8')));
+
+    storage.failKeys.clear();
+    storage.puts.length = 0;
+    const second = await putDirectory(storage, dir, prefix);
+    assert.equal(second.success, true);
+    assert.deepEqual(storage.puts.sort(), allKeys.filter(key => key.endsWith('.m3u8') || key.endsWith('360p/segment_001.ts')));
+    assert.equal(second.skippedUploads.length, 3);
+});
+
+test('forgetDirectory makes the next run upload everything again', async () => {
+    await putDirectory(storage, dir, prefix);
+    await forgetDirectory(storage, `${prefix}/`);
+    storage.puts.length = 0;
+    await putDirectory(storage, dir, prefix);
+    assert.deepEqual(storage.puts.sort(), allKeys);
+});
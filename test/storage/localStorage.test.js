@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalStorage } = require('../../lib/storage');
+
+let root;
+let source;
+let storage;
+
+test.before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'local-storage-'));
+    source = path.join(root, '..', `${path.basename(root)}-source.ts`);
+    fs.writeFileSync(source, 'segment');
+    storage = new LocalStorage({ root, publicUrl: 'http://media.example.com/', signingSecret: 'test-secret' });
+});
+
+test.after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.rmSync(source, { force: true });
+});
+
+// expires and signature of a URL from getSignedUrl
+const signedParams = (url) => {
+    const { searchParams } = new URL(url);
+    return [searchParams.get('expires'), searchParams.get('signature')];
+};
+
+test('put, getStream, list and delete round-trip', async () => {
+    assert.deepEqual(await storage.put('videos/v1/720p/segment 1.ts', source), { key: 'videos/v1/720p/segment 1.ts', size: 7 });
+    const object = await storage.getStream('videos/v1/720p/segment 1.ts');
+    assert.equal(object.contentLength, 7);
+    object.stream.destroy();
+
+    assert.deepEqual((await storage.list('videos/v1/')).map(o => o.key), ['videos/v1/720p/segment 1.ts']);
+    assert.equal(await storage.delete('videos/v1/720p/segment 1.ts'), true);
+    assert.equal(await storage.delete('videos/v1/720p/segment 1.ts'), false);
+    assert.equal(await storage.getStream('videos/v1/720p/segment 1.ts'), null);
+    assert.equal(fs.existsSync(path.join(root, 'videos')), false, 'empty directories are removed');
+});
+
+test('signed URLs are served from /storage and only verify for their own key', async () => {
+    const url = await storage.getSignedUrl('videos/v1/master file.m3u8', { expiresIn: 60 });
+    assert.match(url, /^http:\/\/media\.example\.com\/storage\/videos\/v1\/master%20file\.m3u8\?expires=\d+&signature=[0-9a-f]{64}$/);
+
+    const [expires, signature] = signedParams(url);
+    assert.equal(storage.verifySignedUrl('videos/v1/master file.m3u8', expires, signature), true);
+    assert.equal(storage.verifySignedUrl('videos/v2/master file.m3u8', expires, signature), false);
+    assert.equal(storage.verifySignedUrl('videos/v1/master file.m3u8', String(Number(expires) + 3600), signature), false);
+    assert.equal(storage.verifySignedUrl('videos/v1/master file.m3u8', expires, signature.replace(/.$/, c => (c === '0' ? '1' : '0'))), false);
+    assert.equal(storage.verifySignedUrl('videos/v1/master file.m3u8', expires, undefined), false);
+    assert.equal(storage.verifySignedUrl('videos/v1/master file.m3u8', 'soon', signature), false);
+});
+
+test('signed URLs stop verifying once they expire', async () => {
+    const [expires, signature] = signedParams(await storage.getSignedUrl('videos/v1/master.m3u8', { expiresIn: -1 }));
+    assert.equal(storage.verifySignedUrl('videos/v1/master.m3u8', expires, signature), false);
+});
+
+test('a different signing secret does not accept the URL', async () => {
+    const [expires, signature] = signedParams(await storage.getSignedUrl('videos/v1/master.m3u8'));
+    const other = new LocalStorage({ root, signingSecret: 'another-secret' });
+    assert.equal(other.verifySignedUrl('videos/v1/master.m3u8', expires, signature), false);
+});
+
+test('keys that leave the root are refused with a 400', async () => {
+    const outside = ['../escape.ts', 'videos/../../escape.ts', '/etc/passwd', '..', ''];
+    for (const key of outside) {
+        await assert.rejects(storage.put(key, source), { status: 400 }, `put ${key}`);
+        await assert.rejects(storage.getStream(key), { status: 400 }, `getStream ${key}`);
+        await assert.rejects(storage.delete(key), { status: 400 }, `delete ${key}`);
+        await assert.rejects(storage.getSignedUrl(key), { status: 400 }, `getSignedUrl ${key}`);
+    }
+    await assert.rejects(storage.list('../'), { status: 400 });
+    assert.equal(fs.existsSync(path.join(root, '..', 'escape.ts')), false);
+});
+
+test('a sibling directory sharing the root name is outside the root', async () => {
+    const sibling = `../${path.basename(root)}-other/file.ts`;
+    await assert.rejects(storage.put(sibling, source), { status: 400 });
+});
@@ -0,0 +1,190 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { S3Storage } = require('../../lib/storage');
+const { sha256 } = require('../../lib/storage/sigv4');
+
+// Minimal S3 stand-in: path-style PutObject, GetObject, HeadObject, DeleteObject and ListObjectsV2
+// (two keys per page), with every request recorded
+const PAGE_SIZE = 2;
+const objects = new Map();
+const requests = [];
+const failures = []; // Statuses to answer instead of handling the next requests
+
+const escapeXml = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const listObjects = (query) => {
+    const keys = [...objects.keys()].filter(key => key.startsWith(query.get('prefix') || '')).sort();
+    const start = Number(query.get('continuation-token') || 0);
+    const page = keys.slice(start, start + PAGE_SIZE);
+    const truncated = start + PAGE_SIZE < keys.length;
+    return '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>'
+        + page.map(key => `<Contents><Key>${escapeXml(key)}</Key><LastModified>2024-01-01T00:00:00.000Z</LastModified>`
+            + `<Size>${objects.get(key).body.length}</Size></Contents>`).join('')
+        + `<IsTruncated>${truncated}</IsTruncated>`
+        + (truncated ? `<NextContinuationToken>${start + PAGE_SIZE}</NextContinuationToken>` : '')
+        + '</ListBucketResult>';
+};
+
+const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const url = new URL(req.url, 'http://localhost');
+        const body = Buffer.concat(chunks);
+        requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body });
+        if (failures.length) {
+            res.writeHead(failures.shift());
+            return res.end();
+        }
+        const [, bucket, ...keyParts] = url.pathname.split('/');
+        const key = decodeURIComponent(keyParts.join('/'));
+        if (bucket !== 'media') {
+            res.writeHead(404);
+            return res.end();
+        }
+        if (req.method === 'GET' && !key && url.searchParams.get('list-type') === '2') {
+            res.writeHead(200, { 'Content-Type': 'application/xml' });
+            return res.end(listObjects(url.searchParams));
+        }
+        if (req.method === 'PUT') {
+            if (req.headers['x-amz-content-sha256'] !== sha256(body)) {
+                res.writeHead(400);
+                return res.end('XAmzContentSHA256Mismatch');
+            }
+            objects.set(key, { body, contentType: req.headers['content-type'] });
+            res.writeHead(200);
+            return res.end();
+        }
+        const object = objects.get(key);
+        if (!object) {
+            res.writeHead(404);
+            return res.end();
+        }
+        if (req.method === 'DELETE') {
+            objects.delete(key);
+            res.writeHead(204);
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': object.contentType, 'Content-Length': object.body.length });
+        res.end(req.method === 'GET' ? object.body : undefined);
+    });
+});
+
+let storage;
+let workDir;
+
+test.before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    storage = new S3Storage({
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        region: 'eu-west-1',
+        bucket: 'media',
+        accessKeyId: 'AKIDEXAMPLE',
+        secretAccessKey: 'secret'
+    });
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 's3-storage-'));
+});
+
+test.after(async () => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    await new Promise(resolve => server.close(resolve));
+});
+
+test.beforeEach(() => {
+    objects.clear();
+    requests.length = 0;
+    failures.length = 0;
+});
+
+const writeFile = (name, content) => {
+    const filePath = path.join(workDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+};
+
+const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString();
+};
+
+test('an endpoint of its own defaults to path-style URLs', () => {
+    assert.equal(storage.forcePathStyle, true);
+    assert.equal(storage.getPublicUrl('videos/v1/master file.m3u8'), `${storage.endpoint.origin}/media/videos/v1/master%20file.m3u8`);
+});
+
+test('put sends a signed PutObject with the body hash and content type', async () => {
+    const filePath = writeFile('playlist.m3u8', '#EXTM3U\n');
+    assert.deepEqual(await storage.put('videos/v1/720p/playlist.m3u8', filePath), { key: 'videos/v1/720p/playlist.m3u8', size: 8 });
+
+    const [request] = requests;
+    assert.equal(request.method, 'PUT');
+    assert.equal(request.path, '/media/videos/v1/720p/playlist.m3u8');
+    assert.equal(request.headers['content-type'], 'application/vnd.apple.mpegurl');
+    assert.equal(request.headers['content-length'], '8');
+    assert.match(request.headers.authorization, /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/eu-west-1\/s3\/aws4_request, SignedHeaders=content-length;content-type;host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/);
+    assert.equal(objects.get('videos/v1/720p/playlist.m3u8').body.toString(), '#EXTM3U\n');
+});
+
+test('put encodes keys with spaces and reserved characters', async () => {
+    await storage.put('videos/My Film (1)/segment.ts', writeFile('segment.ts', 'ts'));
+    assert.equal(requests[0].path, '/media/videos/My%20Film%20%281%29/segment.ts');
+    assert.ok(objects.has('videos/My Film (1)/segment.ts'));
+});
+
+test('getStream returns the body, or null for a missing key', async () => {
+    await storage.put('videos/v1/master.m3u8', writeFile('master.m3u8', '#EXTM3U'));
+    const object = await storage.getStream('videos/v1/master.m3u8');
+    assert.equal(object.contentLength, 7);
+    assert.equal(await readStream(object.stream), '#EXTM3U');
+    assert.equal(await storage.getStream('videos/v1/missing.m3u8'), null);
+});
+
+test('list follows continuation tokens and only returns the prefix', async () => {
+    const filePath = writeFile('segment.ts', 'ts');
+    for (const key of ['videos/v1/a.ts', 'videos/v1/b.ts', 'videos/v1/c & d.ts', 'videos/v10/a.ts', 'videos/v2/a.ts']) {
+        await storage.put(key, filePath);
+    }
+    requests.length = 0;
+
+    const listed = await storage.list('videos/v1/');
+    assert.deepEqual(listed.map(o => o.key), ['videos/v1/a.ts', 'videos/v1/b.ts', 'videos/v1/c & d.ts']);
+    assert.deepEqual(listed[0], { key: 'videos/v1/a.ts', size: 2, lastModified: '2024-01-01T00:00:00.000Z' });
+    assert.equal(requests.length, 2, 'one request per page');
+    assert.equal(requests[1].query.get('continuation-token'), '2');
+});
+
+test('delete checks with HEAD first and reports missing keys', async () => {
+    await storage.put('videos/v1/a.ts', writeFile('segment.ts', 'ts'));
+    requests.length = 0;
+
+    assert.equal(await storage.delete('videos/v1/a.ts'), true);
+    assert.deepEqual(requests.map(r => r.method), ['HEAD', 'DELETE']);
+    assert.equal(objects.size, 0);
+    assert.equal(await storage.delete('videos/v1/a.ts'), false);
+});
+
+test('deleteDirectory removes every key under the prefix', async () => {
+    const filePath = writeFile('segment.ts', 'ts');
+    for (const key of ['videos/v1/a.ts', 'videos/v1/b.ts', 'videos/v1/c.ts', 'videos/v2/a.ts']) await storage.put(key, filePath);
+
+    assert.deepEqual(await storage.deleteDirectory('videos/v1'), { deleted: 3, failed: [] });
+    assert.deepEqual([...objects.keys()], ['videos/v2/a.ts']);
+});
+
+test('temporary errors are retried, client errors are not', async () => {
+    const filePath = writeFile('segment.ts', 'ts');
+    failures.push(503);
+    await storage.put('videos/v1/a.ts', filePath);
+    assert.deepEqual(requests.map(r => r.method), ['PUT', 'PUT']);
+    assert.ok(objects.has('videos/v1/a.ts'));
+
+    requests.length = 0;
+    failures.push(403);
+    await assert.rejects(storage.put('videos/v1/b.ts', filePath), error => error.response?.status === 403);
+    assert.equal(requests.length, 1);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { segmentWebVtt, getTimestampOffset } = require('../utils/subtitles');
+const cases = require('./fixtures/subtitles/cases.json');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'subtitles');
+
+const withTempDir = async (fn) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'subtitles-test-'));
+    try {
+        return await fn(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+};
+
+// Every file of <case>/expected must be written with the same content, and nothing else
+test('segmentWebVtt', async (t) => {
+    for (const { name, description, options } of cases) {
+        await t.test(`${description} (${name})`, () => withTempDir(async (dir) => {
+            const vttPath = path.join(dir, 'subtitles.vtt');
+            fs.copyFileSync(path.join(FIXTURES_DIR, name, 'input.vtt'), vttPath);
+            const expectedDir = path.join(FIXTURES_DIR, name, 'expected');
+            const expectedFiles = fs.readdirSync(expectedDir).sort();
+
+            const result = await segmentWebVtt(vttPath, options);
+            assert.equal(result.playlistPath, path.join(dir, options.playlistName));
+            assert.equal(result.segmentCount, expectedFiles.filter(file => file.endsWith('.vtt')).length);
+
+            assert.deepEqual(fs.readdirSync(dir).filter(file => file !== 'subtitles.vtt').sort(), expectedFiles);
+            for (const file of expectedFiles) {
+                assert.equal(fs.readFileSync(path.join(dir, file), 'utf8'), fs.readFileSync(path.join(expectedDir, file), 'utf8'), file);
+            }
+        }));
+    }
+});
+
+test('getTimestampOffset', async (t) => {
+    await t.test('is the PTS of the first keyframe of the first segment', () => withTempDir(async (dir) => {
+        fs.copyFileSync(path.join(__dirname, 'fixtures', 'iframes', 'avc-aac.ts'), path.join(dir, 'segment000.ts'));
+        fs.writeFileSync(path.join(dir, 'playlist.m3u8'),
+            '#EXTM3U\n#EXT-X-TARGETDURATION:2\n#EXTINF:2.000000,\nsegment000.ts\n#EXTINF:2.000000,\nsegment001.ts\n#EXT-X-ENDLIST\n');
+        assert.equal(await getTimestampOffset(path.join(dir, 'playlist.m3u8')), 133200);
+    }));
+
+    await t.test('is 0 for a playlist without segments', () => withTempDir(async (dir) => {
+        fs.writeFileSync(path.join(dir, 'playlist.m3u8'), '#EXTM3U\n#EXT-X-TARGETDURATION:2\n#EXT-X-ENDLIST\n');
+        assert.equal(await getTimestampOffset(path.join(dir, 'playlist.m3u8')), 0);
+    }));
+});
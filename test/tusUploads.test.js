@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { createUpload, getUpload, appendToUpload, deleteUpload } = require('../lib/tusUploads');
+
+const created = [];
+const newUpload = async (length) => {
+    const info = await createUpload({ length, metadata: {}, kind: 'subtitle' });
+    created.push(info.id);
+    return info;
+};
+
+test.after(async () => {
+    for (const id of created) await deleteUpload(id).catch(() => {});
+});
+
+test('the last PATCH marks the upload complete before handing it off, and only hands it off once', async () => {
+    const { id } = await newUpload(4);
+    let release;
+    const handoffStarted = new Promise(resolve => {
+        release = resolve;
+    });
+    let handoffs = 0;
+    let finishHandoff;
+    const onComplete = async (info) => {
+        handoffs++;
+        assert.ok(info.completedAt, 'completedAt is saved before the bytes are moved');
+        release();
+        await new Promise(resolve => {
+            finishHandoff = resolve;
+        });
+        return { jobId: 'job-1', videoId: 'video-1' };
+    };
+
+    const first = appendToUpload(id, 0, Readable.from([Buffer.from('WEBV')]), { onComplete });
+    await handoffStarted;
+
+    // While the handoff runs: HEAD sees a finished upload and a repeated last PATCH waits for the same result
+    assert.deepEqual((await getUpload(id)).offset, 4);
+    const retry = appendToUpload(id, 4, Readable.from([]), { onComplete });
+    await assert.rejects(appendToUpload(id, 2, Readable.from([]), { onComplete }), { status: 423 });
+    finishHandoff();
+
+    const [result, retried] = await Promise.all([first, retry]);
+    assert.equal(handoffs, 1);
+    assert.equal(result.offset, 4);
+    assert.deepEqual(result.info.handoff, { jobId: 'job-1', videoId: 'video-1' });
+    assert.deepEqual(retried, result);
+
+    // After the handoff a repeated last PATCH gets the stored result, a wrong offset is still a conflict
+    assert.deepEqual(await appendToUpload(id, 4, Readable.from([]), { onComplete }), result);
+    await assert.rejects(appendToUpload(id, 0, Readable.from([]), { onComplete }), { status: 409 });
+    assert.equal(handoffs, 1);
+});
+
+test('a failed handoff reopens the upload so an empty PATCH can try again', async () => {
+    const { id } = await newUpload(3);
+    await assert.rejects(
+        appendToUpload(id, 0, Readable.from([Buffer.from('abc')]), { onComplete: async () => { throw new Error('queue is down'); } }),
+        { message: 'queue is down' }
+    );
+    const upload = await getUpload(id);
+    assert.equal(upload.info.completedAt, null);
+    assert.equal(upload.offset, 3);
+
+    const { info } = await appendToUpload(id, 3, Readable.from([]), { onComplete: async () => ({ jobId: 'job-2', videoId: 'video-2' }) });
+    assert.ok(info.completedAt);
+    assert.equal(info.handoff.jobId, 'job-2');
+});
+
+test('a PATCH that does not reach the end leaves the upload open', async () => {
+    const { id } = await newUpload(10);
+    let called = false;
+    const result = await appendToUpload(id, 0, Readable.from([Buffer.from('12345')]), { onComplete: async () => { called = true; } });
+    assert.equal(result.offset, 5);
+    assert.equal(result.info.completedAt, null);
+    assert.equal(called, false);
+    await assert.rejects(appendToUpload(id, 5, Readable.from([Buffer.from('123456')])), { status: 413 });
+});
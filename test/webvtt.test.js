@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseVttTime, toVttTime } = require('../utils/webvtt');
+
+test('toVttTime always writes hours and rounds to milliseconds', () => {
+    assert.equal(toVttTime(0), '00:00:00.000');
+    assert.equal(toVttTime(4.2), '00:00:04.200');
+    assert.equal(toVttTime(61.0005), '00:01:01.001');
+    assert.equal(toVttTime(3599.9996), '01:00:00.000');
+    assert.equal(toVttTime(36000 + 0.25), '10:00:00.250');
+});
+
+test('parseVttTime accepts timestamps with and without hours', () => {
+    assert.equal(parseVttTime('00:00:04.200'), 4.2);
+    assert.equal(parseVttTime(' 01:02.5 '), 62.5);
+    assert.equal(parseVttTime('01:00:00.750'), 3600.75);
+});
+
+test('parseVttTime reads back what toVttTime writes', () => {
+    for (const seconds of [0, 0.001, 5, 59.999, 3723.456]) {
+        assert.equal(parseVttTime(toVttTime(seconds)), seconds);
+    }
+});
@@ -0,0 +1,179 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+// --- MPEG-DASH manifest built from the fMP4 (CMAF) HLS renditions ---
+// The renditions written by convertToHls with segmentType 'fmp4' are valid DASH representations:
+// the manifest only lists their init.mp4 and .m4s segments, so both formats share the same files.
+
+const DASH_MANIFEST_NAME = 'manifest.mpd';
+
+// ISO 8601 duration used by the MPD attributes (PT12.345S)
+const toIsoDuration = (seconds) => `PT${seconds.toFixed(3)}S`;
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * Reads the init segment and segment list of an fMP4 media playlist written by ffmpeg.
+ * @param {string} playlistPath - Path to the rendition playlist.m3u8
+ * @returns {Promise<{initName: string, segments: Array<{uri: string, duration: number}>}>}
+ */
+const readMediaPlaylist = async (playlistPath) => {
+    const lines = (await fs.readFile(playlistPath, 'utf8')).split(/\r?\n/).map(line => line.trim());
+    let initName = null;
+    let pendingDuration = null;
+    const segments = [];
+    lines.forEach(line => {
+        if (line.startsWith('#EXT-X-MAP:')) {
+            const match = line.match(/URI="([^"]+)"/);
+            if (match) initName = match[1];
+        } else if (line.startsWith('#EXTINF:')) {
+            pendingDuration = parseFloat(line.slice('#EXTINF:'.length));
+        } else if (line && !line.startsWith('#') && pendingDuration !== null) {
+            segments.push({ uri: line, duration: pendingDuration });
+            pendingDuration = null;
+        }
+    });
+    if (!initName) throw new Error(`${playlistPath} has no #EXT-X-MAP, DASH needs fMP4 segments`);
+    if (segments.length === 0) throw new Error(`${playlistPath} has no segments`);
+    return { initName, segments };
+};
+
+// Returns the payload of the first box of the given type found in the init segment
+const findBox = (buffer, type) => {
+    const index = buffer.indexOf(Buffer.from(type, 'latin1'));
+    return index >= 4 ? buffer.subarray(index + 4, index - 4 + buffer.readUInt32BE(index - 4)) : null;
+};
+
+const hex = (value) => value.toString(16).toUpperCase().padStart(2, '0');
+
+/**
+ * Builds the RFC 6381 codecs string ("avc1.4D401E,mp4a.40.2") from the sample entries of an init segment.
+ * @param {Buffer} initSegment - Contents of init.mp4
+ * @returns {string|null} - null when no known codec is found
+ */
+const getCodecsString = (initSegment) => {
+    const codecs = [];
+
+    const avcC = findBox(initSegment, 'avcC');
+    const hvcC = findBox(initSegment, 'hvcC');
+    if (avcC) {
+        // configurationVersion, AVCProfileIndication, profile_compatibility, AVCLevelIndication
+        codecs.push(`avc1.${hex(avcC[1])}${hex(avcC[2])}${hex(avcC[3])}`);
+    } else if (hvcC) {
+        const profileSpace = ['', 'A', 'B', 'C'][hvcC[1] >> 6];
+        const tier = (hvcC[1] >> 5) & 1 ? 'H' : 'L';
+        const profileIdc = hvcC[1] & 0x1f;
+        // Compatibility flags are written in reverse bit order
+        let compatibility = hvcC.readUInt32BE(2);
+        let reversed = 0;
+        for (let bit = 0; bit < 32; bit++) {
+            reversed = (reversed << 1) | (compatibility & 1);
+            compatibility >>>= 1;
+        }
+        const constraints = Array.from(hvcC.subarray(6, 12));
+        while (constraints.length && constraints[constraints.length - 1] === 0) constraints.pop();
+        const level = hvcC[12];
+        codecs.push(['hvc1', `${profileSpace}${profileIdc}`, (reversed >>> 0).toString(16).toUpperCase(), `${tier}${level}`,
+            ...constraints.map(byte => byte.toString(16).toUpperCase())].join('.'));
+    }
+
+    if (initSegment.includes(Buffer.from('mp4a', 'latin1'))) codecs.push('mp4a.40.2'); // AAC-LC
+    else if (initSegment.includes(Buffer.from('ac-3', 'latin1'))) codecs.push('ac-3');
+    else if (initSegment.includes(Buffer.from('Opus', 'latin1'))) codecs.push('opus');
+
+    return codecs.length ? codecs.join(',') : null;
+};
+
+// Representation with its SegmentList; audio renditions get audioSamplingRate instead of width/height
+const buildRepresentation = async (outputDir, rendition, isAudio) => {
+    const renditionDir = path.dirname(rendition.playlistRelativePath);
+    const { initName, segments } = await readMediaPlaylist(path.join(outputDir, rendition.playlistRelativePath));
+    const codecs = getCodecsString(await fs.readFile(path.join(outputDir, renditionDir, initName)));
+    const [width, height] = String(rendition.size).split('x');
+
+    let time = 0;
+    const timeline = segments.map(segment => {
+        const duration = Math.round(segment.duration * 1000); // timescale 1000
+        const entry = `            <S t="${time}" d="${duration}"/>`;
+        time += duration;
+        return entry;
+    });
+
+    const attributes = isAudio ? ' audioSamplingRate="48000"' : ` width="${width}" height="${height}"`;
+    const xml = [
+        `      <Representation id="${escapeXml(rendition.name)}" bandwidth="${rendition.bandwidth}"${attributes}${codecs ? ` codecs="${codecs}"` : ''}>`,
+        ...(isAudio && rendition.channels
+            ? [`        <AudioChannelConfiguration schemeIdUri="urn:mpeg:dash:23003:3:audio_channel_configuration:2011" value="${rendition.channels}"/>`]
+            : []),
+        `        <SegmentList timescale="1000">`,
+        `          <Initialization sourceURL="${escapeXml(`${renditionDir}/${initName}`)}"/>`,
+        `          <SegmentTimeline>`,
+        ...timeline,
+        `          </SegmentTimeline>`,
+        ...segments.map(segment => `          <SegmentURL media="${escapeXml(`${renditionDir}/${segment.uri}`)}"/>`),
+        `        </SegmentList>`,
+        `      </Representation>`
+    ].join('\n');
+    return { xml, duration: time / 1000 };
+};
+
+/**
+ * Writes manifest.mpd next to the HLS master playlist, one Representation per rendition.
+ * Segment URLs are relative to the manifest so it works from /processed, /stream-resource and B2.
+ * @param {string} outputDir - Directory of the converted video (contains <rendition>/playlist.m3u8)
+ * @param {Array<object>} renditions - { name, size, bandwidth, playlistRelativePath } as returned by processResolution
+ * @param {object} [options] - { manifestName, minBufferTime (seconds), audioTracks, subtitleTracks }. Each audio track (as returned by
+ *   processAudioTrack) becomes its own audio AdaptationSet; without them the audio is muxed in the video segments.
+ *   Each subtitle track (as returned by processSubtitleTrack) becomes a text AdaptationSet over its complete WebVTT file.
+ * @returns {Promise<string>} - Local path to the manifest
+ */
+const writeDashManifest = async (outputDir, renditions, { manifestName = DASH_MANIFEST_NAME, minBufferTime = 4, audioTracks = [], subtitleTracks = [] } = {}) => {
+    const representations = await Promise.all(renditions.map(rendition => buildRepresentation(outputDir, rendition, false)));
+    const audioRepresentations = await Promise.all(audioTracks.map(track => buildRepresentation(outputDir, track, true)));
+    const presentationDuration = Math.max(0, ...[...representations, ...audioRepresentations].map(r => r.duration));
+
+    const audioSets = audioTracks.map((track, index) => [
+        `    <AdaptationSet id="${index + 1}" contentType="audio" mimeType="audio/mp4"${track.language ? ` lang="${escapeXml(track.language)}"` : ''} startWithSAP="1">`,
+        `      <Label>${escapeXml(track.label)}</Label>`,
+        ...(track.isDefault ? [`      <Role schemeIdUri="urn:mpeg:dash:role:2011" value="main"/>`] : []),
+        audioRepresentations[index].xml,
+        `    </AdaptationSet>`
+    ].join('\n'));
+
+    // DASH players load sidecar WebVTT as a single file rather than the HLS segments
+    const textSets = subtitleTracks.map((track, index) => [
+        `    <AdaptationSet id="${audioTracks.length + index + 1}" contentType="text" mimeType="text/vtt"${track.language ? ` lang="${escapeXml(track.language)}"` : ''}>`,
+        `      <Label>${escapeXml(track.label)}</Label>`,
+        `      <Role schemeIdUri="urn:mpeg:dash:role:2011" value="${track.isForced ? 'forced-subtitle' : 'subtitle'}"/>`,
+        `      <Representation id="${escapeXml(track.name)}" bandwidth="256">`,
+        `        <BaseURL>${escapeXml(track.vttRelativePath)}</BaseURL>`,
+        `      </Representation>`,
+        `    </AdaptationSet>`
+    ].join('\n'));
+
+    const manifest = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" profiles="urn:mpeg:dash:profile:isoff-main:2011" type="static" mediaPresentationDuration="${toIsoDuration(presentationDuration)}" minBufferTime="${toIsoDuration(minBufferTime)}">`,
+        `  <Period id="0" start="PT0S">`,
+        // Without audio tracks the audio is muxed in the same segments as the video of each rendition
+        `    <AdaptationSet id="0" contentType="video" mimeType="video/mp4" startWithSAP="1">`,
+        ...representations.map(r => r.xml),
+        `    </AdaptationSet>`,
+        ...audioSets,
+        ...textSets,
+        `  </Period>`,
+        `</MPD>`,
+        ''
+    ].join('\n');
+
+    const manifestPath = path.join(outputDir, manifestName);
+    await fs.writeFile(manifestPath, manifest);
+    return manifestPath;
+};
+
+module.exports = {
+    writeDashManifest,
+    getCodecsString,
+    DASH_MANIFEST_NAME
+};
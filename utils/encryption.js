@@ -0,0 +1,140 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+// --- AES-128 HLS encryption ---
+// Keys live outside the public processed_videos tree (KEYS_DIR/<videoId>/<keyId>.key) and are served
+// by the authenticated GET /keys/:videoId/:keyId route that the #EXT-X-KEY URIs point to.
+// Segments are encrypted here after segmenting instead of with ffmpeg's -hls_key_info_file:
+// - every rendition is a separate ffmpeg process, and periodic_rekey only re-reads a key info file
+//   that would have to be rewritten while they all run, so keys could not rotate on the same
+//   segment in every rendition;
+// - the I-frame playlists and the subtitle X-TIMESTAMP-MAP are read from the segments in clear.
+const KEYS_DIR = process.env.KEYS_DIR
+    ? path.resolve(process.env.KEYS_DIR)
+    : path.join(__dirname, '..', 'keys');
+
+const KEY_ID_PATTERN = /^[a-f0-9]{16}$/;
+
+// Base URL of this server (PUBLIC_BASE_URL in .env), for key URIs in playlists served from another host
+const getPublicBaseUrl = () => (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+/**
+ * Makes a relative keyUrlTemplate absolute. A relative URI resolves against the host that serves the
+ * playlist, which for published videos (mainManifestUrl) is the storage host, not this server.
+ * @param {string} template - e.g. '/keys/{videoId}/{keyId}'
+ * @returns {string} - e.g. 'https://api.example.com/keys/{videoId}/{keyId}'; absolute templates are returned as-is
+ */
+const toAbsoluteKeyUrlTemplate = (template) => (/^https?:\/\//i.test(template)
+    ? template
+    : `${getPublicBaseUrl()}/${template.replace(/^\/+/, '')}`);
+
+const getVideoKeysDir = (videoId) => path.join(KEYS_DIR, path.basename(videoId));
+
+/**
+ * Creates the key set of one video. Keys are generated on first use and shared by all renditions,
+ * so segment N of every rendition is encrypted with the same key.
+ * @param {string} videoId
+ * @param {object} options - { keyUrlTemplate, keyRotationSegments }
+ * @returns {Promise<{ keyForSegment: Function }>}
+ */
+const createKeyStore = async (videoId, { keyUrlTemplate, keyRotationSegments = 0 }) => {
+    const keysDir = getVideoKeysDir(videoId);
+    // A retried job starts from scratch: drop the keys of the previous attempt
+    await fs.rm(keysDir, { recursive: true, force: true });
+    await fs.mkdir(keysDir, { recursive: true });
+
+    const keys = new Map(); // key index -> Promise<{ keyId, key, uri }>
+    const keyForSegment = (segmentIndex) => {
+        const keyIndex = keyRotationSegments > 0 ? Math.floor(segmentIndex / keyRotationSegments) : 0;
+        if (!keys.has(keyIndex)) {
+            const keyId = crypto.randomBytes(8).toString('hex');
+            const key = crypto.randomBytes(16);
+            const uri = keyUrlTemplate.replace('{videoId}', encodeURIComponent(videoId)).replace('{keyId}', keyId);
+            keys.set(keyIndex, fs.writeFile(path.join(keysDir, `${keyId}.key`), key, { mode: 0o600 })
+                .then(() => ({ keyId, key, uri })));
+        }
+        return keys.get(keyIndex);
+    };
+
+    return { keyForSegment };
+};
+
+// IV used by players when #EXT-X-KEY has no IV attribute: the media sequence number as a 128-bit big-endian integer
+const sequenceIv = (sequenceNumber) => {
+    const iv = Buffer.alloc(16);
+    iv.writeUInt32BE(sequenceNumber, 12);
+    return iv;
+};
+
+/**
+ * Encrypts the segments of a finished rendition in place and adds the #EXT-X-KEY tags to its playlist.
+ * The init segment of fMP4 renditions (#EXT-X-MAP) comes before the first key, so it stays in clear.
+ * @param {string} playlistPath - Path to the rendition playlist.m3u8
+ * @param {object} keyStore - Returned by createKeyStore
+ * @returns {Promise<number>} - Number of segments encrypted
+ */
+const encryptRendition = async (playlistPath, keyStore) => {
+    const renditionDir = path.dirname(playlistPath);
+    const lines = (await fs.readFile(playlistPath, 'utf8')).split('\n');
+    const sequenceLine = lines.find(line => line.startsWith('#EXT-X-MEDIA-SEQUENCE:'));
+    const firstSequence = sequenceLine ? parseInt(sequenceLine.split(':')[1], 10) : 0;
+
+    const output = [];
+    let segmentIndex = 0;
+    let currentKeyId = null;
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.startsWith('#EXTINF:')) {
+            const segmentName = lines[i + 1].trim();
+            const { keyId, key, uri } = await keyStore.keyForSegment(segmentIndex);
+            if (keyId !== currentKeyId) {
+                output.push(`#EXT-X-KEY:METHOD=AES-128,URI="${uri}"`);
+                currentKeyId = keyId;
+            }
+            const segmentPath = path.join(renditionDir, segmentName);
+            const cipher = crypto.createCipheriv('aes-128-cbc', key, sequenceIv(firstSequence + segmentIndex));
+            const encrypted = Buffer.concat([cipher.update(await fs.readFile(segmentPath)), cipher.final()]); // PKCS7 padding
+            await fs.writeFile(`${segmentPath}.tmp`, encrypted);
+            await fs.rename(`${segmentPath}.tmp`, segmentPath);
+            segmentIndex++;
+        }
+        output.push(line);
+    }
+
+    await fs.writeFile(playlistPath, output.join('\n'));
+    return segmentIndex;
+};
+
+/**
+ * Reads a stored key.
+ * @param {string} videoId
+ * @param {string} keyId
+ * @returns {Promise<Buffer|null>} - The 16-byte key or null if it does not exist
+ */
+const readKey = async (videoId, keyId) => {
+    if (!KEY_ID_PATTERN.test(keyId)) return null;
+    try {
+        return await fs.readFile(path.join(getVideoKeysDir(videoId), `${keyId}.key`));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+};
+
+/**
+ * Deletes all keys of a video (cancelled or failed conversions).
+ * @param {string} videoId
+ */
+const removeVideoKeys = async (videoId) => {
+    await fs.rm(getVideoKeysDir(videoId), { recursive: true, force: true });
+};
+
+module.exports = {
+    createKeyStore,
+    encryptRendition,
+    readKey,
+    removeVideoKeys,
+    toAbsoluteKeyUrlTemplate,
+    KEYS_DIR
+};
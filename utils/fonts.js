@@ -0,0 +1,148 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs').promises;
+
+// --- Font attachments (MKV) for the ASS tracks rendered by JASSUB ---
+// Fonts are dumped to <videoId>/fonts/ next to fonts.json, which lists each file with the family
+// names read from its 'name' table. JASSUB (libass) looks fonts up by lowercase family name.
+
+const FONTS_DIR_NAME = 'fonts';
+const FONT_MANIFEST_NAME = 'fonts.json';
+const FONT_EXTENSIONS = ['.ttf', '.otf', '.ttc', '.woff', '.woff2'];
+const FONT_CODECS = ['ttf', 'otf'];
+const FONT_MIME_PATTERN = /font|truetype|opentype/i; // font/ttf, application/x-truetype-font, application/vnd.ms-opentype
+
+const NAME_IDS = [1, 4, 6]; // Family, full name, PostScript name
+
+/**
+ * Tells whether an ffprobe attachment stream is a font.
+ * @param {object} stream - ffprobe stream with codec_type 'attachment'
+ * @returns {boolean}
+ */
+const isFontAttachment = (stream) =>
+    FONT_CODECS.includes(stream.codec_name) ||
+    FONT_MIME_PATTERN.test(stream.tags?.mimetype || '') ||
+    FONT_EXTENSIONS.includes(path.extname(stream.tags?.filename || '').toLowerCase());
+
+/**
+ * Reads the family, full and PostScript names of a TrueType/OpenType font (first font of a .ttc).
+ * WOFF/WOFF2 tables are compressed, so those return no names.
+ * @param {Buffer} font - Contents of the font file
+ * @returns {Array<string>} - Unique names, lowercase
+ */
+const parseFontNames = (font) => {
+    let offset = 0;
+    const tag = font.length >= 12 ? font.toString('latin1', 0, 4) : '';
+    if (tag === 'ttcf') offset = font.readUInt32BE(12);
+    else if (tag !== 'OTTO' && tag !== 'true' && font.readUInt32BE(0) !== 0x00010000) return [];
+
+    const numTables = font.readUInt16BE(offset + 4);
+    let nameTable = null;
+    for (let record = offset + 12; record < offset + 12 + numTables * 16; record += 16) {
+        if (font.toString('latin1', record, record + 4) === 'name') {
+            nameTable = font.readUInt32BE(record + 8);
+            break;
+        }
+    }
+    if (nameTable === null) return [];
+
+    const count = font.readUInt16BE(nameTable + 2);
+    const strings = nameTable + font.readUInt16BE(nameTable + 4);
+    const names = new Set();
+    for (let record = nameTable + 6; record < nameTable + 6 + count * 12; record += 12) {
+        const platformId = font.readUInt16BE(record);
+        const nameId = font.readUInt16BE(record + 6);
+        if (!NAME_IDS.includes(nameId) || (platformId !== 1 && platformId !== 3)) continue;
+        const start = strings + font.readUInt16BE(record + 10);
+        const raw = font.subarray(start, start + font.readUInt16BE(record + 8));
+        // Windows names are UTF-16BE, Macintosh names single-byte Roman
+        const name = platformId === 3 ? Buffer.from(raw).swap16().toString('utf16le') : raw.toString('latin1');
+        if (name.trim()) names.add(name.trim().toLowerCase());
+    }
+    return [...names];
+};
+
+/**
+ * Reads fonts/fonts.json of a converted video.
+ * @param {string} outputDir - Directory of the HLS tree
+ * @returns {Promise<Array<object>>} - Empty when the video has no fonts
+ */
+const readFontManifest = async (outputDir) => {
+    try {
+        return JSON.parse(await fs.readFile(path.join(outputDir, FONTS_DIR_NAME, FONT_MANIFEST_NAME), 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+};
+
+/**
+ * Dumps the font attachments of the source to fonts/ and writes fonts.json.
+ * @param {string} inputPath - Source video
+ * @param {string} outputDir - Directory of the HLS tree
+ * @param {Array<object>} attachmentStreams - ffprobe streams with codec_type 'attachment'
+ * @param {string} videoId - For logging
+ * @param {object} [hooks] - { onCommand } to follow (and kill) the ffmpeg command
+ * @returns {Promise<Array<{fileName: string, names: Array<string>, mimetype: string|null}>>}
+ */
+const extractFontAttachments = async (inputPath, outputDir, attachmentStreams, videoId, hooks = {}) => {
+    const fontsDir = path.join(outputDir, FONTS_DIR_NAME);
+    const usedNames = new Set();
+    const fonts = attachmentStreams.filter(isFontAttachment).map(stream => {
+        // Attachment file names come from the source: keep the base name only and make it unique
+        const original = path.basename(stream.tags?.filename || `font-${stream.index}.ttf`).replace(/[^\w.-]+/g, '_');
+        const extension = path.extname(original);
+        let fileName = original;
+        for (let n = 1; usedNames.has(fileName.toLowerCase()) || fileName === FONT_MANIFEST_NAME; n++) {
+            fileName = `${path.basename(original, extension)}-${n}${extension}`;
+        }
+        usedNames.add(fileName.toLowerCase());
+        return { streamIndex: stream.index, fileName, mimetype: stream.tags?.mimetype || null };
+    });
+    if (fonts.length === 0) return [];
+
+    await fs.mkdir(fontsDir, { recursive: true });
+    // -dump_attachment writes while the input is opened; -t 0 stops before decoding anything
+    await new Promise((resolve, reject) => {
+        const command = ffmpeg(inputPath)
+            .inputOptions(fonts.flatMap(font => [`-dump_attachment:${font.streamIndex}`, path.join(fontsDir, font.fileName)]))
+            .outputOptions(['-t 0', '-map 0:v:0'])
+            .format('null')
+            .output('-')
+            .on('end', resolve)
+            .on('error', (err) => reject(new Error(`Font attachment dump failed: ${err.message}`)));
+        command.run();
+        if (hooks.onCommand) hooks.onCommand(command);
+    });
+
+    const manifest = [];
+    for (const { fileName, mimetype } of fonts) {
+        const content = await fs.readFile(path.join(fontsDir, fileName)).catch(() => null);
+        if (!content) {
+            console.warn(`[${videoId}] Font attachment ${fileName} was not written, skipping it`);
+            continue;
+        }
+        let names = [];
+        try {
+            names = parseFontNames(content);
+        } catch (err) {
+            console.warn(`[${videoId}] Could not read the names of ${fileName}:`, err.message);
+        }
+        // Without a readable name table, fall back to the file name (Lato-Regular.ttf -> "lato-regular")
+        manifest.push({ fileName, names: names.length > 0 ? names : [path.basename(fileName, path.extname(fileName)).toLowerCase()], mimetype });
+    }
+    if (manifest.length > 0) {
+        await fs.writeFile(path.join(fontsDir, FONT_MANIFEST_NAME), JSON.stringify(manifest, null, 2));
+        console.log(`[${videoId}] ${manifest.length} font attachment(s) extracted for JASSUB`);
+    }
+    return manifest;
+};
+
+module.exports = {
+    extractFontAttachments,
+    isFontAttachment,
+    parseFontNames,
+    readFontManifest,
+    FONTS_DIR_NAME,
+    FONT_MANIFEST_NAME
+};
@@ -2,6 +2,14 @@ const path = require('path');
 const fs = require('fs').promises;
 const ffmpeg = require('fluent-ffmpeg');
 const ffprobePath = require('@ffprobe-installer/ffprobe').path;
+const { writeDashManifest } = require('./dash');
+const { createKeyStore, encryptRendition } = require('./encryption');
+const { generateThumbnails, generateSpriteSheet } = require('./thumbnails');
+const { writeIFramePlaylist } = require('./iframes');
+const {
+    buildSubtitleTracks, processSubtitleTrack, getTimestampOffset, preserveAssTracks, selectBurnInTrack, buildBurnInFilter, ASS_DIR_NAME
+} = require('./subtitles');
+const { extractFontAttachments, FONTS_DIR_NAME } = require('./fonts');
 
 // Explicitly set the ffprobe path for fluent-ffmpeg
 ffmpeg.setFfprobePath(ffprobePath);
@@ -13,12 +21,43 @@ const VIDEOS_DIR_UTILS = path.join(PROJECT_ROOT, 'videos');
 
 // --- Default HLS Conversion Options ---
 const defaultHlsOptions = {
+    // Adaptive bitrate ladder: rungs above the source height are dropped and widths follow the
+    // source aspect ratio. Override per upload with the `ladder` form field (e.g. "720,480" or "720:2500k,360").
+    ladder: [
+        { height: 1080, bitrate: '5000k' },
+        { height: 720, bitrate: '2800k' },
+        { height: 480, bitrate: '1400k' },
+        { height: 360, bitrate: '800k' },
+        { height: 240, bitrate: '400k' }
+    ],
+    includeOriginal: true, // Also produce a rendition at the source resolution when it is not a ladder rung
     resolutions: [
-/*         { name: '480p', size: '854x480', bitrate: '800k' },
- */        // Add more resolutions like 1080p if needed
+        // Extra fixed-size renditions, added on top of the ladder, e.g.:
         // { name: '1080p', size: '1920x1080', bitrate: '2800k' }
     ],
     hlsTime: 10, // Segment duration in seconds
+    segmentType: 'mpegts', // 'mpegts' (.ts segments) or 'fmp4' (init.mp4 + .m4s segments, needed for HEVC and DASH)
+    dash: false, // Also write an MPEG-DASH manifest over the same renditions (forces segmentType 'fmp4')
+    iFramePlaylists: false, // Write an I-frame-only playlist per rendition for trick play (MPEG-TS segments only)
+    iFramePlaylistName: 'iframes.m3u8',
+    multiAudio: true, // Sources with several audio streams get one audio rendition each (#EXT-X-MEDIA TYPE=AUDIO)
+    audioGroupId: 'audio', // GROUP-ID of the audio renditions in the master playlist
+    subtitles: true, // Convert the text subtitle streams of the source to WebVTT renditions (#EXT-X-MEDIA TYPE=SUBTITLES)
+    subtitleFiles: [], // Sidecar subtitles { path, language, label } (.srt/.vtt uploaded with the video)
+    subtitleGroupId: 'subs', // GROUP-ID of the subtitle renditions in the master playlist
+    burnSubtitles: null, // Extra rendition with a subtitle track drawn on the video: source stream position (0:s:<n>) or a language/label
+    encrypt: false, // AES-128 segment encryption, keys served by GET /keys/:videoId/:keyId (not compatible with dash)
+    keyRotationSegments: 0, // Use a new key every N segments (0 = one key for the whole video)
+    keyUrlTemplate: '/keys/{videoId}/{keyId}', // #EXT-X-KEY URI; relative for local videos, prefixed with PUBLIC_BASE_URL when publishing
+    poster: true, // Extract a full-size poster JPEG into <videoId>/thumbs/poster.jpg
+    posterTime: null, // Poster timestamp: seconds, a percentage like '25%', or null for 10% of the duration
+    thumbnailCount: 5, // Evenly spaced thumbnails (thumbs/thumb001.jpg...), 0 to disable
+    thumbnailWidth: 320, // Thumbnail width in pixels (height keeps the aspect ratio)
+    sprite: true, // Scrubbing preview: sprite sheets + thumbs/thumbnails.vtt (#xywh= cues) for the player
+    spriteInterval: 2, // Seconds between sprite frames
+    spriteWidth: 160, // Width of each sprite tile in pixels
+    spriteColumns: 10,
+    spriteRows: 10,
     hlsPlaylistType: 'vod', // 'vod' or 'event'
     copyCodecsThresholdHeight: 720, // Max height to consider copying original codecs (adjust as needed)
     audioCodec: 'aac',
@@ -29,7 +68,9 @@ const defaultHlsOptions = {
     gopSize: 48, // Group of Pictures size (keyframe interval)
     proxyBaseUrlTemplate: 'http://localhost:3000/stream-resource/{basePath}{videoId}/', // Template for master playlist URLs
     masterPlaylistName: 'master.m3u8',
-    segmentNameTemplate: 'segment%03d.ts',
+    dashManifestName: 'manifest.mpd',
+    segmentNameTemplate: 'segment%03d.ts', // The extension becomes .m4s for fMP4 output
+    fmp4InitName: 'init.mp4', // Initialization segment of each fMP4 rendition (#EXT-X-MAP)
     resolutionPlaylistName: 'playlist.m3u8'
 };
 
@@ -55,58 +96,257 @@ const ensureDirExists = async (dirPath) => {
     }
 };
 
+// --- Probing ---
+/**
+ * Runs ffprobe on a media file.
+ * @param {string} inputPath - File to probe
+ * @returns {Promise<object>} - ffprobe data ({ streams, format })
+ */
+const probeMedia = (inputPath) => new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(inputPath, (err, data) => {
+        if (err) return reject(new Error(`ffprobe error: ${err.message}`)); // Wrap error
+        if (!data) return reject(new Error('ffprobe returned no data.'));
+        resolve(data);
+    });
+});
+
+
+// --- Ladder Helpers ---
+// Rough bitrate for a rung without an explicit one: ~0.1 bits per pixel at 30 fps
+const estimateBitrate = (width, height) => `${Math.round(width * height * 3 / 1000)}k`;
+
+// Width for a target height keeping the source aspect ratio, rounded to an even number
+// the same way ffmpeg's `scale=-2:<height>` does (libx264 needs even dimensions)
+const scaledWidth = (sourceWidth, sourceHeight, targetHeight) =>
+    Math.round(targetHeight * sourceWidth / sourceHeight / 2) * 2;
+
+/**
+ * Parses a ladder given as form field ("1080,720:2500k,480") or array ([720, { height: 480, bitrate: '900k' }]).
+ * Heights without a bitrate take the one of the default ladder rung of the same height, if any.
+ * @param {string|Array} value
+ * @returns {Array<{height: number, bitrate?: string}>}
+ * @throws {Error} If a rung is not a valid height/bitrate pair or a height is odd
+ */
+const parseLadder = (value) => {
+    const items = Array.isArray(value) ? value : String(value).split(',').map(item => item.trim()).filter(Boolean);
+    if (items.length === 0) throw new Error('Ladder must contain at least one height.');
+    return items.map(item => {
+        const [heightPart, bitratePart] = typeof item === 'object'
+            ? [item.height, item.bitrate]
+            : String(item).toLowerCase().replace(/p(?=:|$)/, '').split(':');
+        const height = parseInt(heightPart, 10);
+        if (!height || height < 16 || String(height) !== String(heightPart).trim()) {
+            throw new Error(`Invalid ladder height: '${heightPart}'`);
+        }
+        if (height % 2 !== 0) {
+            // scale=-2:<height> would pass it through and libx264 fails mid-job ("height not divisible by 2")
+            throw new Error(`Invalid ladder height: '${heightPart}' (must be even)`);
+        }
+        if (bitratePart !== undefined && !/^\d+k?$/i.test(String(bitratePart).trim())) {
+            throw new Error(`Invalid ladder bitrate for ${height}p: '${bitratePart}'`);
+        }
+        const defaultRung = defaultHlsOptions.ladder.find(r => r.height === height);
+        const bitrate = bitratePart !== undefined ? String(bitratePart).trim() : defaultRung?.bitrate;
+        return bitrate ? { height, bitrate } : { height };
+    });
+};
 
-// --- Helper Function to Process a Single Resolution ---
-const processResolution = (inputPath, outputDir, resolutionInfo, commonOptions, videoId) => {
-    return new Promise(async (resolve, reject) => {
-        const { name, size, bitrate, isOriginal } = resolutionInfo;
-        const {
-            hlsTime, hlsPlaylistType, copyCodecsThresholdHeight,
-            audioCodec, audioBitrate, videoCodec, videoProfile, crf, gopSize,
-            segmentNameTemplate, resolutionPlaylistName
-        } = commonOptions;
+const SEGMENT_TYPES = ['mpegts', 'fmp4'];
+
+// Checkbox-like form fields: "true", "1", "on" or "yes" enable the option
+const parseBooleanField = (value) => ['true', '1', 'on', 'yes'].includes(String(value).toLowerCase());
+
+/**
+ * Validates the key rotation interval.
+ * @param {string|number} value - Segments per key, 0 disables rotation
+ * @returns {number}
+ * @throws {Error} If it is not a non-negative integer
+ */
+const parseKeyRotation = (value) => {
+    const segments = Number(value);
+    if (!Number.isInteger(segments) || segments < 0) {
+        throw new Error(`Invalid key rotation '${value}'. Use a number of segments, 0 to disable.`);
+    }
+    return segments;
+};
 
-        const resOutputDir = path.join(outputDir, name);
-        const playlistPath = path.join(resOutputDir, resolutionPlaylistName);
-        const segmentPath = path.join(resOutputDir, segmentNameTemplate);
-        const bandwidth = parseInt(String(bitrate).replace('k', '')) * 1000 || 500000; // Default if bitrate is invalid
+/**
+ * Validates the segment container type.
+ * @param {string} value - 'mpegts' or 'fmp4'
+ * @returns {string}
+ * @throws {Error} If the type is not supported
+ */
+const parseSegmentType = (value) => {
+    const segmentType = String(value).trim().toLowerCase();
+    if (!SEGMENT_TYPES.includes(segmentType)) {
+        throw new Error(`Invalid segment type '${value}'. Allowed: ${SEGMENT_TYPES.join(', ')}`);
+    }
+    return segmentType;
+};
 
-        await ensureDirExists(resOutputDir);
+/**
+ * Validates a poster timestamp.
+ * @param {string|number} value - Seconds ("12.5") or a percentage of the duration ("25%")
+ * @returns {number|string}
+ * @throws {Error} If it is neither
+ */
+const parsePosterTime = (value) => {
+    const text = String(value).trim();
+    if (/^\d+(\.\d+)?%$/.test(text) && parseFloat(text) <= 100) return text;
+    if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+    throw new Error(`Invalid poster time '${value}'. Use seconds (12.5) or a percentage (25%).`);
+};
 
-        let command = ffmpeg(inputPath);
-        const outputOptions = [];
+/**
+ * Validates the number of thumbnails.
+ * @param {string|number} value
+ * @returns {number}
+ * @throws {Error} If it is not an integer between 0 and 100
+ */
+const parseThumbnailCount = (value) => {
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0 || count > 100) {
+        throw new Error(`Invalid thumbnail count '${value}'. Use an integer between 0 and 100.`);
+    }
+    return count;
+};
 
-        // Determine if we should copy codecs or re-encode
-        const shouldCopyCodecs = isOriginal && parseInt(name) <= copyCodecsThresholdHeight;
+/**
+ * Validates the subtitle track to burn in.
+ * @param {string|number} value - Position among the source subtitle streams ("0"), a language or label ("spa"), or "false"/"none"
+ * @returns {number|string|null} - null disables the burn-in rendition
+ * @throws {Error} If it is none of those
+ */
+const parseBurnSubtitles = (value) => {
+    const text = String(value).trim();
+    if (['false', 'none', 'off'].includes(text.toLowerCase())) return null;
+    if (/^\d+$/.test(text)) return parseInt(text, 10);
+    if (/^[\w .()-]{1,100}$/.test(text)) return text;
+    throw new Error(`Invalid burnSubtitles '${value}'. Use a subtitle stream number (0), a language (spa) or a track label.`);
+};
 
-        if (shouldCopyCodecs) {
-            console.log(`[${videoId}] Segmenting resolution ${name} by copying streams.`);
-            outputOptions.push(
-                '-c:v copy',
-                '-c:a copy'
-            );
-        } else {
-            console.log(`[${videoId}] Re-encoding to ${name}.`);
-            outputOptions.push(
-                `-vf scale=${size}`,
-                `-c:a ${audioCodec}`, `-ar 48000`, `-b:a ${audioBitrate}`, // Audio options
-                `-c:v ${videoCodec}`, `-profile:v ${videoProfile}`, `-crf ${crf}`, `-sc_threshold 0`, // Video options
-                `-g ${gopSize}`, `-keyint_min ${gopSize}`, // Keyframe options
-                `-b:v ${bitrate}`, // Target video bitrate
-                `-maxrate ${Math.floor(bandwidth * 1.2 / 1000)}k`, // Max bitrate
-                `-bufsize ${Math.floor(bandwidth * 1.5 / 1000)}k` // Buffer size
-            );
+/**
+ * Reads the HLS options a client may send as multipart form fields (upload routes).
+ * @param {object} body - req.body filled by multer
+ * @returns {object} - userOptions for convertToHls
+ * @throws {Error} If a field has an invalid value
+ */
+const parseHlsFormOptions = (body = {}) => {
+    const userOptions = {};
+    if (body.ladder) userOptions.ladder = parseLadder(body.ladder);
+    if (body.segmentType) userOptions.segmentType = parseSegmentType(body.segmentType);
+    if (body.dash !== undefined && body.dash !== '') userOptions.dash = parseBooleanField(body.dash);
+    if (body.encrypt !== undefined && body.encrypt !== '') userOptions.encrypt = parseBooleanField(body.encrypt);
+    if (body.iFramePlaylists !== undefined && body.iFramePlaylists !== '') userOptions.iFramePlaylists = parseBooleanField(body.iFramePlaylists);
+    if (body.multiAudio !== undefined && body.multiAudio !== '') userOptions.multiAudio = parseBooleanField(body.multiAudio);
+    if (body.subtitles !== undefined && body.subtitles !== '') userOptions.subtitles = parseBooleanField(body.subtitles);
+    if (body.burnSubtitles !== undefined && body.burnSubtitles !== '') userOptions.burnSubtitles = parseBurnSubtitles(body.burnSubtitles);
+    if (body.keyRotationSegments !== undefined && body.keyRotationSegments !== '') userOptions.keyRotationSegments = parseKeyRotation(body.keyRotationSegments);
+    if (body.posterTime !== undefined && body.posterTime !== '') userOptions.posterTime = parsePosterTime(body.posterTime);
+    if (body.thumbnailCount !== undefined && body.thumbnailCount !== '') userOptions.thumbnailCount = parseThumbnailCount(body.thumbnailCount);
+    return userOptions;
+};
+
+/**
+ * Builds the list of renditions to produce for a source video.
+ * @param {object} options - Merged HLS options (ladder, includeOriginal, resolutions, copyCodecsThresholdHeight)
+ * @param {object} source - { width, height, bitrate } of the original video
+ * @returns {Array<object>} - Renditions { name, size, bitrate, height?, isOriginal? } sorted by height
+ */
+const buildTargetResolutions = (options, source) => {
+    const targetResolutions = options.resolutions.map(r => ({ ...r })); // Fixed-size renditions first (cloned, they get marked below)
+    const originalResName = `${source.height}p`;
+
+    (options.ladder || []).forEach(rung => {
+        const height = parseInt(rung.height, 10);
+        const name = `${height}p`;
+        if (height > source.height) return; // Never upscale
+        if (targetResolutions.some(r => r.name === name)) return;
+        const width = scaledWidth(source.width, source.height, height);
+        targetResolutions.push({ name, height, size: `${width}x${height}`, bitrate: rung.bitrate || estimateBitrate(width, height) });
+    });
+
+    const existingOriginal = targetResolutions.find(r => r.name === originalResName || r.size === `${source.width}x${source.height}`);
+    if (existingOriginal) {
+        // A rung matches the source: mark it as original for potential codec copying
+        existingOriginal.isOriginal = true;
+        if (source.height <= options.copyCodecsThresholdHeight) {
+            existingOriginal.bitrate = source.bitrate; // Copied streams keep the source bitrate
         }
+    } else if (options.includeOriginal || targetResolutions.length === 0) {
+        targetResolutions.push({
+            name: originalResName,
+            size: `${source.width}x${source.height}`,
+            bitrate: source.bitrate,
+            isOriginal: true // Mark as original for potential codec copying
+        });
+    }
 
-        // Common HLS options
-        outputOptions.push(
+    // Sort resolutions by height (numeric part of the name)
+    return targetResolutions.sort((a, b) => parseInt(a.name) - parseInt(b.name));
+};
+
+
+/**
+ * Builds the audio renditions of a source with several audio streams.
+ * @param {Array<object>} audioStreams - ffprobe streams with codec_type 'audio', in input order
+ * @returns {Array<object>} - Tracks { name, streamIndex, label, language, channels, isDefault }
+ */
+const buildAudioTracks = (audioStreams) => {
+    const usedLabels = new Set();
+    const defaultIndex = Math.max(0, audioStreams.findIndex(stream => stream.disposition?.default));
+    return audioStreams.map((stream, index) => {
+        const language = stream.tags?.language && stream.tags.language !== 'und' ? stream.tags.language : null;
+        // NAME must be unique inside the group
+        const baseLabel = stream.tags?.title || language || `Track ${index + 1}`;
+        let label = baseLabel;
+        for (let n = 2; usedLabels.has(label); n++) label = `${baseLabel} (${n})`;
+        usedLabels.add(label);
+        return {
+            name: `audio_${index}`,
+            streamIndex: index,
+            label,
+            language,
+            channels: stream.channels || null,
+            isDefault: index === defaultIndex
+        };
+    });
+};
+
+
+// --- Helper: segment one ffmpeg output into an HLS rendition directory ---
+// Adds the muxer options shared by video and audio renditions (segment length, playlist type,
+// MPEG-TS or fMP4 segments) and reports progress through the hooks.
+// Optional hooks:
+//   onProgress(progress) -> receives { rendition, percent, timemark, done } as ffmpeg reports progress
+//   onCommand(command)   -> receives the running fluent-ffmpeg command (e.g. to kill it on cancellation)
+const runHlsSegmenter = (inputPath, outputDir, name, codecOptions, commonOptions, videoId, hooks = {}) => {
+    return new Promise(async (resolve, reject) => {
+        const { hlsTime, hlsPlaylistType, segmentType, segmentNameTemplate, fmp4InitName, resolutionPlaylistName } = commonOptions;
+        const isFmp4 = segmentType === 'fmp4';
+
+        const resOutputDir = path.join(outputDir, name);
+        const playlistPath = path.join(resOutputDir, resolutionPlaylistName);
+        const segmentPath = path.join(resOutputDir, isFmp4 ? segmentNameTemplate.replace(/\.ts$/, '.m4s') : segmentNameTemplate);
+
+        await ensureDirExists(resOutputDir);
+
+        const outputOptions = [
+            ...codecOptions,
+            // Common HLS options
             `-hls_time ${hlsTime}`,
             `-hls_playlist_type ${hlsPlaylistType}`,
             `-hls_segment_filename ${segmentPath}`
-        );
+        ];
+        if (isFmp4) {
+            // ffmpeg writes the init segment next to the playlist and adds #EXT-X-MAP to it
+            outputOptions.push('-hls_segment_type fmp4', `-hls_fmp4_init_filename ${fmp4InitName}`);
+        }
 
+        const command = ffmpeg(inputPath);
+        // [option, value] entries are passed as two arguments as they are: fluent-ffmpeg splits "option value" strings on spaces
+        outputOptions.forEach(option => (Array.isArray(option) ? command.outputOptions(...option) : command.outputOptions(option)));
         command
-            .outputOptions(outputOptions)
             .output(playlistPath)
             .on('start', (commandLine) => console.log(`[${videoId}] Started processing ${name}: ${commandLine.substring(0, 200)}...`)) // Log shorter command
             .on('progress', (progress) => {
@@ -114,25 +354,113 @@ const processResolution = (inputPath, outputDir, resolutionInfo, commonOptions,
                 if (progress.percent && Math.round(progress.percent) % 10 === 0) {
                      console.log(`[${videoId}] Processing ${name}: ${progress.percent.toFixed(2)}% done`);
                 }
+                if (hooks.onProgress) {
+                    hooks.onProgress({ rendition: name, percent: progress.percent, timemark: progress.timemark, done: false });
+                }
             })
             .on('end', () => {
                 console.log(`[${videoId}] Finished processing ${name}`);
-                resolve({ name, size, bitrate, bandwidth, playlistRelativePath: `${name}/${resolutionPlaylistName}` });
+                if (hooks.onProgress) hooks.onProgress({ rendition: name, percent: 100, done: true });
+                resolve({ playlistRelativePath: `${name}/${resolutionPlaylistName}` });
             })
             .on('error', (err) => {
                 console.error(`[${videoId}] Error processing ${name}:`, err.message);
                 reject(new Error(`Error processing ${name}: ${err.message}`)); // Pass a more informative error
             })
             .run();
+
+        if (hooks.onCommand) hooks.onCommand(command);
     });
 };
 
 
+// --- Helper Function to Process a Single Resolution ---
+// `videoOnly` renditions leave the audio out: it is served by the separate audio renditions.
+// `burnIn` ({ filter, label }) draws a subtitle track on the frames, so it is always re-encoded.
+const processResolution = async (inputPath, outputDir, resolutionInfo, commonOptions, videoId, hooks = {}) => {
+    const { name, size, height, bitrate, isOriginal, sourceCodec = '', videoOnly = false, burnIn = null } = resolutionInfo;
+    const {
+        copyCodecsThresholdHeight,
+        audioCodec, audioBitrate, videoCodec, videoProfile, crf, gopSize, segmentType
+    } = commonOptions;
+    const bandwidth = parseInt(String(bitrate).replace('k', '')) * 1000 || 500000; // Default if bitrate is invalid
+
+    const outputOptions = videoOnly ? ['-map 0:v:0', '-an'] : [];
+
+    // Determine if we should copy codecs or re-encode
+    const shouldCopyCodecs = !burnIn && isOriginal && parseInt(name) <= copyCodecsThresholdHeight;
+
+    if (shouldCopyCodecs) {
+        console.log(`[${videoId}] Segmenting resolution ${name} by copying streams.`);
+        outputOptions.push('-c:v copy');
+        if (!videoOnly) outputOptions.push('-c:a copy');
+    } else {
+        console.log(`[${videoId}] Re-encoding to ${name}.`);
+        // Ladder rungs scale by height only so the source aspect ratio is kept
+        const scaleFilter = height ? `scale=-2:${height}` : `scale=${size}`;
+        outputOptions.push(
+            // Subtitles are drawn after scaling, so libass renders them at the output resolution
+            burnIn ? ['-vf', `${scaleFilter},${burnIn.filter}`] : `-vf ${scaleFilter}`,
+            ...(videoOnly ? [] : [`-c:a ${audioCodec}`, `-ar 48000`, `-b:a ${audioBitrate}`]), // Audio options
+            `-c:v ${videoCodec}`, `-profile:v ${videoProfile}`, `-crf ${crf}`, `-sc_threshold 0`, // Video options
+            `-g ${gopSize}`, `-keyint_min ${gopSize}`, // Keyframe options
+            `-b:v ${bitrate}`, // Target video bitrate
+            `-maxrate ${Math.floor(bandwidth * 1.2 / 1000)}k`, // Max bitrate
+            `-bufsize ${Math.floor(bandwidth * 1.5 / 1000)}k` // Buffer size
+        );
+    }
+    // Apple players only accept HEVC in fMP4 when tagged as hvc1
+    if (segmentType === 'fmp4' && /hevc|265/i.test(shouldCopyCodecs ? sourceCodec : videoCodec)) {
+        outputOptions.push('-tag:v hvc1');
+    }
+
+    const { playlistRelativePath } = await runHlsSegmenter(inputPath, outputDir, name, outputOptions, commonOptions, videoId, hooks);
+    return { name, size, bitrate, bandwidth, playlistRelativePath, burnIn };
+};
+
+
+// --- Helper Function to Process a Single Audio Track ---
+// Encodes one source audio stream (trackInfo.streamIndex = position among the audio streams) to its own rendition.
+const processAudioTrack = async (inputPath, outputDir, trackInfo, commonOptions, videoId, hooks = {}) => {
+    const { name, streamIndex } = trackInfo;
+    const { audioCodec, audioBitrate } = commonOptions;
+    console.log(`[${videoId}] Encoding audio track ${streamIndex} (${trackInfo.language}) to ${name}.`);
+    const outputOptions = [`-map 0:a:${streamIndex}`, '-vn', `-c:a ${audioCodec}`, `-ar 48000`, `-b:a ${audioBitrate}`];
+    const { playlistRelativePath } = await runHlsSegmenter(inputPath, outputDir, name, outputOptions, commonOptions, videoId, hooks);
+    const bandwidth = parseInt(String(audioBitrate).replace('k', '')) * 1000 || 128000;
+    return { ...trackInfo, bandwidth, playlistRelativePath };
+};
+
+
 // --- Main HLS Conversion Function ---
-const convertToHls = (inputPath, { videoId, basePath = '' }, userOptions = {}) => {
+// Optional hooks in the second argument let callers (e.g. the job queue) follow the conversion:
+//   onStage(stage, details) -> 'probing', then 'encoding' with { renditions: [names] } (video and audio renditions)
+//   onProgress(progress)    -> per-rendition progress, see runHlsSegmenter
+//   onCommand(command)      -> every ffmpeg command started, see runHlsSegmenter
+const convertToHls = (inputPath, { videoId, basePath = '', onStage, onProgress, onCommand }, userOptions = {}) => {
     return new Promise(async (resolve, reject) => {
+        if (onStage) onStage('probing');
         // Merge user options with defaults (shallow merge is usually sufficient)
         const options = { ...defaultHlsOptions, ...userOptions };
+        try {
+            options.segmentType = parseSegmentType(options.segmentType);
+            options.keyRotationSegments = parseKeyRotation(options.keyRotationSegments);
+            if (options.encrypt && options.dash) {
+                throw new Error('AES-128 encrypted segments cannot be shared with DASH; disable either encrypt or dash.');
+            }
+            if (options.iFramePlaylists && (options.dash || options.segmentType === 'fmp4')) {
+                throw new Error('I-frame playlists are only supported with MPEG-TS segments; disable dash or use segmentType mpegts.');
+            }
+            if (options.iFramePlaylists && options.encrypt) {
+                throw new Error('I-frame byte ranges cannot be decrypted on their own; disable either iFramePlaylists or encrypt.');
+            }
+        } catch (err) {
+            return reject(err);
+        }
+        if (options.dash && options.segmentType !== 'fmp4') {
+            console.log(`[${videoId}] DASH requested: switching segments to fMP4 so both manifests share them.`);
+            options.segmentType = 'fmp4';
+        }
         const outputDir = path.join(PROCESSED_DIR_UTILS, videoId);
 
         try {
@@ -141,20 +469,22 @@ const convertToHls = (inputPath, { videoId, basePath = '' }, userOptions = {}) =
             return reject(new Error(`Failed to ensure output directory exists: ${err.message}`));
         }
         // --- Get Original Video Info ---
-        let originalWidth, originalHeight, originalBitrateStr;
+        let originalWidth, originalHeight, originalBitrateStr, originalCodec, originalDuration;
+        let audioStreams = [];
+        let subtitleStreams = [];
+        let attachmentStreams = [];
         try {
-            const metadata = await new Promise((resolveMeta, rejectMeta) => {
-                ffmpeg.ffprobe(inputPath, (err, data) => {
-                    if (err) return rejectMeta(new Error(`ffprobe error: ${err.message}`)); // Wrap error
-                    if (!data) return rejectMeta(new Error('ffprobe returned no data.'));
-                    resolveMeta(data);
-                });
-            });
+            const metadata = await probeMedia(inputPath);
 
             const videoStream = metadata.streams?.find(s => s.codec_type === 'video');
             if (!videoStream) throw new Error('No video stream found');
             originalWidth = videoStream.width;
             originalHeight = videoStream.height;
+            originalCodec = videoStream.codec_name;
+            originalDuration = parseFloat(metadata.format?.duration || videoStream.duration) || 0;
+            audioStreams = metadata.streams.filter(s => s.codec_type === 'audio');
+            subtitleStreams = metadata.streams.filter(s => s.codec_type === 'subtitle');
+            attachmentStreams = metadata.streams.filter(s => s.codec_type === 'attachment');
             // Estimate bitrate if not available, ensure it's a string like '5000k'
             originalBitrateStr = videoStream.bit_rate
                 ? `${Math.round(videoStream.bit_rate / 1000)}k`
@@ -162,7 +492,7 @@ const convertToHls = (inputPath, { videoId, basePath = '' }, userOptions = {}) =
                     ? `${Math.round(metadata.format.bit_rate / 1000)}k`
                     : '5000k'; // Fallback bitrate
 
-            console.log(`[${videoId}] Original resolution: ${originalWidth}x${originalHeight}, Bitrate: ${originalBitrateStr}`);
+            console.log(`[${videoId}] Original resolution: ${originalWidth}x${originalHeight}, Bitrate: ${originalBitrateStr}, Audio streams: ${audioStreams.length}`);
 
             if (!originalWidth || !originalHeight) {
                 throw new Error('Could not determine original video dimensions.');
@@ -172,40 +502,78 @@ const convertToHls = (inputPath, { videoId, basePath = '' }, userOptions = {}) =
             return reject(new Error(`Failed to get video metadata: ${err.message}`));
         }
 
-        // --- Prepare Target Resolutions ---
-        let targetResolutions = [...options.resolutions]; // Clone default resolutions
-        const originalResName = `${originalHeight}p`;
-        const originalAlreadyDefined = targetResolutions.some(r => r.name === originalResName);
-
-        // Add original resolution if it's not already defined and different from others
-        if (!originalAlreadyDefined && originalWidth && originalHeight) {
-             // Check if original resolution is significantly different from existing ones
-            const isDifferent = !targetResolutions.some(r => r.size === `${originalWidth}x${originalHeight}`);
-            if (isDifferent) {
-                targetResolutions.push({
-                    name: originalResName,
-                    size: `${originalWidth}x${originalHeight}`,
-                    bitrate: originalBitrateStr,
-                    isOriginal: true // Mark as original for potential codec copying
-                });
-                // Sort resolutions by height (numeric part of the name)
-                targetResolutions.sort((a, b) => parseInt(a.name) - parseInt(b.name));
-            } else {
-                 // If resolution exists, mark it as original if applicable
-                 const existingRes = targetResolutions.find(r => r.size === `${originalWidth}x${originalHeight}`);
-                 if (existingRes) existingRes.isOriginal = true;
+        // --- Burn-in Subtitle Track ---
+        // Resolved before encoding starts: a track that does not exist fails the job right away
+        let burnInTrack = null;
+        if (options.burnSubtitles !== null && options.burnSubtitles !== undefined) {
+            burnInTrack = selectBurnInTrack(buildSubtitleTracks(subtitleStreams, options.subtitleFiles || []), options.burnSubtitles);
+            if (!burnInTrack) {
+                return reject(new Error(`No text subtitle track matches burnSubtitles '${options.burnSubtitles}'.`));
+            }
+        }
+
+        // --- Poster & Thumbnails ---
+        // Not fatal: a video without previews is still playable
+        let thumbs = { poster: null, thumbnails: [] };
+        if ((options.poster || options.thumbnailCount > 0) && originalDuration > 0) {
+            try {
+                thumbs = await generateThumbnails(inputPath, outputDir, originalDuration, options, videoId, { onCommand });
+            } catch (err) {
+                console.warn(`[${videoId}] Thumbnail extraction failed, continuing without previews:`, err.message);
             }
         }
+
+        // --- Prepare Target Resolutions ---
+        const targetResolutions = buildTargetResolutions(options, {
+            width: originalWidth,
+            height: originalHeight,
+            bitrate: originalBitrateStr
+        });
+        // Burn-in rendition: a copy of the top rendition with the subtitles drawn on it, for players without soft subtitles
+        if (burnInTrack) {
+            const top = targetResolutions[targetResolutions.length - 1];
+            const [width, height] = top.size.split('x').map(Number);
+            targetResolutions.push({
+                name: `${top.name}-burnin`,
+                size: top.size,
+                height: top.height,
+                bitrate: top.isOriginal ? estimateBitrate(width, height) : top.bitrate, // Copied renditions have no target bitrate
+                burnIn: {
+                    filter: buildBurnInFilter(inputPath, burnInTrack),
+                    label: `${top.name} - ${burnInTrack.label} (burned-in subtitles)`,
+                    language: burnInTrack.language
+                }
+            });
+        }
          console.log(`[${videoId}] Target resolutions:`, targetResolutions.map(r => r.name));
+        // A single audio stream stays muxed in the video renditions
+        const audioTracks = options.multiAudio && audioStreams.length > 1 ? buildAudioTracks(audioStreams) : [];
+        if (audioTracks.length > 0) {
+            console.log(`[${videoId}] Audio renditions:`, audioTracks.map(t => `${t.name} (${t.label})`));
+        }
+        if (onStage) onStage('encoding', { renditions: [...targetResolutions, ...audioTracks].map(r => r.name) });
 
+        // --- Sprite Sheet (runs alongside the renditions, not fatal) ---
+        const spritePromise = options.sprite && originalDuration > 0
+            ? generateSpriteSheet(inputPath, outputDir, { width: originalWidth, height: originalHeight, duration: originalDuration }, options, videoId, { onCommand })
+                .catch(err => {
+                    console.warn(`[${videoId}] Sprite sheet failed, continuing without scrubbing previews:`, err.message);
+                    return null;
+                })
+            : Promise.resolve(null);
 
         // --- Process Resolutions Concurrently ---
         const processingPromises = targetResolutions.map(resInfo =>
-            processResolution(inputPath, outputDir, resInfo, options, videoId)
+            processResolution(inputPath, outputDir, { ...resInfo, sourceCodec: originalCodec, videoOnly: audioTracks.length > 0 }, options, videoId, { onProgress, onCommand })
+        );
+        const audioPromises = audioTracks.map(track =>
+            processAudioTrack(inputPath, outputDir, track, options, videoId, { onProgress, onCommand })
         );
 
         try {
             const results = await Promise.allSettled(processingPromises);
+            const audioResults = await Promise.allSettled(audioPromises);
+            const spriteVtt = await spritePromise;
 
             // Filter out successful results and check for failures
             const successfulResults = [];
@@ -224,35 +592,166 @@ const convertToHls = (inputPath, { videoId, basePath = '' }, userOptions = {}) =
                 throw new Error(`HLS conversion failed for ${errors.length} resolution(s).`);
             }
 
+            const audioErrors = audioResults.filter(result => result.status === 'rejected');
+            audioErrors.forEach(result => console.error(`[${videoId}] An audio track processing task failed:`, result.reason.message || result.reason));
+            if (audioErrors.length > 0) {
+                throw new Error(`HLS conversion failed for ${audioErrors.length} audio track(s).`);
+            }
+            const audioRenditions = audioResults.map(result => result.value);
+
             if (successfulResults.length === 0) {
                  throw new Error(`HLS conversion resulted in no successful resolutions.`);
             }
 
+            // --- I-frame Playlists (trick play) ---
+            if (options.iFramePlaylists) {
+                for (const res of successfulResults.filter(res => !res.burnIn)) {
+                    const iFrames = await writeIFramePlaylist(path.join(outputDir, res.playlistRelativePath), options.iFramePlaylistName);
+                    res.iFrameBandwidth = iFrames.bandwidth;
+                    res.iFramePlaylistRelativePath = `${res.name}/${options.iFramePlaylistName}`;
+                    console.log(`[${videoId}] I-frame playlist for ${res.name}: ${iFrames.count} keyframes`);
+                }
+            }
+
+            // --- Subtitle Renditions (segmented WebVTT, not fatal) ---
+            // Runs before encryption: the cue timestamps are mapped to the PTS of the first video segment
+            const subtitleRenditions = [];
+            const subtitleTracks = buildSubtitleTracks(options.subtitles ? subtitleStreams : [], options.subtitleFiles || []);
+            if (subtitleTracks.length > 0) {
+                const timestampOffset = options.segmentType === 'fmp4'
+                    ? 0 // fMP4 renditions start at decode time 0
+                    : await getTimestampOffset(path.join(outputDir, successfulResults[0].playlistRelativePath));
+                for (const track of subtitleTracks) {
+                    try {
+                        subtitleRenditions.push(await processSubtitleTrack(inputPath, outputDir, track,
+                            { ...options, duration: originalDuration, timestampOffset }, videoId, { onCommand }));
+                    } catch (err) {
+                        console.warn(`[${videoId}] Subtitles ${track.name} (${track.label}) failed, skipping them:`, err.message);
+                    }
+                }
+            }
+
+            // --- Embedded ASS Tracks (kept with their styles for JASSUB, not fatal) ---
+            let assTracks = [];
+            if (options.subtitles) {
+                try {
+                    assTracks = await preserveAssTracks(inputPath, outputDir, subtitleStreams, videoId, { onCommand });
+                } catch (err) {
+                    console.warn(`[${videoId}] Could not preserve the ASS tracks:`, err.message);
+                }
+            }
+
+            // --- Font Attachments (used by the ASS tracks, not fatal) ---
+            let fonts = [];
+            if (options.subtitles && attachmentStreams.length > 0) {
+                try {
+                    fonts = await extractFontAttachments(inputPath, outputDir, attachmentStreams, videoId, { onCommand });
+                } catch (err) {
+                    console.warn(`[${videoId}] Could not extract the font attachments:`, err.message);
+                }
+            }
+
+            // --- Encrypt Segments (AES-128) ---
+            // Done once every rendition is segmented, so keys rotate exactly every keyRotationSegments segments
+            if (options.encrypt) {
+                const keyStore = await createKeyStore(videoId, options);
+                for (const res of [...successfulResults, ...audioRenditions]) {
+                    const count = await encryptRendition(path.join(outputDir, res.playlistRelativePath), keyStore);
+                    console.log(`[${videoId}] Encrypted ${count} segments of ${res.name}`);
+                }
+            }
+
             // --- Create Master Playlist ---
             const newbasePath = basePath ? basePath.endsWith('/') ? basePath : `${basePath}/` : '';
             const proxyBaseUrl = options.proxyBaseUrlTemplate.replace('{videoId}', videoId).replace('{basePath}',newbasePath);
-            let masterPlaylistContent = '#EXTM3U\n#EXT-X-VERSION:3\n';
+            // fMP4 segments (#EXT-X-MAP) need protocol version 7, I-frame playlists (byte ranges) version 4
+            const playlistVersion = options.segmentType === 'fmp4' ? 7 : options.iFramePlaylists ? 4 : 3;
+            let masterPlaylistContent = `#EXTM3U\n#EXT-X-VERSION:${playlistVersion}\n`;
 
             // Sort successful results by bandwidth before adding to master playlist
-            successfulResults.sort((a, b) => a.bandwidth - b.bandwidth);
+            // The burn-in rendition goes last: players that sort variants by bandwidth keep it above the others
+            successfulResults.sort((a, b) => Boolean(a.burnIn) - Boolean(b.burnIn) || a.bandwidth - b.bandwidth);
+
+            // Audio renditions: every variant references the group and its BANDWIDTH includes the largest one
+            const audioGroupAttribute = audioRenditions.length > 0 ? `,AUDIO="${options.audioGroupId}"` : '';
+            const audioBandwidth = Math.max(0, ...audioRenditions.map(track => track.bandwidth));
+            audioRenditions.forEach(track => {
+                const attributes = [
+                    'TYPE=AUDIO',
+                    `GROUP-ID="${options.audioGroupId}"`,
+                    `NAME="${track.label.replace(/"/g, "'")}"`,
+                    ...(track.language ? [`LANGUAGE="${track.language}"`] : []),
+                    `DEFAULT=${track.isDefault ? 'YES' : 'NO'}`,
+                    'AUTOSELECT=YES',
+                    ...(track.channels ? [`CHANNELS="${track.channels}"`] : []),
+                    `URI="${proxyBaseUrl}${track.playlistRelativePath}"`
+                ];
+                masterPlaylistContent += `#EXT-X-MEDIA:${attributes.join(',')}\n`;
+            });
+
+            const subtitleGroupAttribute = subtitleRenditions.length > 0 ? `,SUBTITLES="${options.subtitleGroupId}"` : '';
+            subtitleRenditions.forEach(track => {
+                const attributes = [
+                    'TYPE=SUBTITLES',
+                    `GROUP-ID="${options.subtitleGroupId}"`,
+                    `NAME="${track.label.replace(/"/g, "'")}"`,
+                    ...(track.language ? [`LANGUAGE="${track.language}"`] : []),
+                    `DEFAULT=${track.isDefault ? 'YES' : 'NO'}`,
+                    'AUTOSELECT=YES',
+                    `FORCED=${track.isForced ? 'YES' : 'NO'}`,
+                    `URI="${proxyBaseUrl}${track.playlistRelativePath}"`
+                ];
+                masterPlaylistContent += `#EXT-X-MEDIA:${attributes.join(',')}\n`;
+            });
 
             successfulResults.forEach(res => {
                 const newrelativepath = `${proxyBaseUrl}${res.playlistRelativePath}\n`; // Use relative path from helper
-                masterPlaylistContent += `#EXT-X-STREAM-INF:BANDWIDTH=${res.bandwidth},RESOLUTION=${res.size}\n`;
+                // Only the burn-in rendition has a NAME, which players show in their quality menu
+                const nameAttribute = res.burnIn ? `,NAME="${res.burnIn.label.replace(/"/g, "'")}"` : '';
+                masterPlaylistContent += `#EXT-X-STREAM-INF:BANDWIDTH=${res.bandwidth + audioBandwidth},RESOLUTION=${res.size}${nameAttribute}${audioGroupAttribute}${subtitleGroupAttribute}\n`;
                 masterPlaylistContent += newrelativepath;
                 console.log("newrelativepath",newrelativepath)
             });
+            successfulResults.filter(res => res.iFramePlaylistRelativePath).forEach(res => {
+                masterPlaylistContent += `#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=${res.iFrameBandwidth},RESOLUTION=${res.size},URI="${proxyBaseUrl}${res.iFramePlaylistRelativePath}"\n`;
+            });
 
             const masterPlaylistPath = path.join(outputDir, options.masterPlaylistName);
             await fs.writeFile(masterPlaylistPath, masterPlaylistContent);
             console.log(`[${videoId}] Master playlist created successfully: ${masterPlaylistPath}`);
 
+            // --- Create DASH Manifest (same fMP4 segments) ---
+            let dashManifestPath = null;
+            if (options.dash) {
+                // The burn-in rendition stays out: DASH players switch freely between the representations of a set
+                dashManifestPath = await writeDashManifest(outputDir, successfulResults.filter(res => !res.burnIn), {
+                    manifestName: options.dashManifestName,
+                    minBufferTime: options.hlsTime,
+                    audioTracks: audioRenditions,
+                    subtitleTracks: subtitleRenditions
+                });
+                console.log(`[${videoId}] DASH manifest created successfully: ${dashManifestPath}`);
+            }
+
             // Resolve with the path to the master playlist or a relevant URL
             resolve({
                 message: 'HLS conversion successful',
                 outputDir: outputDir, // Directory containing all HLS files
                 masterPlaylistPath: masterPlaylistPath, // Local path to master playlist
-                masterPlaylistUrl: `${proxyBaseUrl}${options.masterPlaylistName}` // URL via proxy
+                masterPlaylistUrl: `${proxyBaseUrl}${options.masterPlaylistName}`, // URL via proxy
+                dashManifestPath, // null unless options.dash
+                dashManifestUrl: dashManifestPath ? `${proxyBaseUrl}${options.dashManifestName}` : null,
+                posterUrl: thumbs.poster ? `${proxyBaseUrl}${thumbs.poster}` : null,
+                thumbnails: thumbs.thumbnails.map(thumb => `${proxyBaseUrl}${thumb}`),
+                thumbnailsVttUrl: spriteVtt ? `${proxyBaseUrl}${spriteVtt}` : null,
+                audioTracks: audioRenditions.map(({ name, label, language, isDefault }) => ({ name, label, language, isDefault })),
+                subtitles: subtitleRenditions.map(({ name, label, language, isDefault, vttRelativePath }) =>
+                    ({ name, label, language, isDefault, vttUrl: `${proxyBaseUrl}${vttRelativePath}` })),
+                assTracks: assTracks.map(({ id, label, language, isDefault, fileName }) =>
+                    ({ id, label, language, isDefault, url: `${proxyBaseUrl}${ASS_DIR_NAME}/${fileName}` })),
+                fonts: fonts.map(({ fileName, names }) => ({ fileName, names, url: `${proxyBaseUrl}${FONTS_DIR_NAME}/${fileName}` })),
+                burnIn: successfulResults.filter(res => res.burnIn).map(res =>
+                    ({ name: res.name, label: res.burnIn.label, language: res.burnIn.language, playlistUrl: `${proxyBaseUrl}${res.playlistRelativePath}` }))[0] || null
             });
 
         } catch (error) {
@@ -266,7 +765,17 @@ const convertToHls = (inputPath, { videoId, basePath = '' }, userOptions = {}) =
 
 module.exports = {
     ensureDirExists,
+    probeMedia,
     convertToHls,
+    parseLadder,
+    parseHlsFormOptions,
+    parseBooleanField,
+    parseSegmentType,
+    parseKeyRotation,
+    parsePosterTime,
+    parseThumbnailCount,
+    parseBurnSubtitles,
+    defaultHlsOptions,
     // No longer exporting PROCESSED_DIR from here
     VIDEOS_DIR: VIDEOS_DIR_UTILS, // Export the correctly defined path
     VIDEOS_DIR_ROOT: VIDEOS_DIR_UTILS
@@ -0,0 +1,153 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+// --- I-frame-only playlists (#EXT-X-I-FRAMES-ONLY) for trick play ---
+// Each entry is the byte range of one keyframe inside an MPEG-TS segment. Keyframes are found by
+// scanning the TS packets: ffmpeg's muxer sets the random access indicator on the packet that starts
+// a keyframe PES, and the PES header carries its PTS.
+
+const TS_PACKET_SIZE = 188;
+const VIDEO_STREAM_TYPES = [0x01, 0x02, 0x10, 0x1b, 0x24]; // MPEG-1/2, MPEG-4, H.264, HEVC
+const PTS_CLOCK = 90000;
+
+const readPts = (buffer, offset) =>
+    ((buffer[offset] >> 1) & 0x07) * 2 ** 30 +
+    (buffer[offset + 1] << 22) +
+    ((buffer[offset + 2] >> 1) << 15) +
+    (buffer[offset + 3] << 7) +
+    (buffer[offset + 4] >> 1);
+
+/**
+ * Finds the keyframes of the video stream of an MPEG-TS segment.
+ * @param {Buffer} segment - Contents of a .ts file
+ * @returns {Array<{offset: number, length: number, pts: number}>} - Byte range of each keyframe PES
+ */
+const scanKeyframes = (segment) => {
+    let pmtPid = null;
+    let videoPid = null;
+    let pendingTables = 0; // PAT/PMT packets right before a keyframe are included in its range
+    const keyframes = [];
+    let current = null;
+
+    for (let offset = 0; offset + TS_PACKET_SIZE <= segment.length; offset += TS_PACKET_SIZE) {
+        if (segment[offset] !== 0x47) throw new Error(`Lost MPEG-TS sync at byte ${offset}`);
+        const pid = ((segment[offset + 1] & 0x1f) << 8) | segment[offset + 2];
+        const payloadStart = (segment[offset + 1] & 0x40) !== 0;
+        const adaptationControl = (segment[offset + 3] >> 4) & 0x03;
+        let payload = offset + 4;
+        let randomAccess = false;
+        if (adaptationControl & 0x02) {
+            const adaptationLength = segment[offset + 4];
+            randomAccess = adaptationLength > 0 && (segment[offset + 5] & 0x40) !== 0;
+            payload += 1 + adaptationLength;
+        }
+
+        if (pid === 0 && payloadStart) {
+            // PAT: first program -> PMT PID
+            const table = payload + 1 + segment[payload];
+            const sectionLength = ((segment[table + 1] & 0x0f) << 8) | segment[table + 2];
+            for (let entry = table + 8; entry < table + 3 + sectionLength - 4; entry += 4) {
+                if (segment.readUInt16BE(entry) !== 0) {
+                    pmtPid = segment.readUInt16BE(entry + 2) & 0x1fff;
+                    break;
+                }
+            }
+            pendingTables = pendingTables || offset + 1;
+            continue;
+        }
+        if (pid === pmtPid && payloadStart) {
+            // PMT: first video elementary stream
+            const table = payload + 1 + segment[payload];
+            const sectionLength = ((segment[table + 1] & 0x0f) << 8) | segment[table + 2];
+            const programInfoLength = ((segment[table + 10] & 0x0f) << 8) | segment[table + 11];
+            for (let stream = table + 12 + programInfoLength; stream < table + 3 + sectionLength - 4;) {
+                const esInfoLength = ((segment[stream + 3] & 0x0f) << 8) | segment[stream + 4];
+                if (videoPid === null && VIDEO_STREAM_TYPES.includes(segment[stream])) {
+                    videoPid = segment.readUInt16BE(stream + 1) & 0x1fff;
+                }
+                stream += 5 + esInfoLength;
+            }
+            continue;
+        }
+        if (pid !== videoPid) {
+            if (pid !== 0 && pid !== pmtPid) pendingTables = 0;
+            continue;
+        }
+
+        if (payloadStart) {
+            // A new video PES ends the keyframe being measured
+            if (current) {
+                current.length = offset - current.offset;
+                keyframes.push(current);
+                current = null;
+            }
+            const hasPts = segment[payload] === 0 && segment[payload + 1] === 0 && segment[payload + 2] === 1 &&
+                (segment[payload + 7] & 0x80) !== 0;
+            if (randomAccess && hasPts) {
+                current = { offset: pendingTables ? pendingTables - 1 : offset, length: 0, pts: readPts(segment, payload + 9) };
+            }
+        }
+        pendingTables = 0;
+    }
+    if (current) {
+        current.length = segment.length - current.offset;
+        keyframes.push(current);
+    }
+    return keyframes;
+};
+
+/**
+ * Writes the I-frame playlist of a finished MPEG-TS rendition.
+ * @param {string} playlistPath - Path to the rendition playlist.m3u8
+ * @param {string} iFramePlaylistName - File name of the I-frame playlist, written next to it
+ * @returns {Promise<{playlistPath: string, bandwidth: number, count: number}>} - bandwidth is the peak bits/s of the I-frames
+ */
+const writeIFramePlaylist = async (playlistPath, iFramePlaylistName) => {
+    const renditionDir = path.dirname(playlistPath);
+    const lines = (await fs.readFile(playlistPath, 'utf8')).split(/\r?\n/).map(line => line.trim());
+    const segments = [];
+    lines.forEach((line, index) => {
+        if (line.startsWith('#EXTINF:')) segments.push({ uri: lines[index + 1], duration: parseFloat(line.slice(8)) });
+    });
+    if (segments.length === 0) throw new Error(`${playlistPath} has no segments`);
+
+    const iFrames = [];
+    for (const segment of segments) {
+        const keyframes = scanKeyframes(await fs.readFile(path.join(renditionDir, segment.uri)));
+        keyframes.forEach(keyframe => iFrames.push({ ...keyframe, uri: segment.uri }));
+    }
+    if (iFrames.length === 0) throw new Error(`No keyframes found in ${playlistPath}`);
+
+    // Each I-frame lasts until the next one; the last one until the end of the rendition
+    const totalDuration = segments.reduce((sum, segment) => sum + segment.duration, 0);
+    const endPts = iFrames[0].pts + totalDuration * PTS_CLOCK;
+    let bandwidth = 0;
+    let targetDuration = 1;
+    const entries = iFrames.map((iFrame, index) => {
+        const nextPts = index + 1 < iFrames.length ? iFrames[index + 1].pts : endPts;
+        const duration = Math.max(0.001, (nextPts - iFrame.pts) / PTS_CLOCK);
+        bandwidth = Math.max(bandwidth, Math.ceil(iFrame.length * 8 / duration));
+        targetDuration = Math.max(targetDuration, Math.ceil(duration));
+        return `#EXTINF:${duration.toFixed(6)},\n#EXT-X-BYTERANGE:${iFrame.length}@${iFrame.offset}\n${iFrame.uri}`;
+    });
+
+    const content = [
+        '#EXTM3U',
+        '#EXT-X-VERSION:4', // EXT-X-BYTERANGE and EXT-X-I-FRAMES-ONLY
+        `#EXT-X-TARGETDURATION:${targetDuration}`,
+        '#EXT-X-MEDIA-SEQUENCE:0',
+        '#EXT-X-PLAYLIST-TYPE:VOD',
+        '#EXT-X-I-FRAMES-ONLY',
+        ...entries,
+        '#EXT-X-ENDLIST',
+        ''
+    ].join('\n');
+    const iFramePlaylistPath = path.join(renditionDir, iFramePlaylistName);
+    await fs.writeFile(iFramePlaylistPath, content);
+    return { playlistPath: iFramePlaylistPath, bandwidth, count: iFrames.length };
+};
+
+module.exports = {
+    writeIFramePlaylist,
+    scanKeyframes
+};
@@ -0,0 +1,217 @@
+const path = require('path');
+const fs = require('fs');
+const dns = require('dns').promises;
+const net = require('net');
+const axios = require('axios');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const b2 = require('../back.js');
+const { probeMedia } = require('./hls');
+
+// --- Imports from a URL or B2 (POST /import) ---
+// The route only validates the request; the download and the ffprobe check run as the 'downloading'
+// stage of the hls / b2-hls job (see utils/jobs.js), so a slow source never holds an HTTP request open.
+const TEMP_UPLOAD_DIR = path.resolve(__dirname, '..', 'temp_uploads');
+const DEFAULT_MAX_SIZE = 20 * 1024 * 1024 * 1024; // 20GB
+const RESPONSE_TIMEOUT_MS = 30000; // Time for the source server to start answering
+const IDLE_TIMEOUT_MS = 60000; // Longest pause allowed between two chunks of the body
+const MAX_REDIRECTS = 5;
+const PROGRESS_INTERVAL_MS = 1000;
+
+const getMaxImportSize = () => parseInt(process.env.IMPORT_MAX_SIZE, 10) || DEFAULT_MAX_SIZE;
+
+// Error with the HTTP status the route answers with (also used by the global error handler)
+const importError = (status, message) => Object.assign(new Error(message), { status });
+
+// Addresses a URL import may not reach: loopback, private networks, link-local (cloud metadata at
+// 169.254.169.254), CGNAT, IETF protocol assignments, benchmarking, multicast and reserved. BlockList applies
+// the IPv4 rules to IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) too; ::/96 covers the deprecated
+// IPv4-compatible form. NAT64 (64:ff9b::/96, 64:ff9b:1::/48) and 6to4 (2002::/16) addresses embed an IPv4
+// address the gateway would connect to, so they are refused whole rather than decoded
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 96], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * Resolves a host name and refuses it if any of its addresses is private or local.
+ * Also used as the `lookup` of every download request, so redirects and DNS changes after the check are covered.
+ * @param {string} hostname - Host name or IP literal (IPv6 with or without brackets)
+ * @returns {Promise<Array<{address: string, family: number}>>}
+ * @throws {Error} 400 if the host cannot be resolved or is not public
+ */
+const resolvePublicHost = async (hostname) => {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = await dns.lookup(host, { all: true });
+    } catch (error) {
+        throw importError(400, `Could not resolve host '${host}'.`);
+    }
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+        throw importError(400, `Host '${host}' resolves to a private or local address.`);
+    }
+    return addresses;
+};
+
+/**
+ * Checks that a string is an http(s) URL whose host resolves to public addresses only.
+ * @param {string} url
+ * @returns {Promise<URL>}
+ * @throws {Error} 400 otherwise
+ */
+const assertPublicUrl = async (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw importError(400, `Invalid url '${url}'.`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw importError(400, 'Only http and https URLs can be imported.');
+    }
+    await resolvePublicHost(parsed.hostname);
+    return parsed;
+};
+
+// Opens an http(s) URL, following redirects one hop at a time so each new location is checked again
+const openUrl = async (url, signal) => {
+    let current = await assertPublicUrl(url);
+    for (let redirects = 0; ; redirects++) {
+        const response = await axios.get(current.href, {
+            responseType: 'stream',
+            timeout: RESPONSE_TIMEOUT_MS,
+            signal,
+            maxRedirects: 0,
+            proxy: false, // The lookup guard has to see the real destination
+            lookup: resolvePublicHost, // Must stay an async function: axios treats other functions as callback-style
+            validateStatus: status => status >= 200 && status < 400
+        });
+        if (response.status < 300) return response;
+        response.data.destroy();
+        if (!response.headers.location) throw new Error(`HTTP ${response.status} without a Location header`);
+        if (redirects >= MAX_REDIRECTS) throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+        current = await assertPublicUrl(new URL(response.headers.location, current).href);
+    }
+};
+
+const openSource = async (source, signal) => {
+    if (source.url) {
+        try {
+            return await openUrl(source.url, signal);
+        } catch (error) {
+            if (axios.isCancel(error) || (error.status && !axios.isAxiosError(error))) throw error; // Refused host
+            // Only the status or the error code: network details of the source stay in the server log
+            const reason = error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+            console.error(`[Import] Could not download ${source.url}:`, error.message);
+            throw new Error(`Could not download ${source.url}: ${reason}`);
+        }
+    }
+    try {
+        return await b2.openDownloadStream(process.env.B2_BUCKET_NAME, source.b2FileName, { signal });
+    } catch (error) {
+        if (axios.isCancel(error)) throw error;
+        if (error.response?.status === 404) throw importError(404, `B2 file not found: ${source.b2FileName}`);
+        throw new Error(`Could not download ${source.b2FileName} from B2: ${error.response ? `HTTP ${error.response.status}` : error.message}`);
+    }
+};
+
+/**
+ * Streams an import source to disk. The body is aborted when it goes IDLE_TIMEOUT_MS without data
+ * or grows past IMPORT_MAX_SIZE.
+ * @param {object} source - { url } or { b2FileName }
+ * @param {string} destination - File to write
+ * @param {object} options
+ * @param {AbortSignal} options.signal - Stops the download (job cancelled)
+ * @param {function({received: number, total: number|null}): void} [options.onProgress] - At most once per second
+ * @returns {Promise<number>} - Bytes written
+ */
+const downloadSource = async (source, destination, { signal, onProgress } = {}) => {
+    const maxSize = getMaxImportSize();
+    const response = await openSource(source, signal);
+    const total = Number(response.headers['content-length']) || null;
+    if (total > maxSize) {
+        response.data.destroy();
+        throw importError(413, `The source is larger than the maximum import size (${maxSize} bytes).`);
+    }
+
+    let received = 0;
+    let lastProgressAt = 0;
+    let reported = null; // Bytes in the last progress report
+    let idleTimer = null;
+    const watchdog = new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            if (received > maxSize) {
+                return callback(importError(413, `The source is larger than the maximum import size (${maxSize} bytes).`));
+            }
+            armIdleTimer();
+            if (onProgress && Date.now() - lastProgressAt >= PROGRESS_INTERVAL_MS) {
+                lastProgressAt = Date.now();
+                reported = received;
+                onProgress({ received, total });
+            }
+            callback(null, chunk);
+        }
+    });
+    const armIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+            watchdog.destroy(new Error(`No data received for ${IDLE_TIMEOUT_MS / 1000}s`));
+        }, IDLE_TIMEOUT_MS);
+    };
+
+    const name = source.url || source.b2FileName;
+    armIdleTimer();
+    try {
+        await pipeline(response.data, watchdog, fs.createWriteStream(destination));
+    } catch (error) {
+        if (error.status || signal?.aborted) throw error;
+        throw new Error(`Download of ${name} was interrupted: ${error.message}`);
+    } finally {
+        clearTimeout(idleTimer);
+    }
+    if (onProgress && reported !== received) onProgress({ received, total });
+    return received;
+};
+
+/**
+ * Rejects files ffprobe cannot read or that have no real video stream (cover art does not count).
+ * @param {string} filePath
+ * @returns {Promise<{width: number, height: number, codec: string, duration: number|null}>}
+ */
+const validateVideo = async (filePath) => {
+    let metadata;
+    try {
+        metadata = await probeMedia(filePath);
+    } catch (error) {
+        // ffprobe output names local paths: log it, do not hand it to the client
+        console.error(`[Import] ffprobe could not read ${filePath}:`, error.message);
+        throw importError(400, 'The source is not a readable media file.');
+    }
+    const videoStream = metadata.streams?.find(s => s.codec_type === 'video' && s.width && s.height && !s.disposition?.attached_pic);
+    if (!videoStream) throw importError(400, 'The source has no video stream.');
+    return {
+        width: videoStream.width,
+        height: videoStream.height,
+        codec: videoStream.codec_name,
+        duration: parseFloat(metadata.format?.duration) || null
+    };
+};
+
+// Where the bytes of an import land until they pass the ffprobe check
+const getDownloadPath = (inputPath) => path.join(TEMP_UPLOAD_DIR, `${path.basename(inputPath)}.part`);
+
+module.exports = {
+    assertPublicUrl,
+    downloadSource,
+    validateVideo,
+    getDownloadPath,
+    TEMP_UPLOAD_DIR
+};
@@ -0,0 +1,263 @@
+const path = require('path');
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const { getStorage } = require('../lib/storage');
+const { convertToHls, defaultHlsOptions } = require('./hls');
+const { removeVideoKeys, toAbsoluteKeyUrlTemplate } = require('./encryption');
+const { downloadSource, validateVideo, getDownloadPath } = require('./import');
+
+const PROCESSED_DIR_ROOT = path.resolve(__dirname, '..', 'processed_videos');
+
+// --- Job Hooks ---
+// Builds the convertToHls hooks that turn ffmpeg progress into job state:
+// { percent, eta (seconds), renditions: { '720p': { percent, done } } }
+// and kill the ffmpeg commands when the job is cancelled.
+const createJobHooks = (ctx) => {
+    const progress = { percent: 0, eta: null, renditions: {} };
+    let encodingStartedAt = null;
+
+    const onStage = (stage, details = {}) => {
+        if (stage === 'encoding') {
+            encodingStartedAt = Date.now();
+            (details.renditions || []).forEach(name => {
+                progress.renditions[name] = { percent: 0, done: false };
+            });
+        }
+        ctx.setState(stage, { progress });
+    };
+
+    const onProgress = ({ rendition, percent, done }) => {
+        if (typeof percent !== 'number' || Number.isNaN(percent)) return; // ffmpeg may not know the duration
+        progress.renditions[rendition] = {
+            percent: Math.min(100, Math.round(percent * 10) / 10),
+            done: Boolean(done)
+        };
+        if (done) ctx.emitEvent('rendition', { name: rendition });
+        const values = Object.values(progress.renditions);
+        progress.percent = Math.round(values.reduce((sum, r) => sum + r.percent, 0) / values.length * 10) / 10;
+        // Linear estimate from elapsed encoding time
+        if (encodingStartedAt && progress.percent > 0 && progress.percent < 100) {
+            const elapsed = (Date.now() - encodingStartedAt) / 1000;
+            progress.eta = Math.round(elapsed * (100 - progress.percent) / progress.percent);
+        } else if (progress.percent >= 100) {
+            progress.eta = 0;
+        }
+        ctx.setProgress(progress);
+    };
+
+    const onCommand = (command) => {
+        const kill = () => command.kill('SIGKILL');
+        if (ctx.isCancelled()) return kill(); // Cancelled while probing: stop it right away
+        ctx.onCancel(kill);
+    };
+
+    return { onStage, onProgress, onCommand, progress };
+};
+
+const throwIfCancelled = (ctx, videoId) => {
+    if (ctx.isCancelled()) throw new Error(`[${videoId}] Job cancelled`);
+};
+
+// --- Job Stage: import download (POST /import) ---
+// payload.source: { url } or { b2FileName }. The file is downloaded to temp_uploads/<name>.part and only
+// moved to inputPath once ffprobe accepts it, so a retry after a failed download starts it again.
+// Returns the probed { width, height, codec, duration }.
+const fetchImportSource = async (job, ctx) => {
+    const { inputPath, videoId, source } = job.payload;
+    let video;
+    if (fs.existsSync(inputPath)) {
+        video = await validateVideo(inputPath); // Retry of a job whose conversion failed
+    } else {
+        await ctx.setState('downloading');
+        const downloadPath = getDownloadPath(inputPath);
+        const abortDownload = new AbortController();
+        ctx.onCancel(() => abortDownload.abort());
+        try {
+            throwIfCancelled(ctx, videoId);
+            await fsPromises.mkdir(path.dirname(downloadPath), { recursive: true });
+            console.log(`[Import] Downloading ${source.url || source.b2FileName} for ${videoId}`);
+            await downloadSource(source, downloadPath, {
+                signal: abortDownload.signal,
+                onProgress: ({ received, total }) => ctx.emitEvent('download', { received, total })
+            });
+            throwIfCancelled(ctx, videoId);
+            video = await validateVideo(downloadPath);
+            await fsPromises.mkdir(path.dirname(inputPath), { recursive: true });
+            await fsPromises.rename(downloadPath, inputPath);
+        } catch (error) {
+            // Nothing will process a partial or rejected download
+            await fsPromises.rm(downloadPath, { force: true });
+            throw error;
+        }
+    }
+    console.log(`[Import] ${videoId} ready (${video.width}x${video.height} ${video.codec})`);
+    return video;
+};
+
+// Runs the import stage first for jobs queued by POST /import and adds the probed video to the result
+const withImportStage = (handler) => async (job, ctx) => {
+    if (!job.payload.source) return handler(job, ctx);
+    const video = await fetchImportSource(job, ctx);
+    throwIfCancelled(ctx, job.payload.videoId);
+    await ctx.setState('probing');
+    return { ...await handler(job, ctx), video };
+};
+
+// --- Job Handler: local HLS conversion (POST /upload) ---
+// payload: { inputPath, videoId, basePath, options }
+const runHlsJob = async (job, ctx) => {
+    const { inputPath, videoId, basePath = '', options = {} } = job.payload;
+    const outputDir = path.join(PROCESSED_DIR_ROOT, videoId); // Where convertToHls writes the renditions
+    try {
+        const { onStage, onProgress, onCommand } = createJobHooks(ctx);
+        const result = await convertToHls(inputPath, { videoId, basePath, onStage, onProgress, onCommand }, options);
+        throwIfCancelled(ctx, videoId);
+        console.log(`[${videoId}] HLS processing completed successfully.`);
+        // Optionally delete original:
+        // fsPromises.unlink(inputPath).catch(e => console.error(`Error deleting original file ${inputPath}:`, e));
+        return {
+            videoId,
+            outputDir: result.outputDir,
+            masterPlaylistUrl: result.masterPlaylistUrl,
+            dashManifestUrl: result.dashManifestUrl,
+            posterUrl: result.posterUrl,
+            thumbnails: result.thumbnails,
+            thumbnailsVttUrl: result.thumbnailsVttUrl,
+            audioTracks: result.audioTracks,
+            subtitles: result.subtitles,
+            assTracks: result.assTracks,
+            fonts: result.fonts,
+            burnIn: result.burnIn
+        };
+    } catch (error) {
+        console.error(`[${videoId}] HLS processing failed:`, error.message);
+        // Same as runB2HlsJob: drop the partial output and its keys, keep the original for POST /jobs/:id/retry
+        await cleanupLocalFiles(null, outputDir);
+        await removeVideoKeys(videoId).catch(e => console.error(`[Cleanup] Error eliminando claves de ${videoId}:`, e));
+        throw error;
+    }
+};
+
+// --- Job Handler: HLS conversion + publishing to the storage backend (POST /publish, alias /b2/upload-hls) ---
+// payload: { inputPath, videoId, basePath, b2Prefix, options }
+// The type is still 'b2-hls' and the prefix b2Prefix so jobs queued before STORAGE_BACKEND existed keep working.
+const runB2HlsJob = async (job, ctx) => {
+    const { inputPath, videoId, basePath = '', b2Prefix, options = {} } = job.payload;
+    const hlsLocalOutputDir = path.join(PROCESSED_DIR_ROOT, videoId); // Directorio donde convertToHls guardará los archivos
+
+    try {
+        // 1. Convertir a HLS localmente
+        const { onStage, onProgress, onCommand, progress } = createJobHooks(ctx);
+        // Published playlists are played from the storage host: their key URIs must point back to this server
+        const hlsOptions = options.encrypt
+            ? { ...options, keyUrlTemplate: toAbsoluteKeyUrlTemplate(options.keyUrlTemplate || defaultHlsOptions.keyUrlTemplate) }
+            : options;
+        const hlsResult = await convertToHls(inputPath, { videoId, basePath, onStage, onProgress, onCommand }, hlsOptions);
+        console.log(`[B2 HLS Upload] Conversión HLS completada para videoId: ${videoId}. Archivos en: ${hlsLocalOutputDir}`);
+        throwIfCancelled(ctx, videoId);
+
+        // 2. Publicar el directorio HLS completo (local, B2 o S3 según STORAGE_BACKEND)
+        await ctx.setState('uploading', { progress });
+        const storage = getStorage();
+        const abortUpload = new AbortController(); // DELETE /jobs/:id stops the pool from starting more files
+        ctx.onCancel(() => abortUpload.abort());
+        throwIfCancelled(ctx, videoId);
+        const uploadDirResult = await storage.putDirectory(hlsLocalOutputDir, b2Prefix, {
+            signal: abortUpload.signal,
+            onProgress: ({ uploaded, skipped, failed, total }) => ctx.emitEvent('upload', { uploaded, skipped, failed, total })
+        });
+        throwIfCancelled(ctx, videoId); // What was already published is deleted by cleanupCancelledB2Job
+        if (!uploadDirResult.success) {
+            // Files already uploaded stay in the upload manifest: a retry only sends the rest
+            const { successfulUploads, skippedUploads, failedUploads } = uploadDirResult;
+            throw new Error(`HLS conversion complete but ${failedUploads.length} of ${failedUploads.length + successfulUploads.length + skippedUploads.length} files failed to upload to ${storage.name} storage.`);
+        }
+
+        // 3. Limpieza local (incluidos los subtítulos adjuntos, ya convertidos)
+        await cleanupLocalFiles(inputPath, hlsLocalOutputDir);
+        await removeSubtitleFiles(options);
+
+        return {
+            videoId,
+            storage: storage.name,
+            b2Prefix: b2Prefix + '/',
+            masterPlaylistUrl: hlsResult.masterPlaylistUrl, // URL vía /stream-resource
+            // URL directa sin firmar: las playlists y segmentos usan rutas relativas, que una firma de
+            // master.m3u8 no cubriría, así que solo sirve con buckets públicos (masterPlaylistUrl vale siempre)
+            mainManifestUrl: storage.getPublicUrl(`${b2Prefix}/master.m3u8`),
+            dashManifestUrl: hlsResult.dashManifestUrl, // manifest.mpd subido con el resto del árbol HLS (null sin la opción dash)
+            posterUrl: hlsResult.posterUrl, // thumbs/ también se sube con el árbol HLS
+            thumbnails: hlsResult.thumbnails,
+            thumbnailsVttUrl: hlsResult.thumbnailsVttUrl, // Sprites de previsualización para el reproductor
+            audioTracks: hlsResult.audioTracks, // Pistas de audio del grupo AUDIO (vacío si solo hay una)
+            subtitles: hlsResult.subtitles, // Renditions WebVTT (grupo SUBTITLES)
+            assTracks: hlsResult.assTracks, // Pistas ASS incrustadas, subidas con el árbol HLS (ass/)
+            fonts: hlsResult.fonts, // Fuentes adjuntas del MKV (fonts/), para JASSUB
+            burnIn: hlsResult.burnIn, // Rendition con subtítulos incrustados (null si no se pidió)
+            uploadedFiles: uploadDirResult.successfulUploads.length,
+            unchangedFiles: uploadDirResult.skippedUploads.length // Already in storage from an earlier attempt
+        };
+    } catch (error) {
+        console.error(`[B2 HLS Upload] Error en el proceso HLS o en la publicación para videoId: ${videoId}`, error.message);
+        // Borrar la salida parcial pero conservar el original para poder reintentar (POST /jobs/:id/retry)
+        await cleanupLocalFiles(null, hlsLocalOutputDir);
+        await removeVideoKeys(videoId).catch(e => console.error(`[Cleanup] Error eliminando claves de ${videoId}:`, e));
+        throw error;
+    }
+};
+
+// --- Helper: remove the temporary original (if given) and the local HLS tree ---
+const cleanupLocalFiles = async (inputPath, hlsLocalOutputDir) => {
+    try {
+        if (inputPath && fs.existsSync(inputPath)) {
+            await fsPromises.unlink(inputPath);
+            console.log(`[Cleanup] Archivo original eliminado: ${inputPath}`);
+        }
+        if (fs.existsSync(hlsLocalOutputDir)) {
+            await fsPromises.rm(hlsLocalOutputDir, { recursive: true, force: true });
+            console.log(`[Cleanup] Directorio HLS local eliminado: ${hlsLocalOutputDir}`);
+        }
+    } catch (cleanupError) {
+        console.error(`[Cleanup] Error durante la limpieza local:`, cleanupError);
+    }
+};
+
+// --- Helper: remove the sidecar subtitle uploads of a job (options.subtitleFiles) ---
+const removeSubtitleFiles = async (options = {}) => {
+    for (const file of options.subtitleFiles || []) {
+        await fsPromises.rm(file.path, { force: true })
+            .catch(e => console.error(`[Cleanup] Error eliminando subtítulo ${file.path}:`, e));
+    }
+};
+
+// --- Cleanup for cancelled jobs: original upload + sidecar subtitles + partial HLS output + AES-128 keys ---
+const cleanupCancelledJob = async (job) => {
+    const { inputPath, videoId, options, source } = job.payload;
+    if (source) await fsPromises.rm(getDownloadPath(inputPath), { force: true }); // Import cancelled mid-download
+    await cleanupLocalFiles(inputPath, path.join(PROCESSED_DIR_ROOT, videoId));
+    await removeSubtitleFiles(options);
+    await removeVideoKeys(videoId).catch(e => console.error(`[Cleanup] Error eliminando claves de ${videoId}:`, e));
+};
+
+// --- Cleanup for cancelled publishing jobs: the above plus anything already published under the prefix ---
+const cleanupCancelledB2Job = async (job) => {
+    await cleanupCancelledJob(job);
+    const { b2Prefix } = job.payload;
+    if (!b2Prefix) return;
+    const { deleted, failed } = await getStorage().deleteDirectory(b2Prefix);
+    if (failed.length > 0) {
+        console.error(`[Cleanup] ${failed.length} file(s) of ${b2Prefix}/ could not be deleted from storage:`, failed.map(f => f.key));
+    } else if (deleted > 0) {
+        console.log(`[Cleanup] Deleted ${deleted} published file(s) under ${b2Prefix}/`);
+    }
+};
+
+// --- Register all handlers on a queue ---
+const registerJobHandlers = (queue) => {
+    queue.registerHandler('hls', withImportStage(runHlsJob), { initialState: 'probing', cleanup: cleanupCancelledJob });
+    queue.registerHandler('b2-hls', withImportStage(runB2HlsJob), { initialState: 'probing', cleanup: cleanupCancelledB2Job });
+};
+
+module.exports = {
+    registerJobHandlers
+};
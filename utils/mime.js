@@ -0,0 +1,39 @@
+const path = require('path');
+
+// --- Content types for the files produced by the HLS/DASH conversion ---
+const MEDIA_CONTENT_TYPES = {
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t',
+    '.m4s': 'video/iso.segment', // fMP4/CMAF media segment
+    '.mp4': 'video/mp4',         // fMP4 init segment (init.mp4)
+    '.m4a': 'audio/mp4',
+    '.m4v': 'video/mp4',
+    '.mpd': 'application/dash+xml',
+    '.vtt': 'text/vtt',
+    '.ass': 'text/x-ssa',
+    '.ssa': 'text/x-ssa',
+    '.ttf': 'font/ttf',          // Font attachments (fonts/)
+    '.otf': 'font/otf',
+    '.ttc': 'font/collection',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.jpg': 'image/jpeg',        // Poster, thumbnails and sprites (thumbs/)
+    '.jpeg': 'image/jpeg',
+    '.key': 'application/octet-stream'
+};
+
+/**
+ * Returns the content type of a streaming resource from its file name or URL path.
+ * @param {string} filePath - File name, path or URL path (query strings are ignored)
+ * @param {string} [fallback='application/octet-stream'] - Used for unknown extensions
+ * @returns {string}
+ */
+const getContentType = (filePath, fallback = 'application/octet-stream') => {
+    const extension = path.extname(String(filePath).split('?')[0]).toLowerCase();
+    return MEDIA_CONTENT_TYPES[extension] || fallback;
+};
+
+module.exports = {
+    getContentType,
+    MEDIA_CONTENT_TYPES
+};
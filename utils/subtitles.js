@@ -0,0 +1,328 @@
+const path = require('path');
+const fs = require('fs').promises;
+const ffmpeg = require('fluent-ffmpeg');
+const { scanKeyframes } = require('./iframes');
+const { parseVttTime, toVttTime } = require('./webvtt');
+
+// --- Subtitle renditions (segmented WebVTT, #EXT-X-MEDIA TYPE=SUBTITLES) ---
+// Every text subtitle stream of the source and every sidecar .srt/.vtt is converted by ffmpeg to one
+// WebVTT file (<track>/subtitles.vtt), which is then cut into segments of hlsTime seconds listed by
+// <track>/playlist.m3u8. Bitmap subtitles (PGS, DVD) cannot become WebVTT and are skipped.
+
+// ffprobe codec names that ffmpeg can convert to WebVTT
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'webvtt', 'ass', 'ssa', 'mov_text', 'text'];
+const SIDECAR_SUBTITLE_EXTENSIONS = ['.srt', '.vtt'];
+const SUBTITLE_VTT_NAME = 'subtitles.vtt';
+
+// Embedded ASS/SSA streams lose their styling as WebVTT, so they are also copied verbatim to
+// <videoId>/ass/<trackId>.ass for JASSUB. ass/tracks.json lists them, together with the tracks
+// uploaded later through /subtitles/:videoId (lib/assTracks.js).
+const ASS_CODECS = ['ass', 'ssa'];
+const ASS_DIR_NAME = 'ass';
+const ASS_MANIFEST_NAME = 'tracks.json';
+
+/**
+ * Checks whether an uploaded file is a sidecar subtitle (by extension, browsers send various mimetypes).
+ * @param {object} file - Multer file ({ originalname })
+ * @returns {boolean}
+ */
+const isSidecarSubtitle = (file) => SIDECAR_SUBTITLE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase());
+
+/**
+ * Describes the sidecar subtitle files of an upload. The language comes from the `subtitleLanguages`
+ * form field (comma-separated, same order as the files) or from the file name ("movie.spa.srt").
+ * @param {Array<object>} files - Multer files of the `subtitles` field
+ * @param {string} [languagesField] - e.g. "spa,eng"
+ * @returns {Array<{path: string, language: string|null, label: string}>}
+ */
+const describeSidecarSubtitles = (files = [], languagesField = '') => {
+    const languages = String(languagesField || '').split(',').map(language => language.trim());
+    return files.map((file, index) => {
+        const baseName = path.basename(file.originalname, path.extname(file.originalname));
+        const nameLanguage = baseName.match(/\.([a-z]{2,3}(?:-[a-z]{2,4})?)$/i);
+        const language = languages[index] || (nameLanguage ? nameLanguage[1].toLowerCase() : null);
+        return { path: file.path, language, label: language || baseName };
+    });
+};
+
+/**
+ * Builds the subtitle renditions: embedded text streams first, then the sidecar files.
+ * @param {Array<object>} subtitleStreams - ffprobe streams with codec_type 'subtitle', in input order
+ * @param {Array<object>} sidecarFiles - As returned by describeSidecarSubtitles
+ * @returns {Array<object>} - Tracks { name, inputPath, streamIndex, label, language, isDefault, isForced }
+ */
+const buildSubtitleTracks = (subtitleStreams = [], sidecarFiles = []) => {
+    const tracks = [];
+    subtitleStreams.forEach((stream, streamIndex) => {
+        if (!TEXT_SUBTITLE_CODECS.includes(stream.codec_name)) return;
+        const language = stream.tags?.language && stream.tags.language !== 'und' ? stream.tags.language : null;
+        tracks.push({
+            inputPath: null, // The source video
+            streamIndex, // Position among the subtitle streams (-map 0:s:<streamIndex>)
+            label: stream.tags?.title || language || `Subtitles ${tracks.length + 1}`,
+            language,
+            isDefault: Boolean(stream.disposition?.default),
+            isForced: Boolean(stream.disposition?.forced)
+        });
+    });
+    sidecarFiles.forEach(file => {
+        tracks.push({ inputPath: file.path, streamIndex: 0, label: file.label, language: file.language, isDefault: false, isForced: false });
+    });
+
+    // NAME must be unique inside the group
+    const usedLabels = new Set();
+    return tracks.map((track, index) => {
+        let label = track.label;
+        for (let n = 2; usedLabels.has(label); n++) label = `${track.label} (${n})`;
+        usedLabels.add(label);
+        return { ...track, name: `subs_${index}`, label };
+    });
+};
+
+/**
+ * Picks the subtitle track to burn into the burn-in rendition.
+ * @param {Array<object>} tracks - From buildSubtitleTracks (source streams and sidecar files)
+ * @param {number|string} selector - Position among the source subtitle streams (0:s:<n>), or a language/label
+ * @returns {object|null} - null if no track matches
+ */
+const selectBurnInTrack = (tracks, selector) => {
+    if (typeof selector === 'number') {
+        return tracks.find(track => !track.inputPath && track.streamIndex === selector) || null;
+    }
+    const wanted = String(selector).toLowerCase();
+    return tracks.find(track => track.language?.toLowerCase() === wanted) ||
+        tracks.find(track => track.label.toLowerCase() === wanted) ||
+        null;
+};
+
+// Paths inside a filtergraph are escaped twice: for the filter option (':' separates options)
+// and for the graph (',' separates filters, '[' ']' are labels)
+const escapeFilterPath = (filePath) =>
+    filePath.replace(/[\\':]/g, '\\$&').replace(/[\\'[\],;]/g, '\\$&');
+
+/**
+ * Builds the `subtitles` video filter (libass) that draws a track onto the frames.
+ * Embedded streams are read from the source, so ASS tracks also get the fonts attached to it.
+ * The path may contain spaces: pass the filter to ffmpeg as a single argument.
+ * @param {string} inputPath - Source video
+ * @param {object} track - From buildSubtitleTracks
+ * @returns {string}
+ */
+const buildBurnInFilter = (inputPath, track) => track.inputPath
+    ? `subtitles=filename=${escapeFilterPath(track.inputPath)}`
+    : `subtitles=filename=${escapeFilterPath(inputPath)}:si=${track.streamIndex}`;
+
+// Converts one subtitle stream to a complete WebVTT file
+const extractWebVtt = (inputPath, streamIndex, outputPath, onCommand) => {
+    return new Promise((resolve, reject) => {
+        const command = ffmpeg(inputPath)
+            .outputOptions([`-map 0:s:${streamIndex}`, '-c:s webvtt'])
+            .output(outputPath)
+            .on('end', () => resolve(outputPath))
+            .on('error', (err) => reject(new Error(`Subtitle conversion failed: ${err.message}`)));
+        command.run();
+        if (onCommand) onCommand(command);
+    });
+};
+
+/**
+ * Cuts a WebVTT file into segments and writes their media playlist.
+ * Cues spanning a segment boundary are repeated in both segments, as the HLS spec allows.
+ * @param {string} vttPath - Complete WebVTT file
+ * @param {object} options - { segmentDuration, duration (of the video), timestampOffset (MPEGTS of media time 0), playlistName }
+ * @returns {Promise<{playlistPath: string, segmentCount: number, cueCount: number}>}
+ */
+const segmentWebVtt = async (vttPath, { segmentDuration, duration, timestampOffset = 0, playlistName }) => {
+    const trackDir = path.dirname(vttPath);
+    // LF only and no trailing newline: STYLE blocks and the last cue are copied into the segments as they are
+    const text = (await fs.readFile(vttPath, 'utf8')).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trimEnd();
+    const blocks = text.split(/\n(?:[ \t]*\n)+/);
+
+    const headerBlocks = []; // STYLE and REGION blocks must precede the cues of every segment
+    const cues = [];
+    blocks.slice(1).forEach(block => {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) {
+            if (/^(STYLE|REGION)\b/.test(lines[0])) headerBlocks.push(block);
+            return; // NOTE blocks and garbage
+        }
+        const [start, rest] = lines[timingIndex].split('-->');
+        const [end, ...settings] = rest.trim().split(/\s+/);
+        cues.push({
+            id: lines.slice(0, timingIndex).join('\n'),
+            start: parseVttTime(start),
+            end: parseVttTime(end),
+            settings: settings.join(' '),
+            text: lines.slice(timingIndex + 1).join('\n')
+        });
+    });
+
+    const segmentCount = Math.max(1, Math.ceil(duration / segmentDuration));
+    const entries = [];
+    for (let index = 0; index < segmentCount; index++) {
+        const windowStart = index * segmentDuration;
+        const windowEnd = Math.min((index + 1) * segmentDuration, Math.max(duration, windowStart + 0.001));
+        const segmentName = `segment${String(index).padStart(3, '0')}.vtt`;
+        const segmentCues = cues
+            .filter(cue => cue.start < windowEnd && cue.end > windowStart)
+            .map(cue => [
+                ...(cue.id ? [cue.id] : []),
+                `${toVttTime(cue.start)} --> ${toVttTime(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}`,
+                cue.text
+            ].join('\n'));
+        const content = [
+            // Maps the cue times to the presentation timestamps of the video segments
+            `WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:${timestampOffset},LOCAL:00:00:00.000`,
+            ...headerBlocks,
+            ...segmentCues
+        ].join('\n\n') + '\n';
+        await fs.writeFile(path.join(trackDir, segmentName), content);
+        entries.push(`#EXTINF:${(windowEnd - windowStart).toFixed(6)},\n${segmentName}`);
+    }
+
+    const playlist = [
+        '#EXTM3U',
+        '#EXT-X-VERSION:3',
+        `#EXT-X-TARGETDURATION:${Math.ceil(segmentDuration)}`,
+        '#EXT-X-MEDIA-SEQUENCE:0',
+        '#EXT-X-PLAYLIST-TYPE:VOD',
+        ...entries,
+        '#EXT-X-ENDLIST',
+        ''
+    ].join('\n');
+    const playlistPath = path.join(trackDir, playlistName);
+    await fs.writeFile(playlistPath, playlist);
+    return { playlistPath, segmentCount, cueCount: cues.length };
+};
+
+/**
+ * Produces one subtitle rendition: <track.name>/subtitles.vtt, its segments and playlist.
+ * @param {string} inputPath - Original video (used unless the track is a sidecar file)
+ * @param {string} outputDir - Output directory of the video (processed_videos/<videoId>)
+ * @param {object} track - As returned by buildSubtitleTracks
+ * @param {object} options - { hlsTime, resolutionPlaylistName, duration, timestampOffset }
+ * @param {string} videoId - For logging
+ * @param {object} [hooks] - { onCommand } to follow (and kill) the ffmpeg command
+ * @returns {Promise<object>} - The track plus playlistRelativePath and vttRelativePath
+ */
+const processSubtitleTrack = async (inputPath, outputDir, track, options, videoId, hooks = {}) => {
+    const trackDir = path.join(outputDir, track.name);
+    await fs.mkdir(trackDir, { recursive: true });
+    const vttPath = path.join(trackDir, SUBTITLE_VTT_NAME);
+    if (track.inputPath && path.extname(track.inputPath).toLowerCase() === '.vtt') {
+        await fs.copyFile(track.inputPath, vttPath); // Already WebVTT: keep cue settings and styles, which ffmpeg drops
+    } else {
+        await extractWebVtt(track.inputPath || inputPath, track.streamIndex, vttPath, hooks.onCommand);
+    }
+    const { segmentCount, cueCount } = await segmentWebVtt(vttPath, {
+        segmentDuration: options.hlsTime,
+        duration: options.duration,
+        timestampOffset: options.timestampOffset,
+        playlistName: options.resolutionPlaylistName
+    });
+    console.log(`[${videoId}] Subtitles ${track.name} (${track.label}): ${cueCount} cues in ${segmentCount} segments`);
+    return {
+        ...track,
+        playlistRelativePath: `${track.name}/${options.resolutionPlaylistName}`,
+        vttRelativePath: `${track.name}/${SUBTITLE_VTT_NAME}`
+    };
+};
+
+/**
+ * Reads ass/tracks.json of a local video.
+ * @param {string} outputDir - Output directory of the video (processed_videos/<videoId>)
+ * @returns {Promise<Array<object>>} - Tracks { id, label, language, isDefault, source, fileName }, [] if there is none
+ */
+const readAssManifest = async (outputDir) => {
+    try {
+        return JSON.parse(await fs.readFile(path.join(outputDir, ASS_DIR_NAME, ASS_MANIFEST_NAME), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+};
+
+/**
+ * Writes ass/tracks.json of a local video.
+ * @param {string} outputDir - Output directory of the video (processed_videos/<videoId>)
+ * @param {Array<object>} tracks
+ */
+const writeAssManifest = async (outputDir, tracks) => {
+    await fs.mkdir(path.join(outputDir, ASS_DIR_NAME), { recursive: true });
+    await fs.writeFile(path.join(outputDir, ASS_DIR_NAME, ASS_MANIFEST_NAME), JSON.stringify(tracks, null, 2));
+};
+
+/**
+ * Copies the embedded ASS/SSA streams (styles included) to ass/embedded-<n>.ass and lists them in ass/tracks.json.
+ * @param {string} inputPath - Original video
+ * @param {string} outputDir - Output directory of the video (processed_videos/<videoId>)
+ * @param {Array<object>} subtitleStreams - ffprobe streams with codec_type 'subtitle', in input order
+ * @param {string} videoId - For logging
+ * @param {object} [hooks] - { onCommand } to follow (and kill) the ffmpeg commands
+ * @returns {Promise<Array<object>>} - The manifest entries of the copied tracks
+ */
+const preserveAssTracks = async (inputPath, outputDir, subtitleStreams, videoId, hooks = {}) => {
+    const tracks = [];
+    for (const [streamIndex, stream] of subtitleStreams.entries()) {
+        if (!ASS_CODECS.includes(stream.codec_name)) continue;
+        const id = `embedded-${streamIndex}`;
+        const fileName = `${id}.ass`;
+        await fs.mkdir(path.join(outputDir, ASS_DIR_NAME), { recursive: true });
+        await new Promise((resolve, reject) => {
+            const command = ffmpeg(inputPath)
+                .outputOptions([`-map 0:s:${streamIndex}`, '-c:s copy'])
+                .output(path.join(outputDir, ASS_DIR_NAME, fileName))
+                .on('end', resolve)
+                .on('error', (err) => reject(new Error(`ASS copy of subtitle stream ${streamIndex} failed: ${err.message}`)));
+            command.run();
+            if (hooks.onCommand) hooks.onCommand(command);
+        });
+        const language = stream.tags?.language && stream.tags.language !== 'und' ? stream.tags.language : null;
+        tracks.push({
+            id,
+            label: stream.tags?.title || language || `ASS ${tracks.length + 1}`,
+            language,
+            isDefault: Boolean(stream.disposition?.default),
+            source: 'embedded',
+            fileName
+        });
+    }
+    if (tracks.length > 0) {
+        await writeAssManifest(outputDir, tracks);
+        console.log(`[${videoId}] ${tracks.length} ASS track(s) preserved for JASSUB`);
+    }
+    return tracks;
+};
+
+/**
+ * Start of the media timeline of an MPEG-TS rendition, in 90 kHz units (PTS of its first frame).
+ * ffmpeg's TS muxer does not start at 0, so this is the MPEGTS value of X-TIMESTAMP-MAP.
+ * Must run before the segments are encrypted.
+ * @param {string} playlistPath - Media playlist of a video rendition
+ * @returns {Promise<number>}
+ */
+const getTimestampOffset = async (playlistPath) => {
+    const lines = (await fs.readFile(playlistPath, 'utf8')).split(/\r?\n/).map(line => line.trim());
+    const firstSegment = lines.find(line => line && !line.startsWith('#'));
+    if (!firstSegment) return 0;
+    const [firstKeyframe] = scanKeyframes(await fs.readFile(path.join(path.dirname(playlistPath), firstSegment)));
+    return firstKeyframe ? firstKeyframe.pts : 0;
+};
+
+module.exports = {
+    buildSubtitleTracks,
+    selectBurnInTrack,
+    buildBurnInFilter,
+    describeSidecarSubtitles,
+    isSidecarSubtitle,
+    processSubtitleTrack,
+    segmentWebVtt,
+    getTimestampOffset,
+    preserveAssTracks,
+    readAssManifest,
+    writeAssManifest,
+    SUBTITLE_VTT_NAME,
+    ASS_DIR_NAME,
+    ASS_MANIFEST_NAME
+};
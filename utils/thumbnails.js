@@ -0,0 +1,139 @@
+const path = require('path');
+const fs = require('fs').promises;
+const ffmpeg = require('fluent-ffmpeg');
+const { toVttTime } = require('./webvtt');
+
+// --- Poster and thumbnail extraction ---
+// Files are written to <videoId>/thumbs/ next to the HLS renditions, so they are served by
+// /processed and uploaded to B2 together with the playlists.
+const THUMBS_DIR_NAME = 'thumbs';
+const POSTER_NAME = 'poster.jpg';
+const THUMBNAIL_NAME_PATTERN = /^thumb\d{3}\.jpg$/;
+const thumbnailName = (index) => `thumb${String(index + 1).padStart(3, '0')}.jpg`;
+const SPRITE_VTT_NAME = 'thumbnails.vtt';
+const spriteName = (index) => `sprite${String(index + 1).padStart(3, '0')}.jpg`;
+
+// Extracts one JPEG frame at `seconds` (input seeking, so only a few frames are decoded)
+const extractFrame = (inputPath, outputPath, seconds, width, onCommand) => {
+    return new Promise((resolve, reject) => {
+        const command = ffmpeg(inputPath)
+            .seekInput(Math.max(0, seconds).toFixed(3))
+            .outputOptions(['-frames:v 1', '-q:v 2', ...(width ? [`-vf scale=${width}:-2`] : [])])
+            .output(outputPath)
+            .on('end', () => resolve(outputPath))
+            .on('error', (err) => reject(new Error(`Frame extraction at ${seconds}s failed: ${err.message}`)));
+        command.run();
+        if (onCommand) onCommand(command);
+    });
+};
+
+/**
+ * Resolves the poster timestamp: seconds, a percentage of the duration ("25%") or null for 10%.
+ * @param {number|string|null} posterTime
+ * @param {number} duration - Video duration in seconds
+ * @returns {number}
+ */
+const resolvePosterTime = (posterTime, duration) => {
+    let seconds = duration * 0.1;
+    if (typeof posterTime === 'string' && posterTime.trim().endsWith('%')) {
+        seconds = duration * parseFloat(posterTime) / 100;
+    } else if (posterTime !== null && posterTime !== undefined && posterTime !== '') {
+        seconds = Number(posterTime);
+    }
+    // Seeking to the very end yields no frame
+    return Math.min(Math.max(0, seconds), Math.max(0, duration - 0.5));
+};
+
+/**
+ * Generates the poster (full resolution) and N evenly spaced thumbnails.
+ * @param {string} inputPath - Original video
+ * @param {string} outputDir - Output directory of the video (processed_videos/<videoId>)
+ * @param {number} duration - Video duration in seconds
+ * @param {object} options - HLS options: poster, posterTime, thumbnailCount, thumbnailWidth
+ * @param {string} videoId - For logging
+ * @param {object} [hooks] - { onCommand } to follow (and kill) the ffmpeg commands
+ * @returns {Promise<{poster: string|null, thumbnails: string[]}>} - Paths relative to outputDir
+ */
+const generateThumbnails = async (inputPath, outputDir, duration, options, videoId, hooks = {}) => {
+    const { poster, posterTime, thumbnailCount, thumbnailWidth } = options;
+    const thumbsDir = path.join(outputDir, THUMBS_DIR_NAME);
+    await fs.mkdir(thumbsDir, { recursive: true });
+    const result = { poster: null, thumbnails: [] };
+
+    if (poster) {
+        const seconds = resolvePosterTime(posterTime, duration);
+        await extractFrame(inputPath, path.join(thumbsDir, POSTER_NAME), seconds, null, hooks.onCommand);
+        result.poster = `${THUMBS_DIR_NAME}/${POSTER_NAME}`;
+        console.log(`[${videoId}] Poster extracted at ${seconds.toFixed(2)}s`);
+    }
+
+    // Thumbnails in the middle of N equal slices of the video
+    for (let i = 0; i < thumbnailCount; i++) {
+        const seconds = (i + 0.5) * duration / thumbnailCount;
+        await extractFrame(inputPath, path.join(thumbsDir, thumbnailName(i)), seconds, thumbnailWidth, hooks.onCommand);
+        result.thumbnails.push(`${THUMBS_DIR_NAME}/${thumbnailName(i)}`);
+    }
+    if (thumbnailCount > 0) console.log(`[${videoId}] ${thumbnailCount} thumbnails extracted`);
+
+    return result;
+};
+
+/**
+ * Generates the scrubbing preview: sprite sheets (one frame every spriteInterval seconds, tiled
+ * spriteColumns x spriteRows per image) and a WebVTT track whose cues point to each tile with #xywh=.
+ * Image URLs in the VTT are relative to it, as expected by Plyr's previewThumbnails.
+ * @param {string} inputPath - Original video
+ * @param {string} outputDir - Output directory of the video (processed_videos/<videoId>)
+ * @param {object} source - { width, height, duration } of the original video
+ * @param {object} options - HLS options: spriteInterval, spriteWidth, spriteColumns, spriteRows
+ * @param {string} videoId - For logging
+ * @param {object} [hooks] - { onCommand } to follow (and kill) the ffmpeg command
+ * @returns {Promise<string>} - Path of the VTT relative to outputDir
+ */
+const generateSpriteSheet = async (inputPath, outputDir, source, options, videoId, hooks = {}) => {
+    const { spriteInterval, spriteWidth, spriteColumns, spriteRows } = options;
+    const thumbsDir = path.join(outputDir, THUMBS_DIR_NAME);
+    await fs.mkdir(thumbsDir, { recursive: true });
+    // Same rounding as scale=<width>:-2
+    const tileHeight = Math.round(spriteWidth * source.height / source.width / 2) * 2;
+    const tilesPerSprite = spriteColumns * spriteRows;
+
+    await new Promise((resolve, reject) => {
+        const command = ffmpeg(inputPath)
+            .noAudio()
+            .outputOptions([
+                `-vf fps=1/${spriteInterval},scale=${spriteWidth}:${tileHeight},tile=${spriteColumns}x${spriteRows}`,
+                '-q:v 4'
+            ])
+            .output(path.join(thumbsDir, 'sprite%03d.jpg'))
+            .on('end', resolve)
+            .on('error', (err) => reject(new Error(`Sprite sheet generation failed: ${err.message}`)));
+        command.run();
+        if (hooks.onCommand) hooks.onCommand(command);
+    });
+
+    const cues = ['WEBVTT', ''];
+    const frameCount = Math.ceil(source.duration / spriteInterval);
+    for (let i = 0; i < frameCount; i++) {
+        const tile = i % tilesPerSprite;
+        const x = (tile % spriteColumns) * spriteWidth;
+        const y = Math.floor(tile / spriteColumns) * tileHeight;
+        cues.push(
+            `${toVttTime(i * spriteInterval)} --> ${toVttTime(Math.min((i + 1) * spriteInterval, source.duration))}`,
+            `${spriteName(Math.floor(i / tilesPerSprite))}#xywh=${x},${y},${spriteWidth},${tileHeight}`,
+            ''
+        );
+    }
+    await fs.writeFile(path.join(thumbsDir, SPRITE_VTT_NAME), cues.join('\n'));
+    console.log(`[${videoId}] Sprite sheets created: ${frameCount} frames in ${Math.ceil(frameCount / tilesPerSprite)} image(s)`);
+    return `${THUMBS_DIR_NAME}/${SPRITE_VTT_NAME}`;
+};
+
+module.exports = {
+    generateThumbnails,
+    generateSpriteSheet,
+    SPRITE_VTT_NAME,
+    THUMBS_DIR_NAME,
+    POSTER_NAME,
+    THUMBNAIL_NAME_PATTERN
+};
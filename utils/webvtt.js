@@ -0,0 +1,24 @@
+// --- WebVTT timestamps, shared by the subtitle renditions and the thumbnail sprite track ---
+
+/**
+ * Parses a WebVTT timestamp ([HH:]MM:SS.mmm).
+ * @param {string} value
+ * @returns {number} - Seconds
+ */
+const parseVttTime = (value) => value.trim().split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+
+/**
+ * Formats seconds as a WebVTT timestamp, always with hours (HH:MM:SS.mmm).
+ * @param {number} seconds
+ * @returns {string}
+ */
+const toVttTime = (seconds) => {
+    const ms = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+};
+
+module.exports = {
+    parseVttTime,
+    toVttTime
+};